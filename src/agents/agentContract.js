@@ -0,0 +1,148 @@
+/**
+ * Agent Contract
+ * What every agent, built-in or custom, must provide:
+ *
+ *   name            unique string, used in logs, stats and the manifest
+ *   role            short description shown in logs
+ *   version         optional string; bump it to re-enhance documents
+ *   modifiesContent optional boolean; true for an agent that returns
+ *                   `restructuredContent`
+ *   analyzeContent(document)
+ *                   async; `document` is a frozen in-memory object:
+ *                   `path` (relative to the site, `/`-separated; for logs
+ *                   and ids, never for reading the file), `title`,
+ *                   `version`, `locale`, `content` (the full markdown,
+ *                   frontmatter included) and `metadata` (its frontmatter)
+ *
+ * `analyzeContent` resolves with:
+ *
+ *   enhancedMetadata     object of frontmatter fields to propose
+ *   improvements         array of strings listed in the PR / report
+ *   restructuredContent  optional full document passed to the agents
+ *                        that depend on this one and published; only
+ *                        from agents with `modifiesContent`
+ *   outputSource         optional 'model' | 'repair' | 'fallback'
+ *   report               optional { name, content } markdown the runner
+ *                        writes to logs/<name>/
+ *
+ * Agents never touch the filesystem: writes made while `analyzeContent`
+ * runs throw AgentWriteError. Throwing marks the agent as failed for that
+ * document; the other agents still run. Errors with `fatal: true` abort the
+ * whole run.
+ */
+
+const OUTPUT_SOURCES = ['model', 'repair', 'fallback']
+
+// Report names become a directory and part of a file name
+const REPORT_NAME = /^[a-z0-9][a-z0-9-]*$/
+
+/**
+ * Raised when an agent or its result does not follow the contract
+ */
+class AgentContractError extends Error {
+  constructor(source, problems) {
+    super(
+      `${source} does not follow the agent contract: ${problems.join('; ')}`,
+    )
+    this.name = 'AgentContractError'
+    this.problems = problems
+  }
+}
+
+function isPlainObject(value) {
+  return !!value && typeof value === 'object' && !Array.isArray(value)
+}
+
+/**
+ * Check an agent instance; throws AgentContractError listing every problem
+ */
+function validateAgent(agent, source = 'Agent') {
+  if (!isPlainObject(agent)) {
+    throw new AgentContractError(source, ['expected an agent object'])
+  }
+
+  const problems = []
+  if (typeof agent.name !== 'string' || !agent.name.trim()) {
+    problems.push('`name` must be a non-empty string')
+  }
+  if (typeof agent.role !== 'string' || !agent.role.trim()) {
+    problems.push('`role` must be a non-empty string')
+  }
+  if (typeof agent.analyzeContent !== 'function') {
+    problems.push('`analyzeContent(document)` is missing')
+  }
+  if (agent.version !== undefined && typeof agent.version !== 'string') {
+    problems.push('`version` must be a string')
+  }
+  if (
+    agent.modifiesContent !== undefined &&
+    typeof agent.modifiesContent !== 'boolean'
+  ) {
+    problems.push('`modifiesContent` must be a boolean')
+  }
+
+  if (problems.length > 0) {
+    throw new AgentContractError(source, problems)
+  }
+  return agent
+}
+
+/**
+ * Check what an agent's `analyzeContent` resolved with
+ */
+function validateAgentResult(result, agent) {
+  const source = `Result of ${agent.name}`
+  if (!isPlainObject(result)) {
+    throw new AgentContractError(source, ['expected an object'])
+  }
+
+  const problems = []
+  if (!isPlainObject(result.enhancedMetadata)) {
+    problems.push('`enhancedMetadata` must be an object')
+  }
+  if (
+    !Array.isArray(result.improvements) ||
+    result.improvements.some(item => typeof item !== 'string')
+  ) {
+    problems.push('`improvements` must be an array of strings')
+  }
+  if (
+    result.restructuredContent !== undefined &&
+    typeof result.restructuredContent !== 'string'
+  ) {
+    problems.push('`restructuredContent` must be a string')
+  }
+  if (result.restructuredContent !== undefined && !agent.modifiesContent) {
+    problems.push('`restructuredContent` needs `modifiesContent: true`')
+  }
+  if (
+    result.outputSource !== undefined &&
+    !OUTPUT_SOURCES.includes(result.outputSource)
+  ) {
+    problems.push(
+      `\`outputSource\` must be one of ${OUTPUT_SOURCES.join(', ')}`,
+    )
+  }
+  if (
+    result.report !== undefined &&
+    (!isPlainObject(result.report) ||
+      typeof result.report.name !== 'string' ||
+      !REPORT_NAME.test(result.report.name) ||
+      typeof result.report.content !== 'string')
+  ) {
+    problems.push(
+      '`report` must be { name, content } with a lowercase kebab-case name',
+    )
+  }
+
+  if (problems.length > 0) {
+    throw new AgentContractError(source, problems)
+  }
+  return result
+}
+
+module.exports = {
+  AgentContractError,
+  validateAgent,
+  validateAgentResult,
+}
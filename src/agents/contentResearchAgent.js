@@ -1,5 +1,5 @@
 class ContentResearchAgent {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'content-research-agent'
     this.role = 'Content Validation & Research Specialist'
     this.goal =
@@ -11,13 +11,16 @@ class ContentResearchAgent {
     this.allowDelegation = false
     this.maxIter = 3
     this.memory = true
-    this.logDirectory = './logs/validation'
+    this.version = '1.0.0'
+    this.searchProvider =
+      options.searchProvider || require('../providers').createSearchProvider()
   }
 
   /**
-   * Main analysis method - validates content and generates separate log
+   * Main analysis method - validates content and returns a validation report
    */
-  async analyzeContent(filePath, content, currentMetadata = {}) {
+  async analyzeContent(document) {
+    const { path: filePath, content } = document
     console.log(`🔍 [Research Agent] Analyzing: ${filePath}`)
 
     try {
@@ -55,9 +58,6 @@ class ContentResearchAgent {
         validationResults,
       )
 
-      // Write validation log to separate file
-      await this.writeValidationLog(validationContext, validationLog)
-
       // Return minimal metadata (no content changes for PR)
       const enhancedMetadata = {
         researchConducted: true,
@@ -75,14 +75,12 @@ class ContentResearchAgent {
           validationResults.status || 'REVIEWED'
         }`,
       )
-      console.log(
-        `📋 [Research Agent] Log saved: ${this.getLogPath(validationContext)}`,
-      )
-
       return {
         originalMetadata: parsed.data,
         enhancedMetadata,
-        content: parsed.content, // No content changes
+        // Written to logs/validation/ by the runner
+        report: { name: 'validation', content: validationLog },
+        criticalIssues: validationResults.criticalIssues || [],
         improvements: [
           `Validation completed: ${validationResults.status}`,
           `${
@@ -91,6 +89,7 @@ class ContentResearchAgent {
         ],
       }
     } catch (error) {
+      if (error.fatal) throw error
       console.error(
         `❌ [Research Agent] Error validating ${filePath}:`,
         error.message,
@@ -164,6 +163,7 @@ class ContentResearchAgent {
             }
           }
         } catch (error) {
+          if (error.fatal) throw error
           console.warn(
             `⚠️ [Research Agent] Question failed: ${question.query} - ${error.message}`,
           )
@@ -197,6 +197,7 @@ class ContentResearchAgent {
         researchQueries: validationQuestions.map(q => q.query),
       }
     } catch (error) {
+      if (error.fatal) throw error
       console.error(
         `❌ [Research Agent] Validation research failed:`,
         error.message,
@@ -229,6 +230,7 @@ class ContentResearchAgent {
           return null
         }
       } catch (error) {
+        if (error.fatal) throw error
         console.warn(
           `   ⚠️ ${description} - Attempt ${attempt} failed: ${error.message}`,
         )
@@ -532,79 +534,13 @@ class ContentResearchAgent {
   }
 
   /**
-   * Write validation log to separate log file
-   */
-  async writeValidationLog(context, logContent) {
-    const fs = require('fs').promises
-    const path = require('path')
-
-    try {
-      // Ensure log directory exists
-      await this.ensureLogDirectoryExists()
-
-      // Generate log file path
-      const logPath = this.getLogPath(context)
-
-      // Write validation log
-      await fs.writeFile(logPath, logContent, 'utf8')
-
-      console.log(`   📋 Validation log saved: ${logPath}`)
-    } catch (error) {
-      console.error(`   ❌ Failed to write validation log: ${error.message}`)
-    }
-  }
-
-  /**
-   * Get log file path for document
-   */
-  getLogPath(context) {
-    const path = require('path')
-    const filename = context.filePath
-      .split('/')
-      .pop()
-      .replace('.md', '')
-      .toLowerCase()
-      .replace(/[^a-z0-9]/g, '-')
-
-    const timestamp = new Date().toISOString().split('T')[0]
-    return path.join(
-      this.logDirectory,
-      `${filename}-validation-${timestamp}.md`,
-    )
-  }
-
-  /**
-   * Ensure log directory exists
-   */
-  async ensureLogDirectoryExists() {
-    const fs = require('fs').promises
-    const path = require('path')
-
-    try {
-      await fs.mkdir(path.dirname(this.logDirectory), { recursive: true })
-      await fs.mkdir(this.logDirectory, { recursive: true })
-    } catch (error) {
-      // Directory probably exists, ignore
-    }
-  }
-
-  /**
-   * Initialize Tavily client with better error handling
+   * Initialize the search client with better error handling
    */
   async initializeTavilyClient() {
-    // Load environment variables
-    if (!process.env.TAVILY_API_KEY) {
-      try {
-        const path = require('path')
-        require('dotenv').config({
-          path: path.join(process.cwd(), '.env.local'),
-        })
-      } catch (error) {
-        console.warn('⚠️ Could not load .env.local file')
-      }
-    }
-
-    if (!process.env.TAVILY_API_KEY) {
+    if (
+      this.searchProvider.requiresApiKey() &&
+      !this.searchProvider.resolveApiKey()
+    ) {
       console.warn(
         '⚠️ [Research Agent] TAVILY_API_KEY not found in environment variables',
       )
@@ -615,24 +551,10 @@ class ContentResearchAgent {
       return null
     }
 
-    try {
-      const { tavily } = require('@tavily/core')
-      console.log(
-        '🔑 [Research Agent] Found Tavily API key, initializing client...',
-      )
-      const client = tavily({ apiKey: process.env.TAVILY_API_KEY })
-
-      // Test the client to make sure it works
-      console.log('🧪 [Research Agent] Testing Tavily client...')
-
-      return client
-    } catch (error) {
-      console.error(
-        `❌ [Research Agent] Failed to initialize Tavily: ${error.message}`,
-      )
-      console.warn('💡 [Research Agent] Try: npm install @tavily/core')
-      return null
-    }
+    console.log(
+      `🔑 [Research Agent] Using ${this.searchProvider.describe()} search provider`,
+    )
+    return this.searchProvider
   }
 
   /**
@@ -786,7 +708,6 @@ class ContentResearchAgent {
         validationScore: 50,
         enhanced_by: 'rag-prep-plugin-research-fallback',
       },
-      content,
       improvements: ['Validation failed - manual review recommended'],
     }
   }
@@ -1,5 +1,9 @@
+const { restructuringPlanSchema } = require('../schemas')
+const SectionAnalysisTool = require('../tools/sectionAnalysisTool')
+const ChunkBuilderTool = require('../tools/chunkBuilderTool')
+
 class DocumentChunkingOptimizerAgent {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'document-chunking-optimizer-agent'
     this.role = 'Document Structure Enhancement Specialist'
     this.goal =
@@ -11,12 +15,21 @@ class DocumentChunkingOptimizerAgent {
     this.allowDelegation = false
     this.maxIter = 3
     this.memory = true
+    this.version = '1.2.0'
+    this.modifiesContent = true
+    this.provider = options.provider || require('../providers').createProvider()
+    this.sectionTool = new SectionAnalysisTool({
+      tokenBudget: options.tokenBudget,
+    })
+    // Same chunk settings as the postBuild export (the `chunks` option)
+    this.chunkBuilder = new ChunkBuilderTool(options.chunks)
   }
 
   /**
    * Main entry point - analyze and RESTRUCTURE document content
    */
-  async analyzeContent(filePath, content, currentMetadata = {}) {
+  async analyzeContent(document) {
+    const { path: filePath, content } = document
     console.log(`✂️ [Chunking Agent] Analyzing: ${filePath}`)
 
     try {
@@ -37,7 +50,7 @@ class DocumentChunkingOptimizerAgent {
       }
 
       console.log(
-        `🤖 [Chunking Agent] Calling Gemini for content restructuring...`,
+        `🤖 [Chunking Agent] Calling ${this.provider.describe()} for content restructuring...`,
       )
 
       // Generate restructuring plan
@@ -51,37 +64,52 @@ class DocumentChunkingOptimizerAgent {
         restructuringPlan,
       )
 
+      // The chunks the restructured document exports as; `filePath` is the
+      // site-relative path the export keys chunk ids on too
+      const chunks = this.chunkBuilder.buildChunks(restructuredContent, {
+        document: filePath,
+        metadata: parsed.data,
+      })
+
       // Update frontmatter with chunking metadata
       const enhancedMetadata = this.generateChunkingMetadata(
         analysisContext,
         restructuringPlan,
+        chunks,
       )
 
-      // Create final document with enhanced frontmatter and restructured content
+      // Create final document with enhanced frontmatter and restructured content.
+      // The timestamps stay out of it: later agents put the frontmatter in
+      // their prompts, which must not change between runs for the response
+      // cache and recorded fixtures to match
+      const { chunkingDate, enhanced_at, ...documentMetadata } =
+        enhancedMetadata
       const finalContent = matter.stringify(restructuredContent, {
         ...parsed.data,
-        ...enhancedMetadata,
+        ...documentMetadata,
       })
 
-      // Write the improved content back to the file
-      await this.writeImprovedContent(filePath, finalContent)
-
       console.log(
-        `🎯 [Chunking Agent] Document structure enhanced and rewritten: ${filePath}`,
+        `🎯 [Chunking Agent] Document structure enhanced: ${filePath}`,
       )
 
       return {
         originalMetadata: parsed.data,
         enhancedMetadata,
         originalContent: parsed.content,
-        restructuredContent,
+        restructuredContent: finalContent,
+        chunks,
         improvements: this.calculateImprovements(
           analysisContext,
           restructuringPlan,
         ),
         structureScoreImprovement: restructuringPlan.scoreImprovement || 0,
+        // Issues of the document as it was, for the quality gates
+        structuralIssues: analysisContext.structuralIssues,
+        outputSource: restructuringPlan.outputSource,
       }
     } catch (error) {
+      if (error.fatal) throw error
       console.error(
         `❌ [Chunking Agent] Error restructuring ${filePath}:`,
         error.message,
@@ -143,18 +171,76 @@ class DocumentChunkingOptimizerAgent {
   }
 
   /**
-   * Generate restructuring plan using Gemini
+   * Generate restructuring plan using the LLM provider. Documents over the
+   * token budget get one plan per section; the actions anchor on text from
+   * their own section, so the plans are simply combined.
    */
   async generateRestructuringPlan(context) {
+    const batches = this.sectionTool.planSections(context, sectionContext =>
+      this.buildRestructuringPrompt(sectionContext),
+    )
+    if (batches.length === 1) {
+      return this.generateSectionPlan(context)
+    }
+
+    console.log(
+      `📑 [Chunking Agent] Long document: planning ${batches.length} sections separately`,
+    )
+    const plans = []
+    for (const [index, batch] of batches.entries()) {
+      const plan = await this.generateSectionPlan(
+        this.sectionTool.buildSectionContext(
+          context,
+          batch,
+          index,
+          batches.length,
+        ),
+      )
+      plans.push({ ...plan, weight: batch.tokens })
+    }
+
+    // Fallback plans are built from document-wide issues, so drop repeats
+    const actions = new Map()
+    plans
+      .flatMap(plan => plan.actions || [])
+      .forEach(action => actions.set(JSON.stringify(action), action))
+
+    const totalWeight = plans.reduce((sum, plan) => sum + plan.weight, 0)
+    return {
+      actions: Array.from(actions.values()),
+      scoreImprovement: Math.round(
+        plans.reduce(
+          (sum, plan) => sum + (plan.scoreImprovement || 0) * plan.weight,
+          0,
+        ) / (totalWeight || 1),
+      ),
+      summary: plans
+        .map(plan => plan.summary)
+        .filter(Boolean)
+        .join(' '),
+      outputSource: this.sectionTool.mergeOutputSources(
+        plans.map(plan => plan.outputSource),
+      ),
+    }
+  }
+
+  /**
+   * Generate the plan for a whole document or a single section
+   */
+  async generateSectionPlan(context) {
     try {
-      const geminiPrompt = this.buildRestructuringPrompt(context)
-      const response = await this.callGemini(geminiPrompt)
-      return this.parseRestructuringResponse(response)
+      const prompt = this.buildRestructuringPrompt(context)
+      const { data, outputSource } = await this.provider.generateStructured(
+        prompt,
+        restructuringPlanSchema,
+      )
+      return { ...data, outputSource }
     } catch (error) {
+      if (error.fatal) throw error
       console.warn(
-        `⚠️ [Chunking Agent] Gemini restructuring failed: ${error.message}`,
+        `⚠️ [Chunking Agent] LLM restructuring failed: ${error.message}`,
       )
-      return this.generateFallbackPlan(context)
+      return { ...this.generateFallbackPlan(context), outputSource: 'fallback' }
     }
   }
 
@@ -172,7 +258,7 @@ class DocumentChunkingOptimizerAgent {
   Current Headings: ${context.headings.length}
   Structural Issues: ${context.structuralIssues.length}
       
-  CONTENT:
+  CONTENT${context.section ? ` (section ${context.section})` : ''}:
   ${context.content}
       
   RESTRUCTURING TASKS:
@@ -311,23 +397,6 @@ class DocumentChunkingOptimizerAgent {
     return lines.join('\n')
   }
 
-  /**
-   * Write improved content back to file (NO BACKUP CREATION)
-   */
-  async writeImprovedContent(filePath, content) {
-    const fs = require('fs').promises
-
-    try {
-      // Write improved content directly (no backup)
-      await fs.writeFile(filePath, content, 'utf8')
-
-      console.log(`   💾 Content restructured and saved to ${filePath}`)
-    } catch (error) {
-      console.error(`   ❌ Failed to write improved content: ${error.message}`)
-      throw error
-    }
-  }
-
   /**
    * Calculate improvements made
    */
@@ -366,12 +435,13 @@ class DocumentChunkingOptimizerAgent {
   /**
    * Generate chunking metadata for frontmatter
    */
-  generateChunkingMetadata(context, plan) {
+  generateChunkingMetadata(context, plan, chunks) {
     return {
       chunkingEnhanced: true,
       chunkingDate: new Date().toISOString(),
       structureImprovements: plan.actions.length,
-      optimalChunkSize: 350, // Target chunk size after restructuring
+      optimalChunkSize: this.chunkBuilder.maxTokens, // Max tokens per chunk
+      chunkCount: chunks.length,
       chunkingScore: Math.min(90, 70 + (plan.scoreImprovement || 0)),
       headingsAdded: plan.actions.filter(a => a.type === 'add_heading').length,
       sectionsRestructured: plan.actions.filter(a => a.type === 'split_section')
@@ -471,53 +541,6 @@ class DocumentChunkingOptimizerAgent {
     return !!hasExplanation
   }
 
-  /**
-   * Fixed JSON parsing with better error handling
-   */
-  parseRestructuringResponse(response) {
-    try {
-      // Clean the response - remove markdown code blocks and extra whitespace
-      let cleanedResponse = response.trim()
-
-      // Remove markdown code blocks if present
-      if (cleanedResponse.startsWith('```json')) {
-        cleanedResponse = cleanedResponse
-          .replace(/^```json\s*/, '')
-          .replace(/\s*```$/, '')
-      } else if (cleanedResponse.startsWith('```')) {
-        cleanedResponse = cleanedResponse
-          .replace(/^```\s*/, '')
-          .replace(/\s*```$/, '')
-      }
-
-      // Remove any leading/trailing text that isn't JSON
-      const jsonStart = cleanedResponse.indexOf('{')
-      const jsonEnd = cleanedResponse.lastIndexOf('}')
-
-      if (jsonStart !== -1 && jsonEnd !== -1) {
-        cleanedResponse = cleanedResponse.substring(jsonStart, jsonEnd + 1)
-      }
-
-      const parsed = JSON.parse(cleanedResponse)
-
-      // Validate the response structure
-      if (!parsed.actions || !Array.isArray(parsed.actions)) {
-        console.warn('⚠️ Invalid response structure, using fallback')
-        throw new Error('Invalid response structure')
-      }
-
-      return parsed
-    } catch (error) {
-      console.warn(`⚠️ Failed to parse Gemini response: ${error.message}`)
-      console.warn(`Response preview: ${response.substring(0, 200)}...`)
-      return {
-        actions: [],
-        scoreImprovement: 0,
-        summary: 'Fallback restructuring - JSON parsing failed',
-      }
-    }
-  }
-
   generateFallbackPlan(context) {
     const actions = []
 
@@ -541,74 +564,6 @@ class DocumentChunkingOptimizerAgent {
     }
   }
 
-  // Google API call (exactly matching your existing agents' pattern)
-  async callGemini(prompt) {
-    // Load environment variables (same pattern as Tavily agent)
-    if (!process.env.GEMINI_API_KEY) {
-      try {
-        const path = require('path')
-        const envPath = path.join(process.cwd(), '.env.local')
-        console.log('🔍 [Chunking Agent] Loading env from:', envPath)
-        require('dotenv').config({
-          path: envPath,
-        })
-        console.log(
-          '🔍 [Chunking Agent] After loading, GOOGLE_API_KEY exists:',
-          !!process.env.GOOGLE_API_KEY,
-        )
-      } catch (error) {
-        console.warn(
-          '⚠️ [Chunking Agent] Could not load .env.local file:',
-          error.message,
-        )
-      }
-    }
-
-    // Also try common alternative names
-    const geminiKey =
-      process.env.GEMINI_API_KEY ||
-      process.env.GOOGLE_API_KEY ||
-      process.env.GOOGLE_GEMINI_API_KEY ||
-      process.env.GOOGLE_GENERATIVE_AI_API_KEY
-
-    try {
-      const { GoogleGenerativeAI } = require('@google/generative-ai')
-
-      if (!geminiKey) {
-        console.error('❌ [Chunking Agent] No Gemini API key found. Checked:')
-        console.error('   - GEMINI_API_KEY:', !!process.env.GEMINI_API_KEY)
-        console.error('   - GOOGLE_API_KEY:', !!process.env.GOOGLE_API_KEY)
-        console.error(
-          '   - GOOGLE_GEMINI_API_KEY:',
-          !!process.env.GOOGLE_GEMINI_API_KEY,
-        )
-        console.error(
-          '   - GOOGLE_GENERATIVE_AI_API_KEY:',
-          !!process.env.GOOGLE_GENERATIVE_AI_API_KEY,
-        )
-        console.error(
-          '❌ [Chunking Agent] All env vars starting with GEMINI or GOOGLE:',
-          Object.keys(process.env).filter(
-            k => k.includes('GEMINI') || k.includes('GOOGLE'),
-          ),
-        )
-        throw new Error('No Gemini API key found in environment variables')
-      }
-
-      console.log('🔑 [Chunking Agent] Found Gemini API key, calling Gemini...')
-
-      const genAI = new GoogleGenerativeAI(geminiKey)
-      const model = genAI.getGenerativeModel({ model: 'gemini-1.5-flash' })
-
-      const result = await model.generateContent(prompt)
-      const response = await result.response
-      return response.text()
-    } catch (error) {
-      console.error('❌ [Chunking Agent] Gemini API error:', error.message)
-      throw error
-    }
-  }
-
   fallbackAnalysis(content) {
     // Return analysis-only result if restructuring fails
     return {
@@ -619,6 +574,10 @@ class DocumentChunkingOptimizerAgent {
         enhanced_by: 'rag-prep-plugin-chunking-fallback',
       },
       improvements: ['Analysis completed (restructuring failed)'],
+      structuralIssues: this.identifyStructuralIssues(
+        content.replace(/^---\r?\n[\s\S]*?\r?\n---\r?\n/, ''),
+      ),
+      outputSource: 'fallback',
     }
   }
 }
@@ -1,5 +1,8 @@
+const { seoMetadataSchema } = require('../schemas')
+const SectionAnalysisTool = require('../tools/sectionAnalysisTool')
+
 class SEOMetadataGeneratorAgent {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'seo-metadata-generator-agent'
     this.role = 'SEO Content Analysis Specialist'
     this.goal =
@@ -13,12 +16,18 @@ class SEOMetadataGeneratorAgent {
     this.allowDelegation = false
     this.maxIter = 3
     this.memory = true
+    this.version = '1.1.0'
+    this.provider = options.provider || require('../providers').createProvider()
+    this.sectionTool = new SectionAnalysisTool({
+      tokenBudget: options.tokenBudget,
+    })
   }
 
   /**
    * Analyze document content and generate enhanced SEO metadata
    */
-  async analyzeContent(filePath, content, currentMetadata = {}) {
+  async analyzeContent(document) {
+    const { path: filePath, content } = document
     console.log(`🔍 [SEO Agent] Analyzing: ${filePath}`)
 
     try {
@@ -37,8 +46,9 @@ class SEOMetadataGeneratorAgent {
         links: this.extractLinks(parsed.content),
       }
 
-      // Generate enhanced SEO metadata using Gemini
-      const enhancedMetadata = await this.generateSEOMetadata(analysisContext)
+      // Generate enhanced SEO metadata using the LLM provider
+      const { metadata: enhancedMetadata, outputSource } =
+        await this.generateSEOMetadata(analysisContext)
 
       console.log(`✅ [SEO Agent] Enhanced SEO metadata for: ${filePath}`)
 
@@ -47,6 +57,7 @@ class SEOMetadataGeneratorAgent {
         enhancedMetadata,
         content: parsed.content,
         improvements: this.identifyImprovements(parsed.data, enhancedMetadata),
+        outputSource,
       }
     } catch (error) {
       console.error(
@@ -109,69 +120,95 @@ class SEOMetadataGeneratorAgent {
   }
 
   /**
-   * Generate comprehensive SEO metadata using Gemini AI
+   * Generate comprehensive SEO metadata using the configured LLM provider.
+   * Documents over the token budget are analyzed section by section and the
+   * results merged. Resolves with the metadata and where it came from
+   * (model, repair or fallback)
    */
   async generateSEOMetadata(context) {
-    // Try to load environment variables if not already loaded
-    if (!process.env.GOOGLE_API_KEY) {
-      try {
-        const path = require('path')
-        require('dotenv').config({
-          path: path.join(process.cwd(), '.env.local'),
-        })
-      } catch (error) {
-        console.warn('⚠️  Could not load .env.local file')
-      }
+    // Fail fast on a missing API key instead of silently falling back
+    this.provider.requireApiKey()
+
+    const batches = this.sectionTool.planSections(context, sectionContext =>
+      this.buildSEOAnalysisPrompt(sectionContext),
+    )
+    if (batches.length === 1) {
+      return this.analyzeSEOSection(context)
     }
 
-    if (!process.env.GOOGLE_API_KEY) {
-      console.error(
-        '❌ [SEO Agent] GOOGLE_API_KEY not found in environment variables',
+    console.log(
+      `📑 [SEO Agent] Long document: analyzing ${batches.length} sections separately`,
+    )
+    const results = []
+    for (const [index, batch] of batches.entries()) {
+      const sectionContext = this.sectionTool.buildSectionContext(
+        context,
+        batch,
+        index,
+        batches.length,
+      )
+      const { metadata, outputSource } = await this.analyzeSEOSection(
+        sectionContext,
       )
-      throw new Error('GOOGLE_API_KEY not found in environment variables')
+      results.push({ data: metadata, weight: batch.tokens, outputSource })
     }
 
-    const { GoogleGenerativeAI } = require('@google/generative-ai')
-    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY)
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' })
+    // Title and description come from the opening section, which introduces the page
+    const merged = this.sectionTool.mergeResults(results, {
+      keepFirst: ['title', 'description', 'lastUpdated'],
+    })
+    merged.estimatedReadingTime = Math.max(
+      1,
+      Math.ceil(context.wordCount / 200),
+    )
 
+    return {
+      metadata: this.validateAndCleanSEOMetadata(merged),
+      outputSource: this.sectionTool.mergeOutputSources(
+        results.map(result => result.outputSource),
+      ),
+    }
+  }
+
+  /**
+   * Run one SEO analysis call for a whole document or a single section
+   */
+  async analyzeSEOSection(context) {
     const prompt = this.buildSEOAnalysisPrompt(context)
 
     try {
       console.log(
-        `🤖 [SEO Agent] Calling Gemini for comprehensive SEO analysis...`,
+        `🤖 [SEO Agent] Calling ${this.provider.describe()} for ${
+          context.section
+            ? `section ${context.section}`
+            : 'comprehensive SEO analysis'
+        }...`,
       )
-      const result = await model.generateContent(prompt)
-      const response = await result.response
-      const text = response.text()
-
-      // Clean the response - remove markdown code blocks if present
-      let cleanedText = text.trim()
-      if (cleanedText.startsWith('```json')) {
-        cleanedText = cleanedText
-          .replace(/^```json\s*/, '')
-          .replace(/\s*```$/, '')
-      } else if (cleanedText.startsWith('```')) {
-        cleanedText = cleanedText.replace(/^```\s*/, '').replace(/\s*```$/, '')
-      }
+      const { data: seoMetadata, outputSource } =
+        await this.provider.generateStructured(prompt, seoMetadataSchema)
 
-      // Parse the JSON response from Gemini
-      const seoMetadata = JSON.parse(cleanedText)
+      // Dated here rather than in the prompt so identical documents produce
+      // identical prompts (required for recorded fixtures)
+      seoMetadata.lastUpdated = new Date().toISOString().split('T')[0]
 
       // Validate and clean the metadata
       const validatedMetadata = this.validateAndCleanSEOMetadata(seoMetadata)
 
-      console.log(`🎯 [SEO Agent] SEO analysis complete`)
-      return validatedMetadata
+      console.log(`🎯 [SEO Agent] SEO analysis complete (${outputSource})`)
+      return { metadata: validatedMetadata, outputSource }
     } catch (error) {
-      console.error('❌ [SEO Agent] Gemini API error:', error.message)
-      // Fallback to basic SEO analysis if Gemini fails
-      return this.fallbackSEOAnalysis(context)
+      if (error.fatal) throw error
+      console.error('❌ [SEO Agent] LLM provider error:', error.message)
+      // Fallback to basic SEO analysis if the provider fails
+      return {
+        metadata: this.fallbackSEOAnalysis(context),
+        outputSource: 'fallback',
+      }
     }
   }
 
   /**
-   * Build the comprehensive SEO analysis prompt for Gemini
+   * Build the comprehensive SEO analysis prompt for the LLM provider
    */
   buildSEOAnalysisPrompt(context) {
     return `You are an expert SEO analyst specializing in technical documentation. Analyze this document and generate comprehensive SEO metadata that will improve search rankings, discoverability, and user engagement.
@@ -191,10 +228,8 @@ ${
 }
 ${context.links.length > 0 ? `External Links: ${context.links.length}` : ''}
 
-CONTENT:
-${context.content.substring(0, 2500)}${
-      context.content.length > 2500 ? '...' : ''
-    }
+CONTENT${context.section ? ` (section ${context.section})` : ''}:
+${context.content}
 
 CURRENT METADATA:
 ${JSON.stringify(context.currentMetadata, null, 2)}
@@ -213,7 +248,6 @@ Generate comprehensive SEO metadata as valid JSON with these fields:
   "searchIntent": "informational|navigational|transactional|commercial",
   "readingLevel": "beginner|intermediate|advanced",
   "estimatedReadingTime": 5,
-  "lastUpdated": "${new Date().toISOString().split('T')[0]}",
   "author": "Technical Documentation Team",
   "category": "primary-category",
   "tags": ["tag1", "tag2", "tag3"],
@@ -291,7 +325,7 @@ Return ONLY valid JSON, no markdown formatting, no code blocks.`
   }
 
   /**
-   * Fallback SEO analysis if Gemini fails
+   * Fallback SEO analysis if the LLM provider fails
    */
   fallbackSEOAnalysis(context) {
     console.log(
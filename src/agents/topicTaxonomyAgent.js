@@ -1,5 +1,8 @@
+const { topicTaxonomySchema } = require('../schemas')
+const SectionAnalysisTool = require('../tools/sectionAnalysisTool')
+
 class TopicTaxonomyAgent {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'topic-taxonomy-agent'
     this.role = 'Content Categorization Specialist'
     this.goal =
@@ -13,12 +16,18 @@ class TopicTaxonomyAgent {
     this.allowDelegation = false
     this.maxIter = 3
     this.memory = true
+    this.version = '1.1.0'
+    this.provider = options.provider || require('../providers').createProvider()
+    this.sectionTool = new SectionAnalysisTool({
+      tokenBudget: options.tokenBudget,
+    })
   }
 
   /**
    * Analyze document content and generate topic taxonomy
    */
-  async analyzeContent(filePath, content, currentMetadata = {}) {
+  async analyzeContent(document) {
+    const { path: filePath, content } = document
     console.log(`🏷️ [Taxonomy Agent] Analyzing: ${filePath}`)
 
     try {
@@ -39,8 +48,9 @@ class TopicTaxonomyAgent {
         existingKeywords: parsed.data.keywords || [],
       }
 
-      // Generate topic taxonomy using Gemini
-      const taxonomyMetadata = await this.generateTopicTaxonomy(analysisContext)
+      // Generate topic taxonomy using the LLM provider
+      const { metadata: taxonomyMetadata, outputSource } =
+        await this.generateTopicTaxonomy(analysisContext)
 
       console.log(
         `✅ [Taxonomy Agent] Generated topic taxonomy for: ${filePath}`,
@@ -51,6 +61,7 @@ class TopicTaxonomyAgent {
         enhancedMetadata: taxonomyMetadata,
         content: parsed.content,
         improvements: this.identifyImprovements(parsed.data, taxonomyMetadata),
+        outputSource,
       }
     } catch (error) {
       console.error(
@@ -141,67 +152,84 @@ class TopicTaxonomyAgent {
   }
 
   /**
-   * Generate comprehensive topic taxonomy using Gemini AI
+   * Generate comprehensive topic taxonomy using the configured LLM provider.
+   * Documents over the token budget are analyzed section by section and the
+   * results merged. Resolves with the taxonomy and where it came from
+   * (model, repair or fallback)
    */
   async generateTopicTaxonomy(context) {
-    // Try to load environment variables if not already loaded
-    if (!process.env.GOOGLE_API_KEY) {
-      try {
-        const path = require('path')
-        require('dotenv').config({
-          path: path.join(process.cwd(), '.env.local'),
-        })
-      } catch (error) {
-        console.warn('⚠️  Could not load .env.local file')
-      }
+    // Fail fast on a missing API key instead of silently falling back
+    this.provider.requireApiKey()
+
+    const batches = this.sectionTool.planSections(context, sectionContext =>
+      this.buildTaxonomyPrompt(sectionContext),
+    )
+    if (batches.length === 1) {
+      return this.analyzeTaxonomySection(context)
     }
 
-    if (!process.env.GOOGLE_API_KEY) {
-      console.error(
-        '❌ [Taxonomy Agent] GOOGLE_API_KEY not found in environment variables',
+    console.log(
+      `📑 [Taxonomy Agent] Long document: analyzing ${batches.length} sections separately`,
+    )
+    const results = []
+    for (const [index, batch] of batches.entries()) {
+      const sectionContext = this.sectionTool.buildSectionContext(
+        context,
+        batch,
+        index,
+        batches.length,
+      )
+      const { metadata, outputSource } = await this.analyzeTaxonomySection(
+        sectionContext,
       )
-      throw new Error('GOOGLE_API_KEY not found in environment variables')
+      results.push({ data: metadata, weight: batch.tokens, outputSource })
     }
 
-    const { GoogleGenerativeAI } = require('@google/generative-ai')
-    const genAI = new GoogleGenerativeAI(process.env.GOOGLE_API_KEY)
-    const model = genAI.getGenerativeModel({ model: 'gemini-2.0-flash' })
+    return {
+      metadata: this.validateAndCleanTaxonomy(
+        this.sectionTool.mergeResults(results),
+      ),
+      outputSource: this.sectionTool.mergeOutputSources(
+        results.map(result => result.outputSource),
+      ),
+    }
+  }
 
+  /**
+   * Run one taxonomy analysis call for a whole document or a single section
+   */
+  async analyzeTaxonomySection(context) {
     const prompt = this.buildTaxonomyPrompt(context)
 
     try {
-      console.log(`🤖 [Taxonomy Agent] Calling Gemini for taxonomy analysis...`)
-      const result = await model.generateContent(prompt)
-      const response = await result.response
-      const text = response.text()
-
-      // Clean the response
-      let cleanedText = text.trim()
-      if (cleanedText.startsWith('```json')) {
-        cleanedText = cleanedText
-          .replace(/^```json\s*/, '')
-          .replace(/\s*```$/, '')
-      } else if (cleanedText.startsWith('```')) {
-        cleanedText = cleanedText.replace(/^```\s*/, '').replace(/\s*```$/, '')
-      }
-
-      // Parse the JSON response from Gemini
-      const taxonomyMetadata = JSON.parse(cleanedText)
+      console.log(
+        `🤖 [Taxonomy Agent] Calling ${this.provider.describe()} for ${
+          context.section ? `section ${context.section}` : 'taxonomy analysis'
+        }...`,
+      )
+      const { data: taxonomyMetadata, outputSource } =
+        await this.provider.generateStructured(prompt, topicTaxonomySchema)
 
       // Validate and clean the metadata
       const validatedMetadata = this.validateAndCleanTaxonomy(taxonomyMetadata)
 
-      console.log(`🎯 [Taxonomy Agent] Taxonomy analysis complete`)
-      return validatedMetadata
+      console.log(
+        `🎯 [Taxonomy Agent] Taxonomy analysis complete (${outputSource})`,
+      )
+      return { metadata: validatedMetadata, outputSource }
     } catch (error) {
-      console.error('❌ [Taxonomy Agent] Gemini API error:', error.message)
-      // Fallback to basic taxonomy analysis if Gemini fails
-      return this.fallbackTaxonomyAnalysis(context)
+      if (error.fatal) throw error
+      console.error('❌ [Taxonomy Agent] LLM provider error:', error.message)
+      // Fallback to basic taxonomy analysis if the provider fails
+      return {
+        metadata: this.fallbackTaxonomyAnalysis(context),
+        outputSource: 'fallback',
+      }
     }
   }
 
   /**
-   * Build the taxonomy analysis prompt for Gemini
+   * Build the taxonomy analysis prompt for the LLM provider
    */
   buildTaxonomyPrompt(context) {
     return `You are an expert information architect and content taxonomist. Analyze this technical document and create a comprehensive topic taxonomy that will help organize content for optimal retrieval and understanding.
@@ -230,10 +258,8 @@ class TopicTaxonomyAgent {
       : ''
   }
   
-  CONTENT:
-  ${context.content.substring(0, 2500)}${
-      context.content.length > 2500 ? '...' : ''
-    }
+  CONTENT${context.section ? ` (section ${context.section})` : ''}:
+  ${context.content}
   
   CURRENT METADATA:
   ${JSON.stringify(context.currentMetadata, null, 2)}
@@ -362,7 +388,7 @@ class TopicTaxonomyAgent {
   }
 
   /**
-   * Fallback taxonomy analysis if Gemini fails
+   * Fallback taxonomy analysis if the LLM provider fails
    */
   fallbackTaxonomyAnalysis(context) {
     console.log(
@@ -0,0 +1,110 @@
+// src/api.ts
+import * as path from 'path'
+import { runRAGProcessing, validateEnvironment } from './processing'
+import {
+  AgentKey,
+  OutputOptions,
+  ProcessingResult,
+  RAGPluginOptions,
+} from './types'
+
+const AGENT_KEYS: AgentKey[] = ['seo', 'topology', 'chunking', 'research']
+
+/**
+ * Options for running enhancements without Docusaurus. Every plugin option
+ * is accepted as well (llm, cache, concurrency, pipeline, ...).
+ */
+export interface EnhanceDocsOptions
+  extends Omit<RAGPluginOptions, 'agents' | 'output'> {
+  /** Site root; `.ragasaurus/` state and relative paths resolve from it (default: the working directory) */
+  siteDir?: string
+  /** Docs directory to scan, relative to `siteDir` (default: the plugin `outputPath`) */
+  docsDir?: string
+  /** Documents to process: files or glob patterns relative to the docs directory (default: every .md and .mdx file) */
+  paths?: string[]
+  /** Agents to run: a list of agent keys, or the plugin `agents` option */
+  agents?: AgentKey[] | RAGPluginOptions['agents']
+  /** Where proposed enhancements are published (default: nowhere) */
+  output?: OutputOptions
+  /** Locale of the untranslated docs, for `i18n` runs */
+  defaultLocale?: string
+}
+
+/**
+ * Processing result with the per-file enhancements and errors
+ */
+export interface EnhanceDocsResult extends ProcessingResult {
+  /** One entry per enhanced document: agent results, final content, score */
+  enhancements: any[]
+  /** Documents that failed, with their error message */
+  errors: Array<{ file: string; error: string }>
+}
+
+/**
+ * Turn a list of agent keys into the plugin `agents` option
+ */
+function resolveAgents(
+  agents: EnhanceDocsOptions['agents'],
+): RAGPluginOptions['agents'] {
+  if (!Array.isArray(agents)) {
+    return agents
+  }
+
+  const unknown = agents.filter(key => !AGENT_KEYS.includes(key))
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown agent(s): ${unknown.join(', ')} (expected ${AGENT_KEYS.join(
+        ', ',
+      )})`,
+    )
+  }
+  return Object.fromEntries(AGENT_KEYS.map(key => [key, agents.includes(key)]))
+}
+
+/**
+ * Run the Ragasaurus agents on a docs directory from any Node script, with
+ * no Docusaurus site needed. Resolves with the same result as the plugin,
+ * plus the per-file enhancements; rejects when required API keys are
+ * missing or the run fails.
+ */
+export async function enhanceDocs(
+  options: EnhanceDocsOptions = {},
+): Promise<EnhanceDocsResult> {
+  const {
+    siteDir = process.cwd(),
+    docsDir,
+    paths,
+    agents,
+    defaultLocale,
+    ...pluginOptions
+  } = options
+
+  const resolved: RAGPluginOptions = {
+    ...pluginOptions,
+    agents: resolveAgents(agents),
+    outputPath: docsDir ?? pluginOptions.outputPath,
+    include: paths ?? pluginOptions.include,
+  }
+  const context = {
+    siteDir: path.resolve(siteDir),
+    i18n: { defaultLocale },
+  }
+
+  const envResult = await validateEnvironment(context, resolved)
+  if (!envResult.isValid) {
+    throw new Error(
+      `Missing required environment variables: ${envResult.missing.join(', ')}`,
+    )
+  }
+
+  const result = await runRAGProcessing(context, envResult.config, resolved)
+  if (result.summary?.success === false) {
+    throw new Error(`Enhancement run failed: ${result.summary.error}`)
+  }
+
+  return {
+    ...result,
+    enhancements: result.summary?.enhancements || [],
+    errors: result.summary?.errors || [],
+  }
+}
@@ -0,0 +1,673 @@
+// src/cli.ts
+import { LoadContext, Plugin } from '@docusaurus/types'
+import * as path from 'path'
+import * as fs from 'fs-extra'
+import { discoverDocuments } from './discovery'
+import { runRAGProcessing, validateEnvironment } from './processing'
+import { ProcessingResult, RAGPluginOptions } from './types'
+
+/**
+ * Exit codes returned by the `rag:*` commands
+ */
+export const EXIT_CODES = {
+  success: 0,
+  /** The workflow failed or some documents could not be enhanced */
+  failure: 1,
+  /** Invalid flags or missing configuration */
+  usage: 2,
+}
+
+type DocusaurusCli = Parameters<NonNullable<Plugin['extendCli']>>[0]
+
+const OUTPUT_FORMATS = ['text', 'json']
+const ENGINES = ['sequential', 'kaibanjs']
+
+/**
+ * Flags shared by the `rag:*` commands
+ */
+interface CliFlags {
+  docsDir?: string
+  include?: string
+  exclude?: string
+  agents?: string
+  versions?: boolean
+  i18n?: boolean | string
+  force?: boolean
+  dryRun?: boolean
+  record?: boolean | string
+  replay?: boolean | string
+  format?: string
+  logs?: boolean
+  fixtures?: boolean
+  cache?: boolean
+  concurrency?: string
+  engine?: string
+  resume?: boolean | string
+  evaluate?: boolean | string
+  runs?: string
+  history?: boolean
+}
+
+/**
+ * Error raised for invalid command line usage
+ */
+class CliUsageError extends Error {}
+
+/**
+ * Split a comma separated flag value
+ */
+function splitList(value?: string): string[] | undefined {
+  if (!value) {
+    return undefined
+  }
+  return value
+    .split(',')
+    .map(item => item.trim())
+    .filter(Boolean)
+}
+
+/**
+ * Read the parsed flags from a commander command object
+ */
+function readFlags(command: any): CliFlags {
+  return typeof command?.opts === 'function' ? command.opts() : command || {}
+}
+
+/**
+ * Apply command line flags on top of the plugin options
+ */
+function applyFlags(
+  options: RAGPluginOptions,
+  flags: CliFlags,
+): RAGPluginOptions {
+  const format = flags.format || 'text'
+  if (!OUTPUT_FORMATS.includes(format)) {
+    throw new CliUsageError(
+      `Unknown format "${format}" (expected ${OUTPUT_FORMATS.join(' or ')})`,
+    )
+  }
+
+  const resolved: RAGPluginOptions = { ...options }
+
+  if (flags.docsDir) resolved.outputPath = flags.docsDir
+  if (flags.include) resolved.include = splitList(flags.include)
+  if (flags.exclude) resolved.exclude = splitList(flags.exclude)
+  if (flags.versions) resolved.versions = true
+  if (flags.i18n) {
+    resolved.i18n =
+      typeof flags.i18n === 'string' ? splitList(flags.i18n) : true
+  }
+  if (flags.force) resolved.force = true
+  if (flags.dryRun) resolved.dryRun = true
+
+  if (flags.concurrency !== undefined) {
+    const concurrency = Number(flags.concurrency)
+    if (!Number.isInteger(concurrency) || concurrency < 1) {
+      throw new CliUsageError(
+        `Invalid --concurrency "${flags.concurrency}" (expected a positive integer)`,
+      )
+    }
+    resolved.concurrency = concurrency
+  }
+
+  if (flags.engine !== undefined) {
+    if (!ENGINES.includes(flags.engine)) {
+      throw new CliUsageError(
+        `Unknown engine "${flags.engine}" (expected ${ENGINES.join(' or ')})`,
+      )
+    }
+    resolved.engine = flags.engine as RAGPluginOptions['engine']
+  }
+
+  // --resume [runId] continues an interrupted run from its checkpoints
+  if (flags.resume) resolved.resume = flags.resume
+
+  // --evaluate [questions] measures retrieval before and after enhancement
+  if (flags.evaluate) {
+    resolved.evaluation = {
+      ...options.evaluation,
+      enabled: true,
+      ...(typeof flags.evaluate === 'string'
+        ? { questions: flags.evaluate }
+        : {}),
+    }
+  }
+
+  // --no-cache sends every prompt to the provider
+  if (flags.cache === false) {
+    resolved.cache = { ...options.cache, enabled: false }
+  }
+
+  // --record / --replay [dir] capture or serve provider responses
+  if (flags.record && flags.replay) {
+    throw new CliUsageError('--record and --replay cannot be used together')
+  }
+  const fixtureFlag = flags.record || flags.replay
+  if (fixtureFlag) {
+    resolved.fixtures = {
+      ...options.fixtures,
+      mode: flags.record ? 'record' : 'replay',
+      ...(typeof fixtureFlag === 'string' ? { dir: fixtureFlag } : {}),
+    }
+  }
+
+  return resolved
+}
+
+/**
+ * Apply `--agents` on top of the plugin options: only the listed agents run.
+ * Built-in and custom agents are listed by the keys `agents` and `pipeline`
+ * use.
+ */
+async function applyAgentsFlag(
+  context: LoadContext,
+  options: RAGPluginOptions,
+  flags: CliFlags,
+): Promise<RAGPluginOptions> {
+  const selectedAgents = splitList(flags.agents)
+  if (!selectedAgents) {
+    return options
+  }
+
+  const DocumentProcessingTeam = require('./teams/documentProcessingTeam')
+  const agentKeys: string[] = await new DocumentProcessingTeam({
+    agents: options.agents,
+    customAgents: options.customAgents,
+    siteDir: context.siteDir,
+  }).listAgentKeys()
+
+  const unknown = selectedAgents.filter(key => !agentKeys.includes(key))
+  if (unknown.length > 0) {
+    throw new CliUsageError(
+      `Unknown agent(s): ${unknown.join(', ')} (expected ${agentKeys.join(
+        ', ',
+      )})`,
+    )
+  }
+  return {
+    ...options,
+    agents: Object.fromEntries(
+      agentKeys.map(key => [key, selectedAgents.includes(key)]),
+    ),
+  }
+}
+
+/**
+ * Send agent progress logs to stderr so stdout only carries JSON output
+ */
+async function withLogsOnStderr<T>(
+  enabled: boolean,
+  fn: () => Promise<T>,
+): Promise<T> {
+  if (!enabled) {
+    return fn()
+  }
+
+  const originalLog = console.log
+  console.log = (...args: any[]) => console.error(...args)
+  try {
+    return await fn()
+  } finally {
+    console.log = originalLog
+  }
+}
+
+/**
+ * Print a command result as JSON or as text
+ */
+function printResult(format: string | undefined, data: any, text: string[]) {
+  if (format === 'json') {
+    process.stdout.write(JSON.stringify(data, null, 2) + '\n')
+  } else {
+    text.forEach(line => console.log(line))
+  }
+}
+
+/**
+ * Run a command action and translate its outcome into an exit code
+ */
+async function runCommand(
+  name: string,
+  action: () => Promise<number>,
+): Promise<void> {
+  try {
+    process.exitCode = await action()
+  } catch (error) {
+    const errorMessage =
+      error instanceof Error ? error.message : 'Unknown error'
+    console.error(`❌ ${name}: ${errorMessage}`)
+    process.exitCode =
+      error instanceof CliUsageError ? EXIT_CODES.usage : EXIT_CODES.failure
+  }
+}
+
+/**
+ * rag:enhance - run the full multi-agent workflow
+ */
+async function enhanceCommand(
+  context: LoadContext,
+  options: RAGPluginOptions,
+  flags: CliFlags,
+): Promise<number> {
+  const resolved = await applyAgentsFlag(
+    context,
+    applyFlags(options, flags),
+    flags,
+  )
+  const envResult = await validateEnvironment(context, resolved)
+
+  if (!envResult.isValid) {
+    throw new CliUsageError(
+      `Missing required environment variables: ${envResult.missing.join(', ')}`,
+    )
+  }
+
+  const result: ProcessingResult = await withLogsOnStderr(
+    flags.format === 'json',
+    () => runRAGProcessing(context, envResult.config, resolved),
+  )
+
+  const summary = result.summary?.summary || {}
+  const gatesFailed =
+    !!result.qualityGates?.failBuild && !result.qualityGates.passed
+  const failed =
+    result.summary?.success === false || summary.errors > 0 || gatesFailed
+
+  printResult(flags.format, result, [
+    '',
+    `📊 Documents discovered: ${result.filesProcessed}`,
+    `✅ Enhanced: ${result.enhancementsApplied}`,
+    `⏭️ Skipped (unchanged): ${summary.skipped || 0}`,
+    `❌ Errors: ${summary.errors || 0}`,
+    `🎯 Average RAG score: ${result.originalRagScore} → ${result.ragScore}/100`,
+    `⏱️ Processing time: ${Math.round(result.processingTime / 1000)}s`,
+    ...(result.summary?.summary?.patch?.path
+      ? [`🩹 Patch: ${result.summary.summary.patch.path}`]
+      : []),
+    ...(result.summary?.summary?.localBranch?.branch
+      ? [`🌿 Branch: ${result.summary.summary.localBranch.branch}`]
+      : []),
+    ...(summary.cache
+      ? [
+          `💾 LLM cache: ${summary.cache.hits} hits, ${summary.cache.misses} misses`,
+        ]
+      : []),
+    ...(result.summary?.error
+      ? [`❌ Workflow failed: ${result.summary.error}`]
+      : []),
+  ])
+
+  return failed ? EXIT_CODES.failure : EXIT_CODES.success
+}
+
+/**
+ * rag:analyze - discover documents and report which need enhancement
+ */
+async function analyzeCommand(
+  context: LoadContext,
+  options: RAGPluginOptions,
+  flags: CliFlags,
+): Promise<number> {
+  const resolved = await applyAgentsFlag(
+    context,
+    applyFlags(options, flags),
+    flags,
+  )
+  const DocumentProcessingTeam = require('./teams/documentProcessingTeam')
+  const EnhancementManifestTool = require('./tools/enhancementManifestTool')
+
+  const documents = await withLogsOnStderr(
+    flags.format === 'json',
+    async () => {
+      const found = await discoverDocuments(
+        context.siteDir,
+        path.join(
+          context.siteDir,
+          resolved.outputPath || 'docs-enhanced/sample-docs',
+        ),
+        {
+          include: resolved.include,
+          exclude: resolved.exclude,
+          versions: resolved.versions,
+          i18n: resolved.i18n,
+          defaultLocale: context.i18n?.defaultLocale,
+        },
+      )
+
+      const team = new DocumentProcessingTeam({
+        agents: resolved.agents,
+        maxAgents: resolved.maxAgents,
+        llm: resolved.llm,
+        pipeline: resolved.pipeline,
+        customAgents: resolved.customAgents,
+        siteDir: context.siteDir,
+      })
+      await team.initialize()
+
+      const manifest = new EnhancementManifestTool({
+        siteDir: context.siteDir,
+        force: resolved.force,
+      })
+      await manifest.load()
+      await manifest.markDocuments(found, team.agents)
+      return found
+    },
+  )
+
+  const rows = documents.map(doc => ({
+    path: doc.sitePath,
+    version: doc.version,
+    locale: doc.locale,
+    wordCount: doc.wordCount,
+    needsEnhancement: doc.needsEnhancement,
+    reason: doc.enhancementReason,
+  }))
+
+  printResult(flags.format, rows, [
+    '',
+    `📚 ${rows.length} documents, ${
+      rows.filter(row => row.needsEnhancement).length
+    } need enhancement:`,
+    ...rows.map(
+      row =>
+        `  ${row.needsEnhancement ? '🔄' : '✅'} ${row.path} [${row.version}/${
+          row.locale
+        }] ${row.wordCount} words - ${row.reason}`,
+    ),
+  ])
+
+  return EXIT_CODES.success
+}
+
+/**
+ * rag:report - show the results recorded in the manifest and the score
+ * trends recorded in the run history
+ */
+async function reportCommand(
+  context: LoadContext,
+  options: RAGPluginOptions,
+  flags: CliFlags,
+): Promise<number> {
+  applyFlags(options, flags)
+  const runs = flags.runs === undefined ? undefined : Number(flags.runs)
+  if (runs !== undefined && (!Number.isInteger(runs) || runs < 1)) {
+    throw new CliUsageError(
+      `Invalid --runs "${flags.runs}" (expected a positive integer)`,
+    )
+  }
+
+  const EnhancementManifestTool = require('./tools/enhancementManifestTool')
+  const ScoreHistoryTool = require('./tools/scoreHistoryTool')
+  const manifestTool = new EnhancementManifestTool({ siteDir: context.siteDir })
+  const historyTool = new ScoreHistoryTool({ siteDir: context.siteDir })
+
+  const hasManifest = await fs.pathExists(manifestTool.manifestPath)
+  const history = await historyTool.load()
+  if (!hasManifest && history.length === 0) {
+    console.error(
+      `ℹ️ No enhancement manifest found at ${manifestTool.manifestPath}. Run "docusaurus rag:enhance" first.`,
+    )
+    return EXIT_CODES.failure
+  }
+
+  const manifest = hasManifest
+    ? await manifestTool.load()
+    : { lastRun: null, documents: {} }
+  const documents = Object.entries(manifest.documents).map(
+    ([docPath, entry]: [string, any]) => ({
+      path: docPath,
+      ragScore: entry.ragScore,
+      lastRun: entry.lastRun,
+    }),
+  )
+  const scores = documents
+    .map(doc => doc.ragScore)
+    .filter(score => typeof score === 'number' && score > 0)
+  const averageRagScore =
+    scores.length > 0
+      ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
+      : 0
+  const trends = historyTool.buildTrends(history, { runs })
+
+  printResult(
+    flags.format,
+    { lastRun: manifest.lastRun, averageRagScore, documents, trends },
+    [
+      ...(hasManifest
+        ? [
+            '',
+            `📋 Last run: ${manifest.lastRun || 'never'}`,
+            `📁 Enhanced documents: ${documents.length}`,
+            `🎯 Average RAG score: ${averageRagScore}/100`,
+            ...documents.map(
+              doc =>
+                `  ${doc.path}: ${doc.ragScore ?? 'N/A'}/100 (${doc.lastRun})`,
+            ),
+          ]
+        : []),
+      ...formatTrends(trends),
+    ],
+  )
+
+  return EXIT_CODES.success
+}
+
+/**
+ * Text lines of the history trends shown by rag:report
+ */
+function formatTrends(trends: any): string[] {
+  if (trends.runs.length === 0) {
+    return ['', '📈 No run history yet']
+  }
+
+  const count = (value: number | null) => (value === null ? 'N/A' : value)
+  const lines = [
+    '',
+    `📈 Site trend over the last ${trends.runs.length} runs (scoring v${trends.scoringVersion}):`,
+    ...trends.runs.map((run: any, index: number) => {
+      const before = index > 0 ? trends.runs[index - 1].averageScore : null
+      const change =
+        before === null || run.averageScore === null
+          ? ''
+          : ` (${run.averageScore - before >= 0 ? '+' : ''}${
+              run.averageScore - before
+            })`
+      return `  ${run.timestamp}${run.dryRun ? ' [dry run]' : ''}: ${
+        run.averageScore ?? 'N/A'
+      }/100${change}, ${run.documents} docs (${
+        run.documentsInRun
+      } in run), critical issues ${count(
+        run.criticalIssues,
+      )}, oversized sections ${count(run.oversizedSections)}`
+    }),
+    '',
+  ]
+
+  if (trends.regressions.length > 0) {
+    lines.push(
+      '⚠️ Regressions since the previous run:',
+      ...trends.regressions.map((regression: string) => `  ${regression}`),
+    )
+  } else {
+    lines.push('✅ No site-wide regressions since the previous run')
+  }
+
+  if (trends.dropped.length > 0) {
+    lines.push(
+      '',
+      '📉 Documents whose score dropped:',
+      ...trends.dropped.map(
+        (doc: any) =>
+          `  ${doc.path}: ${doc.previous} → ${doc.current} (${doc.change})${
+            doc.failedChecks.length > 0
+              ? `, now failing ${doc.failedChecks.join(', ')}`
+              : ''
+          }`,
+      ),
+    )
+  }
+
+  return lines
+}
+
+/**
+ * rag:clean - remove Ragasaurus state and temporary files
+ */
+async function cleanCommand(
+  context: LoadContext,
+  options: RAGPluginOptions,
+  flags: CliFlags,
+): Promise<number> {
+  applyFlags(options, flags)
+  const stateDir = path.join(context.siteDir, '.ragasaurus')
+  // Working copies left behind by versions that ran agents on temp files
+  const targets = [path.join(process.cwd(), '.temp-agent-processing')]
+
+  // Recorded fixtures and the score history are kept unless --fixtures or
+  // --history is passed
+  if (await fs.pathExists(stateDir)) {
+    const entries: string[] = await fs.readdir(stateDir)
+    const kept = [
+      ...(flags.fixtures ? [] : ['fixtures']),
+      ...(flags.history ? [] : ['history.jsonl']),
+    ].filter(entry => entries.includes(entry))
+    if (kept.length === 0) {
+      targets.unshift(stateDir)
+    } else {
+      targets.unshift(
+        ...entries
+          .filter(entry => !kept.includes(entry))
+          .map(entry => path.join(stateDir, entry)),
+      )
+    }
+  }
+  if (flags.logs) {
+    targets.push(
+      path.join(process.cwd(), 'logs', 'runs'),
+      path.join(process.cwd(), 'logs', 'validation'),
+    )
+  }
+
+  const removed: string[] = []
+  for (const target of targets) {
+    if (await fs.pathExists(target)) {
+      await fs.remove(target)
+      removed.push(target)
+    }
+  }
+
+  printResult(flags.format, { removed }, [
+    removed.length > 0
+      ? `🧹 Removed:\n${removed.map(target => `  ${target}`).join('\n')}`
+      : '🧹 Nothing to clean',
+  ])
+
+  return EXIT_CODES.success
+}
+
+/**
+ * Register the `rag:*` commands on the Docusaurus CLI
+ */
+export function registerCliCommands(
+  cli: DocusaurusCli,
+  context: LoadContext,
+  options: RAGPluginOptions,
+): void {
+  const withSelectionFlags = (command: any) =>
+    command
+      .option(
+        '--docs-dir <dir>',
+        'docs directory to process, relative to the site directory',
+      )
+      .option('--include <globs>', 'comma separated globs of docs to include')
+      .option('--exclude <globs>', 'comma separated globs of docs to exclude')
+      .option(
+        '--agents <agents>',
+        'comma separated keys of the agents to run, built-in or custom',
+      )
+      .option('--versions', 'also process versioned_docs/')
+      .option(
+        '--i18n [locales]',
+        'also process translated docs (all locales, or a comma separated list)',
+      )
+      .option('--force', 'ignore the manifest and process every document')
+      .option('--format <format>', 'output format: text or json', 'text')
+
+  withSelectionFlags(
+    cli
+      .command('rag:enhance')
+      .description('Run the Ragasaurus agents on your documentation.'),
+  )
+    .option(
+      '--dry-run',
+      'write a local .patch and diff report instead of publishing changes',
+    )
+    .option(
+      '--concurrency <n>',
+      'number of documents to process in parallel (agents still run in order per document)',
+    )
+    .option(
+      '--engine <engine>',
+      'how agents are orchestrated per document: sequential or kaibanjs',
+    )
+    .option(
+      '--resume [runId]',
+      'continue an interrupted run (default: the latest unfinished run), skipping finished documents',
+    )
+    .option(
+      '--evaluate [questions]',
+      'report BM25 recall@k and MRR before and after enhancement, with generated questions or a question file',
+    )
+    .option('--no-cache', 'bypass the LLM response cache (no reads or writes)')
+    .option(
+      '--record [dir]',
+      'save every LLM and search response as a fixture (default: .ragasaurus/fixtures)',
+    )
+    .option(
+      '--replay [dir]',
+      'serve recorded fixtures instead of calling providers; fails on a missing fixture',
+    )
+    .action((command: any) =>
+      runCommand('rag:enhance', () =>
+        enhanceCommand(context, options, readFlags(command)),
+      ),
+    )
+
+  withSelectionFlags(
+    cli
+      .command('rag:analyze')
+      .description(
+        'List discovered documents and which ones need enhancement. Loads the agents to compare them with the manifest, but makes no LLM calls and needs no API keys.',
+      ),
+  ).action((command: any) =>
+    runCommand('rag:analyze', () =>
+      analyzeCommand(context, options, readFlags(command)),
+    ),
+  )
+
+  cli
+    .command('rag:report')
+    .description(
+      'Show the results and score trends of previous Ragasaurus runs.',
+    )
+    .option('--runs <n>', 'number of recent runs in the score trend', '10')
+    .option('--format <format>', 'output format: text or json', 'text')
+    .action((command: any) =>
+      runCommand('rag:report', () =>
+        reportCommand(context, options, readFlags(command)),
+      ),
+    )
+
+  cli
+    .command('rag:clean')
+    .description('Remove the Ragasaurus manifest and temporary files.')
+    .option('--logs', 'also remove run and validation logs')
+    .option('--fixtures', 'also remove recorded fixtures')
+    .option('--history', 'also remove the score history')
+    .option('--format <format>', 'output format: text or json', 'text')
+    .action((command: any) =>
+      runCommand('rag:clean', () =>
+        cleanCommand(context, options, readFlags(command)),
+      ),
+    )
+}
@@ -0,0 +1,244 @@
+// src/discovery.ts
+import * as path from 'path'
+import * as fs from 'fs-extra'
+
+/**
+ * Document info interface
+ */
+export interface DocumentInfo {
+  /** Path relative to the docs directory the document was found in */
+  path: string
+  /** Path relative to the site root (used for PRs and reports) */
+  sitePath: string
+  fullPath: string
+  title: string
+  content: string
+  frontmatter: Record<string, any>
+  wordCount: number
+  /** Docs version ('current' for the unversioned docs) */
+  version: string
+  /** Locale the document is written in */
+  locale: string
+  /** Set from the enhancement manifest before processing */
+  needsEnhancement?: boolean
+  /** Why the document needs enhancement (new, changed, agents, forced) */
+  enhancementReason?: string
+  /** SHA-256 of the raw file content */
+  contentHash?: string
+}
+
+/**
+ * Document discovery options
+ */
+export interface DiscoveryOptions {
+  /** Glob patterns of documents to include, relative to each docs directory */
+  include?: string[]
+  /** Glob patterns of documents to exclude, added to `DEFAULT_EXCLUDE` */
+  exclude?: string[]
+  /** Also discover versioned docs under `versioned_docs/` */
+  versions?: boolean
+  /** Also discover translated docs under `i18n/` (true for every locale) */
+  i18n?: boolean | string[]
+  /** Locale of the untranslated docs */
+  defaultLocale?: string
+}
+
+/**
+ * A directory of docs belonging to one version and locale
+ */
+interface ContentRoot {
+  dir: string
+  version: string
+  locale: string
+}
+
+export const DEFAULT_INCLUDE = ['**/*.{md,mdx}']
+
+// Docusaurus ignores `_`-prefixed files and folders (partials)
+export const DEFAULT_EXCLUDE = [
+  '**/_*',
+  '**/_*/**',
+  '**/node_modules/**',
+  '**/*.backup*',
+  '**/*.original.md',
+]
+
+const DOCS_PLUGIN_I18N_DIR = 'docusaurus-plugin-content-docs'
+const VERSION_DIR_PREFIX = 'version-'
+
+/**
+ * List `version-*` directories inside a parent directory
+ */
+async function findVersionDirs(
+  parentDir: string,
+): Promise<{ dir: string; version: string }[]> {
+  if (!(await fs.pathExists(parentDir))) {
+    return []
+  }
+
+  const entries = await fs.readdir(parentDir, { withFileTypes: true })
+  return entries
+    .filter(
+      entry => entry.isDirectory() && entry.name.startsWith(VERSION_DIR_PREFIX),
+    )
+    .map(entry => ({
+      dir: path.join(parentDir, entry.name),
+      version: entry.name.slice(VERSION_DIR_PREFIX.length),
+    }))
+    .sort((a, b) => a.version.localeCompare(b.version))
+}
+
+/**
+ * Resolve every docs directory to scan: the current docs, versioned docs
+ * and translated docs following the standard Docusaurus layout
+ */
+async function resolveContentRoots(
+  siteDir: string,
+  docsDir: string,
+  options: DiscoveryOptions,
+): Promise<ContentRoot[]> {
+  const defaultLocale = options.defaultLocale || 'en'
+  const roots: ContentRoot[] = [
+    { dir: docsDir, version: 'current', locale: defaultLocale },
+  ]
+
+  // versioned_docs/version-<name>/
+  if (options.versions) {
+    const versionDirs = await findVersionDirs(
+      path.join(siteDir, 'versioned_docs'),
+    )
+    versionDirs.forEach(({ dir, version }) =>
+      roots.push({ dir, version, locale: defaultLocale }),
+    )
+  }
+
+  // i18n/<locale>/docusaurus-plugin-content-docs/{current,version-<name>}/
+  if (options.i18n) {
+    const i18nDir = path.join(siteDir, 'i18n')
+    let locales: string[] = []
+
+    if (Array.isArray(options.i18n)) {
+      locales = options.i18n
+    } else if (await fs.pathExists(i18nDir)) {
+      const entries = await fs.readdir(i18nDir, { withFileTypes: true })
+      locales = entries
+        .filter(entry => entry.isDirectory())
+        .map(entry => entry.name)
+        .sort()
+    }
+
+    for (const locale of locales) {
+      const pluginDir = path.join(i18nDir, locale, DOCS_PLUGIN_I18N_DIR)
+      const currentDir = path.join(pluginDir, 'current')
+
+      if (await fs.pathExists(currentDir)) {
+        roots.push({ dir: currentDir, version: 'current', locale })
+      }
+
+      if (options.versions) {
+        const versionDirs = await findVersionDirs(pluginDir)
+        versionDirs.forEach(({ dir, version }) =>
+          roots.push({ dir, version, locale }),
+        )
+      }
+    }
+  }
+
+  return roots
+}
+
+/**
+ * Discover markdown and MDX documents under the target docs directory,
+ * its versioned copies and its translations
+ */
+export async function discoverDocuments(
+  siteDir: string,
+  docsDir: string,
+  options: DiscoveryOptions = {},
+): Promise<DocumentInfo[]> {
+  const matter = require('gray-matter')
+  const fg = require('fast-glob')
+
+  try {
+    if (!(await fs.pathExists(docsDir))) {
+      await fs.ensureDir(docsDir)
+    }
+
+    const roots = await resolveContentRoots(siteDir, docsDir, options)
+    const include = options.include?.length ? options.include : DEFAULT_INCLUDE
+    // User patterns add to the defaults, so partials stay excluded
+    const exclude = [...DEFAULT_EXCLUDE, ...(options.exclude || [])]
+
+    const processedFiles: DocumentInfo[] = []
+
+    for (const root of roots) {
+      const files: string[] = (
+        await fg(include, {
+          cwd: root.dir,
+          ignore: exclude,
+          onlyFiles: true,
+        })
+      ).sort()
+
+      if (files.length === 0) {
+        continue
+      }
+
+      console.log(
+        `📚 Found ${files.length} markdown files in ${path.relative(
+          siteDir,
+          root.dir,
+        )} (version: ${root.version}, locale: ${root.locale}):`,
+      )
+
+      for (let i = 0; i < files.length; i++) {
+        const file = files[i]
+        const fullPath = path.join(root.dir, file)
+        const sitePath = path
+          .relative(siteDir, fullPath)
+          .split(path.sep)
+          .join('/')
+
+        try {
+          const content = await fs.readFile(fullPath, 'utf8')
+          const parsed = matter(content)
+
+          const fileInfo: DocumentInfo = {
+            path: file,
+            sitePath,
+            fullPath,
+            title: parsed.data.title || path.basename(file, path.extname(file)),
+            content: parsed.content,
+            frontmatter: parsed.data,
+            wordCount: parsed.content.split(/\s+/).length,
+            version: root.version,
+            locale: root.locale,
+          }
+
+          processedFiles.push(fileInfo)
+
+          console.log(
+            `  ${i + 1}. ${file} (${fileInfo.wordCount} words) - "${
+              fileInfo.title
+            }"`,
+          )
+        } catch (error) {
+          const errorMessage =
+            error instanceof Error ? error.message : 'Unknown error'
+          console.warn(`⚠️ Error reading ${sitePath}: ${errorMessage}`)
+        }
+      }
+    }
+
+    if (processedFiles.length === 0) {
+      console.log('📚 Found 0 markdown files')
+    }
+
+    return processedFiles
+  } catch (error) {
+    const errorMessage =
+      error instanceof Error ? error.message : 'Unknown error'
+    console.error('❌ Error discovering documents:', errorMessage)
+    return []
+  }
+}
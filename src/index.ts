@@ -1,139 +1,36 @@
 // src/index.ts
 import { LoadContext, Plugin } from '@docusaurus/types'
 import * as path from 'path'
-import * as fs from 'fs-extra'
-
-/**
- * Plugin Options Interface
- */
-export interface RAGPluginOptions {
-  /** Enable/disable the plugin */
-  enabled?: boolean
-  /** Enable verbose logging */
-  verbose?: boolean
-  /** Path to documentation directory */
-  docsPath?: string
-  /** Skip interactive prompt in development */
-  skipPrompt?: boolean
-  /** Agent configuration */
-  agents?: {
-    seo?: boolean
-    topology?: boolean
-    chunking?: boolean
-    research?: boolean
-  }
-  /** GitHub integration options */
-  github?: {
-    createPR?: boolean
-    owner?: string
-    repo?: string
-    token?: string
-  }
-  /** Maximum number of agents to run */
-  maxAgents?: number
-  /** Target directory for enhanced docs */
-  outputPath?: string
-}
-
-/**
- * Environment validation result
- */
-interface EnvValidationResult {
-  isValid: boolean
-  missing: string[]
-  present: string[]
-  config: EnvironmentConfig
-}
-
-/**
- * Environment configuration
- */
-interface EnvironmentConfig {
-  googleApiKey?: string
-  tavilyApiKey?: string
-  skipPrompt: boolean
-  nodeEnv: string
-  isDevelopment: boolean
-  isProduction: boolean
-}
-
-/**
- * Processing result from RAG workflow
- */
-interface ProcessingResult {
-  filesProcessed: number
-  enhancementsApplied: number
-  ragScore: number
-  processingTime: number
-  agentResults: any[]
-  summary: any
-}
-
-/**
- * Document info interface
- */
-interface DocumentInfo {
-  path: string
-  fullPath: string
-  title: string
-  content: string
-  frontmatter: Record<string, any>
-  wordCount: number
-}
-
-/**
- * Load environment files (.env.local, .env, etc.)
- */
-async function loadEnvironmentFiles(context: LoadContext): Promise<void> {
-  try {
-    const dotenv = require('dotenv')
-    const envFiles = ['.env.local', '.env']
-
-    for (const envFile of envFiles) {
-      const envPath = path.join(context.siteDir, envFile)
-      if (await fs.pathExists(envPath)) {
-        dotenv.config({ path: envPath })
-        break
-      }
-    }
-  } catch (error) {
-    // Dotenv not available or files not found - that's ok
-  }
-}
-
-/**
- * Validate environment variables and configuration
- */
-async function validateEnvironment(
-  context: LoadContext,
-  options: RAGPluginOptions,
-): Promise<EnvValidationResult> {
-  // Load environment variables from .env files
-  await loadEnvironmentFiles(context)
-
-  const required = ['GOOGLE_API_KEY', 'TAVILY_API_KEY']
-  const optional = ['RAG_SKIP_PROMPT', 'NODE_ENV']
-
-  const missing = required.filter(key => !process.env[key])
-  const present = required.filter(key => process.env[key])
-
-  const config: EnvironmentConfig = {
-    googleApiKey: process.env.GOOGLE_API_KEY,
-    tavilyApiKey: process.env.TAVILY_API_KEY,
-    skipPrompt:
-      process.env.RAG_SKIP_PROMPT === 'true' || options.skipPrompt || false,
-    nodeEnv: process.env.NODE_ENV || 'development',
-    isDevelopment: (process.env.NODE_ENV || 'development') === 'development',
-    isProduction: process.env.NODE_ENV === 'production',
-  }
-
-  return {
-    isValid: missing.length === 0,
-    missing,
-    present: [...present, ...optional.filter(key => process.env[key])],
-    config,
-  }
-}
+import { DocumentInfo } from './discovery'
+import { registerCliCommands } from './cli'
+import { enhanceDocs, EnhanceDocsOptions, EnhanceDocsResult } from './api'
+import { runRAGProcessing, validateEnvironment } from './processing'
+import {
+  AgentDocument,
+  AgentKey,
+  AgentResult,
+  ChunkOptions,
+  CustomAgentDefinition,
+  DocumentChunk,
+  DocumentReadiness,
+  EnvironmentConfig,
+  EvaluationOptions,
+  FixtureOptions,
+  LLMOptions,
+  LLMProviderConfig,
+  OutputOptions,
+  PipelineStepOptions,
+  ProcessingResult,
+  QualityGate,
+  QualityGateOptions,
+  QualityGateResult,
+  RagasaurusAgent,
+  RagasaurusEventHandlers,
+  RagasaurusEventName,
+  RagasaurusEvents,
+  RAGPluginOptions,
+  ReadinessCheck,
+} from './types'
 
 /**
  * Determine if processing should run based on environment and user input
@@ -195,125 +92,6 @@ async function promptUser(): Promise<boolean> {
   })
 }
 
-/**
- * Main RAG processing workflow
- */
-async function runRAGProcessing(
-  context: LoadContext,
-  config: EnvironmentConfig,
-  options: RAGPluginOptions,
-): Promise<ProcessingResult> {
-  // Import heavy dependencies only when needed
-  const DocumentProcessingTeam = require('./teams/documentProcessingTeam')
-
-  const startTime = Date.now()
-
-  // Determine target docs directory
-  const siteDir = context.siteDir
-  const targetDocsDir = path.join(
-    siteDir,
-    options.outputPath || 'docs-enhanced/sample-docs',
-  )
-
-  // Discover and analyze documents
-  console.log('\n🔍 Starting document discovery...')
-  const processedFiles = await discoverDocuments(targetDocsDir)
-
-  if (processedFiles.length === 0) {
-    console.log('ℹ️ No documents found to process')
-    return {
-      filesProcessed: 0,
-      enhancementsApplied: 0,
-      ragScore: 0,
-      processingTime: Date.now() - startTime,
-      agentResults: [],
-      summary: { message: 'No documents found' },
-    }
-  }
-
-  // Initialize and run the multi-agent workflow
-  const documentTeam = new DocumentProcessingTeam()
-  await documentTeam.initialize()
-
-  // Process documents with the agent team
-  const result = await documentTeam.processDocuments(processedFiles)
-
-  // Calculate final metrics
-  const processingTime = Date.now() - startTime
-  const enhancementResult: ProcessingResult = {
-    filesProcessed: processedFiles.length,
-    enhancementsApplied: result?.successful || 0,
-    ragScore: result?.averageRagScore || 0,
-    processingTime,
-    agentResults: result?.agentResults || [],
-    summary: result || { message: 'Processing completed' },
-  }
-
-  return enhancementResult
-}
-
-/**
- * Discover markdown documents in the target directory
- */
-async function discoverDocuments(docsDir: string): Promise<DocumentInfo[]> {
-  const matter = require('gray-matter')
-
-  try {
-    if (!(await fs.pathExists(docsDir))) {
-      await fs.ensureDir(docsDir)
-      return []
-    }
-
-    // Find all markdown files
-    const files = await fs.readdir(docsDir)
-    const markdownFiles = files.filter(
-      (file: string) => file.endsWith('.md') && !file.includes('.backup'),
-    )
-
-    console.log('📚 Found', markdownFiles.length, 'markdown files:')
-
-    const processedFiles: DocumentInfo[] = []
-
-    for (let i = 0; i < markdownFiles.length; i++) {
-      const file = markdownFiles[i]
-      const fullPath = path.join(docsDir, file)
-
-      try {
-        const content = await fs.readFile(fullPath, 'utf8')
-        const parsed = matter(content)
-
-        const fileInfo: DocumentInfo = {
-          path: file,
-          fullPath,
-          title: parsed.data.title || file.replace('.md', ''),
-          content: parsed.content,
-          frontmatter: parsed.data,
-          wordCount: parsed.content.split(/\s+/).length,
-        }
-
-        processedFiles.push(fileInfo)
-
-        console.log(
-          `  ${i + 1}. ${file} (${fileInfo.wordCount} words) - "${
-            fileInfo.title
-          }"`,
-        )
-      } catch (error) {
-        const errorMessage =
-          error instanceof Error ? error.message : 'Unknown error'
-        console.warn(`⚠️ Error reading ${file}: ${errorMessage}`)
-      }
-    }
-
-    return processedFiles
-  } catch (error) {
-    const errorMessage =
-      error instanceof Error ? error.message : 'Unknown error'
-    console.error('❌ Error discovering documents:', errorMessage)
-    return []
-  }
-}
-
 /**
  * RAG Documentation Enhancement Plugin for Docusaurus
  */
@@ -339,6 +117,14 @@ function ragPrepPlugin(
     },
   } = options
 
+  // Options with defaults applied, passed through to the agent team
+  const resolvedOptions: RAGPluginOptions = {
+    ...options,
+    agents,
+    maxAgents,
+    github,
+  }
+
   return {
     name: 'docusaurus-plugin-rag-prep',
 
@@ -355,14 +141,16 @@ function ragPrepPlugin(
 
       try {
         // Step 1: Load and validate environment
-        const envResult = await validateEnvironment(context, options)
+        const envResult = await validateEnvironment(context, resolvedOptions)
         if (!envResult.isValid) {
           console.warn(
             '⚠️ RAG Plugin: Missing required environment variables:',
             envResult.missing,
           )
           if (verbose) {
-            console.log('💡 Required: GOOGLE_API_KEY, TAVILY_API_KEY')
+            console.log(
+              '💡 Required keys depend on the enabled agents and their llm providers',
+            )
             console.log('💡 Optional: RAG_SKIP_PROMPT')
             console.log('💡 Add these to your .env.local file')
           }
@@ -393,17 +181,30 @@ function ragPrepPlugin(
         const result = await runRAGProcessing(
           context,
           envResult.config,
-          options,
+          resolvedOptions,
         )
 
         if (verbose && result) {
           console.log('✅ RAG enhancement completed successfully')
           console.log(`📊 Processed ${result.filesProcessed} files`)
-          console.log(`🎯 Average RAG score: ${result.ragScore}/100`)
+          console.log(
+            `🎯 Average RAG score: ${result.originalRagScore} → ${result.ragScore}/100`,
+          )
+        }
+
+        // Step 4: Fail the build when a quality gate is breached in CI
+        if (result.qualityGates?.failBuild && !result.qualityGates.passed) {
+          const { QualityGateError } = require('./tools/qualityGateTool')
+          throw new QualityGateError(result.qualityGates.report)
         }
 
         return result
       } catch (error) {
+        // Breached quality gates are the one error that must stop the build
+        if (error instanceof Error && error.name === 'QualityGateError') {
+          throw error
+        }
+
         const errorMessage =
           error instanceof Error ? error.message : 'Unknown error'
         const errorStack =
@@ -429,6 +230,9 @@ function ragPrepPlugin(
             enabled: true,
             filesProcessed: content.filesProcessed,
             ragScore: content.ragScore,
+            originalRagScore: content.originalRagScore,
+            // Per-document scores with the checks that justify them
+            documents: content.documents,
             processingTime: content.processingTime,
             timestamp: new Date().toISOString(),
           },
@@ -440,6 +244,44 @@ function ragPrepPlugin(
       }
     },
 
+    /**
+     * Export the chunks of every built doc as JSONL for ingestion, using
+     * the enhanced content of the documents enhanced in this build
+     */
+    async postBuild({ content, plugins, outDir, siteConfig }): Promise<void> {
+      if (!enabled || !options.chunks?.export) {
+        return
+      }
+
+      const ChunkExportTool = require('./tools/chunkExportTool')
+      const exporter = new ChunkExportTool({
+        ...options.chunks,
+        siteDir: context.siteDir,
+        siteUrl: siteConfig.url,
+      })
+      const enhancedContent = new Map<string, string>(
+        (content?.summary?.enhancements || []).map((enhancement: any) => [
+          enhancement.filePath,
+          enhancement.finalContent,
+        ]),
+      )
+
+      await exporter.export(exporter.documentsFromPlugins(plugins), {
+        outputFile: path.resolve(
+          outDir,
+          options.chunks.outputPath || 'rag-chunks.jsonl',
+        ),
+        enhancedContent,
+      })
+    },
+
+    /**
+     * Register the rag:enhance, rag:analyze, rag:report and rag:clean commands
+     */
+    extendCli(cli) {
+      registerCliCommands(cli, context, resolvedOptions)
+    },
+
     /**
      * Get paths to watch for hot reload
      */
@@ -475,9 +317,37 @@ function ragPrepPlugin(
 export default ragPrepPlugin
 export { ragPrepPlugin }
 
+// Programmatic API for build scripts and other site generators
+export { enhanceDocs }
+
 // Type exports for users
 export type {
+  RAGPluginOptions,
   RAGPluginOptions as PluginOptions,
   ProcessingResult,
   EnvironmentConfig,
+  DocumentInfo,
+  OutputOptions,
+  LLMOptions,
+  LLMProviderConfig,
+  FixtureOptions,
+  EvaluationOptions,
+  AgentKey,
+  PipelineStepOptions,
+  RagasaurusAgent,
+  AgentDocument,
+  AgentResult,
+  CustomAgentDefinition,
+  EnhanceDocsOptions,
+  EnhanceDocsResult,
+  RagasaurusEvents,
+  RagasaurusEventName,
+  RagasaurusEventHandlers,
+  DocumentReadiness,
+  ReadinessCheck,
+  QualityGateOptions,
+  QualityGateResult,
+  QualityGate,
+  ChunkOptions,
+  DocumentChunk,
 }
@@ -0,0 +1,343 @@
+// src/processing.ts
+import { LoadContext } from '@docusaurus/types'
+import * as path from 'path'
+import * as fs from 'fs-extra'
+import { discoverDocuments } from './discovery'
+import {
+  EnvironmentConfig,
+  CacheOptions,
+  CheckpointOptions,
+  EnvValidationResult,
+  EvaluationOptions,
+  FixtureOptions,
+  OutputOptions,
+  ProcessingResult,
+  QualityGateOptions,
+  RAGPluginOptions,
+} from './types'
+
+/**
+ * The parts of the Docusaurus load context that processing uses, so that it
+ * can also run outside Docusaurus
+ */
+export type ProcessingContext = Pick<LoadContext, 'siteDir'> & {
+  i18n?: { defaultLocale?: string }
+}
+
+/**
+ * Load environment files (.env.local, .env, etc.)
+ */
+async function loadEnvironmentFiles(context: ProcessingContext): Promise<void> {
+  try {
+    const dotenv = require('dotenv')
+    const envFiles = ['.env.local', '.env']
+
+    for (const envFile of envFiles) {
+      const envPath = path.join(context.siteDir, envFile)
+      if (await fs.pathExists(envPath)) {
+        dotenv.config({ path: envPath })
+        break
+      }
+    }
+  } catch (error) {
+    // Dotenv not available or files not found - that's ok
+  }
+}
+
+/**
+ * Check whether an agent is enabled in the plugin `agents` option
+ */
+function isAgentEnabled(options: RAGPluginOptions, key: string): boolean {
+  const setting = (options.agents as Record<string, any> | undefined)?.[key]
+  if (setting && typeof setting === 'object') {
+    return setting.enabled !== false
+  }
+  return setting !== false
+}
+
+/**
+ * Validate environment variables and configuration
+ */
+export async function validateEnvironment(
+  context: ProcessingContext,
+  options: RAGPluginOptions,
+): Promise<EnvValidationResult> {
+  // Load environment variables from .env files
+  await loadEnvironmentFiles(context)
+
+  const optional = ['RAG_SKIP_PROMPT', 'NODE_ENV']
+
+  // Only require the keys of the providers the enabled agents actually use;
+  // replaying recorded fixtures needs no keys at all
+  const replaying = options.fixtures?.mode === 'replay'
+  const { getMissingApiKeys } = require('./providers')
+  const missing: string[] = replaying
+    ? []
+    : getMissingApiKeys(options.llm, (key: string) =>
+        isAgentEnabled(options, key),
+      )
+  const present: string[] = []
+
+  if (!replaying && isAgentEnabled(options, 'research')) {
+    if (process.env.TAVILY_API_KEY) {
+      present.push('TAVILY_API_KEY')
+    } else {
+      missing.push('TAVILY_API_KEY')
+    }
+  }
+
+  const config: EnvironmentConfig = {
+    googleApiKey: process.env.GOOGLE_API_KEY,
+    tavilyApiKey: process.env.TAVILY_API_KEY,
+    skipPrompt:
+      process.env.RAG_SKIP_PROMPT === 'true' || options.skipPrompt || false,
+    nodeEnv: process.env.NODE_ENV || 'development',
+    isDevelopment: (process.env.NODE_ENV || 'development') === 'development',
+    isProduction: process.env.NODE_ENV === 'production',
+    isCI: !!process.env.CI && process.env.CI !== 'false',
+  }
+
+  return {
+    isValid: missing.length === 0,
+    missing,
+    present: [...present, ...optional.filter(key => process.env[key])],
+    config,
+  }
+}
+
+/**
+ * Resolve how proposed enhancements are published. Dry runs always write a
+ * local patch so nothing leaves the machine.
+ */
+function resolveOutput(
+  siteDir: string,
+  options: RAGPluginOptions,
+): Required<OutputOptions> & { siteDir: string } {
+  const mode = options.dryRun
+    ? 'patch'
+    : options.output?.mode || (options.github?.createPR ? 'github' : 'none')
+
+  return {
+    mode,
+    dir: path.resolve(siteDir, options.output?.dir || '.ragasaurus/patches'),
+    branchPrefix: options.output?.branchPrefix || 'rag-enhancements-',
+    siteDir,
+  }
+}
+
+/**
+ * Resolve fixture recording/replay; fixtures live in the site directory
+ */
+function resolveFixtures(
+  siteDir: string,
+  options: RAGPluginOptions,
+): Required<FixtureOptions> {
+  return {
+    mode: options.fixtures?.mode || 'off',
+    dir: path.resolve(siteDir, options.fixtures?.dir || '.ragasaurus/fixtures'),
+  }
+}
+
+/**
+ * Resolve the LLM response cache settings; the cache lives in the site directory
+ */
+function resolveCache(
+  siteDir: string,
+  options: RAGPluginOptions,
+): CacheOptions {
+  return {
+    ...options.cache,
+    enabled: options.cache?.enabled !== false,
+    dir: path.resolve(siteDir, options.cache?.dir || '.ragasaurus/cache'),
+  }
+}
+
+/**
+ * Resolve run checkpoints; runs live in the site directory
+ */
+function resolveCheckpoints(
+  siteDir: string,
+  options: RAGPluginOptions,
+): CheckpointOptions & { resume: boolean | string } {
+  return {
+    ...options.checkpoints,
+    enabled: options.checkpoints?.enabled !== false,
+    dir: path.resolve(siteDir, options.checkpoints?.dir || '.ragasaurus/runs'),
+    resume: options.resume || false,
+  }
+}
+
+/**
+ * Resolve the retrieval evaluation; the question file is relative to the site directory
+ */
+function resolveEvaluation(
+  siteDir: string,
+  options: RAGPluginOptions,
+): EvaluationOptions {
+  return {
+    ...options.evaluation,
+    enabled: options.evaluation?.enabled === true,
+    questions: options.evaluation?.questions
+      ? path.resolve(siteDir, options.evaluation.questions)
+      : undefined,
+  }
+}
+
+/**
+ * Resolve the quality gates; breaches fail the build in CI unless configured otherwise
+ */
+function resolveQualityGates(
+  config: EnvironmentConfig,
+  options: RAGPluginOptions,
+): QualityGateOptions {
+  return {
+    ...options.qualityGates,
+    failBuild: options.qualityGates?.failBuild ?? config.isCI,
+  }
+}
+
+/**
+ * Main RAG processing workflow
+ */
+export async function runRAGProcessing(
+  context: ProcessingContext,
+  config: EnvironmentConfig,
+  options: RAGPluginOptions,
+): Promise<ProcessingResult> {
+  // Import heavy dependencies only when needed
+  const DocumentProcessingTeam = require('./teams/documentProcessingTeam')
+
+  const startTime = Date.now()
+
+  // Determine target docs directory
+  const siteDir = context.siteDir
+  const targetDocsDir = path.join(
+    siteDir,
+    options.outputPath || 'docs-enhanced/sample-docs',
+  )
+
+  // Discover and analyze documents
+  console.log('\n🔍 Starting document discovery...')
+  const processedFiles = await discoverDocuments(siteDir, targetDocsDir, {
+    include: options.include,
+    exclude: options.exclude,
+    versions: options.versions,
+    i18n: options.i18n,
+    defaultLocale: context.i18n?.defaultLocale,
+  })
+
+  if (processedFiles.length === 0) {
+    console.log('ℹ️ No documents found to process')
+    return {
+      filesProcessed: 0,
+      enhancementsApplied: 0,
+      ragScore: 0,
+      originalRagScore: 0,
+      documents: [],
+      qualityGates: null,
+      processingTime: Date.now() - startTime,
+      agentResults: [],
+      summary: { message: 'No documents found' },
+    }
+  }
+
+  // Initialize and run the multi-agent workflow with the configured agents
+  const documentTeam = new DocumentProcessingTeam({
+    agents: options.agents,
+    maxAgents: options.maxAgents,
+    github: options.github,
+    llm: options.llm,
+    fixtures: resolveFixtures(siteDir, options),
+    cache: resolveCache(siteDir, options),
+    checkpoints: resolveCheckpoints(siteDir, options),
+    output: resolveOutput(siteDir, options),
+    concurrency: options.concurrency,
+    engine: options.engine,
+    pipeline: options.pipeline,
+    customAgents: options.customAgents,
+    siteDir,
+    rateLimits: options.rateLimits,
+    events: options.events,
+    agentPolicies: options.agentPolicies,
+    evaluation: resolveEvaluation(siteDir, options),
+    chunks: options.chunks,
+  })
+  await documentTeam.initialize()
+
+  // Mark new and changed documents using the enhancement manifest
+  const EnhancementManifestTool = require('./tools/enhancementManifestTool')
+  const manifest = new EnhancementManifestTool({
+    siteDir,
+    force: options.force,
+  })
+  await manifest.load()
+  await manifest.markDocuments(processedFiles, documentTeam.agents)
+
+  // Process documents with the agent team
+  const result = await documentTeam.processDocuments(processedFiles)
+
+  // Remember what was published so unchanged docs are skipped next time.
+  // Enhancements that went nowhere (patch or no output, a failed PR or
+  // branch) stay unrecorded and are proposed again. Documents the agents
+  // left as they were are recorded: they have nothing to lose.
+  const published = new Set(result?.published || [])
+  const recorded = (result?.enhancements || []).filter(
+    (enhancement: any) =>
+      published.has(enhancement.relativePath) ||
+      enhancement.finalContent === enhancement.originalContent,
+  )
+  if (recorded.length > 0) {
+    manifest.recordRun(recorded, documentTeam.agents)
+    await manifest.save()
+  }
+
+  // Check the configured quality gates: scores cover every discovered
+  // document, issues the processed ones plus the last recorded issues of
+  // those the manifest skipped
+  const QualityGateTool = require('./tools/qualityGateTool')
+  const ScoreHistoryTool = require('./tools/scoreHistoryTool')
+  const history = new ScoreHistoryTool({ siteDir })
+  const gateTool = new QualityGateTool(resolveQualityGates(config, options))
+  let qualityGates = null
+  if (gateTool.isConfigured()) {
+    const latest = history.latestDocuments(await history.load())
+    qualityGates = gateTool.evaluate(result?.enhancements || [], {
+      documents: await gateTool.scoreDocuments(processedFiles),
+      recorded: processedFiles
+        .filter(doc => !doc.needsEnhancement && latest.has(doc.sitePath))
+        .map(doc => latest.get(doc.sitePath)),
+      runFailed: !result?.success,
+    })
+  }
+
+  // Append the run's scores to the history behind `rag:report` trends
+  if (result?.success && result.summary?.totalFiles > 0) {
+    await history.append(
+      history.buildEntry(result, { dryRun: options.dryRun, qualityGates }),
+    )
+  }
+
+  // Calculate final metrics
+  const processingTime = Date.now() - startTime
+  const enhancementResult: ProcessingResult = {
+    filesProcessed: processedFiles.length,
+    enhancementsApplied: result?.summary?.successful || 0,
+    ragScore: result?.summary?.averageRagScore || 0,
+    originalRagScore: result?.summary?.averageOriginalRagScore || 0,
+    documents: (result?.enhancements || [])
+      .filter((enhancement: any) => enhancement.readiness)
+      .map((enhancement: any) => ({
+        path: enhancement.relativePath,
+        ragScore: enhancement.ragScore,
+        originalRagScore: enhancement.originalRagScore,
+        scoringVersion: enhancement.readiness.version,
+        checks: enhancement.readiness.checks,
+      })),
+    qualityGates,
+    processingTime,
+    agentResults: result?.agentResults || [],
+    summary: result || { message: 'Processing completed' },
+  }
+
+  return enhancementResult
+}
@@ -0,0 +1,229 @@
+const path = require('path')
+
+/**
+ * Base LLM Provider
+ * Shared interface for the model backends the agents call: text and JSON
+ * generation, model selection and API key resolution
+ */
+class BaseProvider {
+  constructor(options = {}) {
+    this.name = 'base'
+    this.options = options
+    this.model = options.model || this.getDefaultModel()
+    this.baseUrl = options.baseUrl
+    this.temperature = options.temperature
+    this.apiKey = options.apiKey
+    this.maxRepairs = options.maxRepairs ?? 2
+  }
+
+  /**
+   * Default model when none is configured
+   */
+  getDefaultModel() {
+    return null
+  }
+
+  /**
+   * Environment variables checked for an API key, in order
+   */
+  getApiKeyEnvVars() {
+    return this.options.apiKeyEnv ? [this.options.apiKeyEnv] : []
+  }
+
+  /**
+   * Whether this provider needs an API key at all
+   */
+  requiresApiKey() {
+    return true
+  }
+
+  /**
+   * Resolve the API key from options, then the environment, then .env.local
+   */
+  resolveApiKey() {
+    if (this.apiKey) {
+      return this.apiKey
+    }
+
+    const envVars = this.getApiKeyEnvVars()
+    const findKey = () =>
+      envVars.map(name => process.env[name]).find(value => value)
+
+    if (!findKey() && envVars.length > 0) {
+      try {
+        require('dotenv').config({
+          path: path.join(process.cwd(), '.env.local'),
+        })
+      } catch (error) {
+        console.warn('⚠️  Could not load .env.local file')
+      }
+    }
+
+    this.apiKey = findKey()
+    return this.apiKey
+  }
+
+  /**
+   * Return the API key or throw a descriptive error
+   */
+  requireApiKey() {
+    const apiKey = this.resolveApiKey()
+    if (!apiKey && this.requiresApiKey()) {
+      throw new Error(
+        `No API key found for ${
+          this.name
+        } provider (checked ${this.getApiKeyEnvVars().join(', ')})`,
+      )
+    }
+    return apiKey
+  }
+
+  /**
+   * Identifier used in logs, manifests and cache keys
+   */
+  describe() {
+    return `${this.name}:${this.model}`
+  }
+
+  /**
+   * Generate a plain text completion
+   */
+  async generateText(prompt, options = {}) {
+    throw new Error(`${this.constructor.name} must implement generateText()`)
+  }
+
+  /**
+   * Generate a completion and parse it as JSON
+   */
+  async generateJSON(prompt, options = {}) {
+    const text = await this.generateText(prompt, { ...options, json: true })
+    return BaseProvider.parseJSON(text)
+  }
+
+  /**
+   * Generate JSON that must match a schema. Invalid responses are sent back
+   * to the model with the validation errors, up to `maxRepairs` times.
+   * Resolves with `{ data, outputSource: 'model' | 'repair', attempts }`.
+   */
+  async generateStructured(prompt, schema, options = {}) {
+    const { validateSchema } = require('../schemas')
+    const maxRepairs = options.maxRepairs ?? this.maxRepairs
+    let currentPrompt = prompt
+    let errors = []
+
+    for (let attempt = 0; attempt <= maxRepairs; attempt++) {
+      const text = await this.generateText(currentPrompt, {
+        ...options,
+        json: true,
+      })
+
+      let data
+      try {
+        data = BaseProvider.parseJSON(text)
+        errors = validateSchema(schema, data).errors
+      } catch (error) {
+        errors = [`Response is not valid JSON: ${error.message}`]
+      }
+
+      if (errors.length === 0) {
+        return {
+          data,
+          outputSource: attempt === 0 ? 'model' : 'repair',
+          attempts: attempt + 1,
+        }
+      }
+
+      console.warn(
+        `⚠️ [${this.describe()}] ${
+          schema.$id
+        } response failed validation (attempt ${attempt + 1}/${
+          maxRepairs + 1
+        }): ${errors.slice(0, 3).join('; ')}`,
+      )
+      currentPrompt = BaseProvider.buildRepairPrompt(prompt, text, errors)
+    }
+
+    const error = new Error(
+      `${
+        schema.$id
+      } response still invalid after ${maxRepairs} repair attempts: ${errors.join(
+        '; ',
+      )}`,
+    )
+    error.validationErrors = errors
+    throw error
+  }
+
+  /**
+   * Ask the model to correct its previous response
+   */
+  static buildRepairPrompt(prompt, previousResponse, errors) {
+    return `${prompt}
+
+YOUR PREVIOUS RESPONSE WAS INVALID:
+${String(previousResponse).substring(0, 4000)}
+
+VALIDATION ERRORS:
+${errors.map(error => `- ${error}`).join('\n')}
+
+Return the corrected response as ONLY valid JSON that fixes every error above, no markdown formatting, no code blocks.`
+  }
+
+  /**
+   * Parse a JSON response, removing markdown code fences if present
+   */
+  static parseJSON(text) {
+    let cleanedText = String(text).trim()
+    if (cleanedText.startsWith('```json')) {
+      cleanedText = cleanedText
+        .replace(/^```json\s*/, '')
+        .replace(/\s*```$/, '')
+    } else if (cleanedText.startsWith('```')) {
+      cleanedText = cleanedText.replace(/^```\s*/, '').replace(/\s*```$/, '')
+    }
+
+    // Drop any leading/trailing prose around the JSON object
+    const jsonStart = cleanedText.indexOf('{')
+    const jsonEnd = cleanedText.lastIndexOf('}')
+    if (jsonStart !== -1 && jsonEnd > jsonStart) {
+      cleanedText = cleanedText.substring(jsonStart, jsonEnd + 1)
+    }
+
+    return JSON.parse(cleanedText)
+  }
+
+  /**
+   * Run a network request through this provider's shared rate limiter
+   */
+  rateLimited(task) {
+    const { getRateLimiter } = require('./rateLimiter')
+    return getRateLimiter(this.name).schedule(task)
+  }
+
+  /**
+   * POST a JSON body and return the parsed JSON response
+   */
+  async postJSON(url, body, headers = {}) {
+    const response = await this.rateLimited(() =>
+      fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+      }),
+    )
+
+    if (!response.ok) {
+      const errorText = await response.text().catch(() => '')
+      throw new Error(
+        `${this.name} request failed (${response.status}): ${errorText.slice(
+          0,
+          200,
+        )}`,
+      )
+    }
+
+    return response.json()
+  }
+}
+
+module.exports = BaseProvider
@@ -0,0 +1,54 @@
+const BaseProvider = require('./baseProvider')
+
+/**
+ * Cached Provider
+ * Wraps an LLM provider and serves repeated prompts from a ResponseCache
+ */
+class CachedProvider extends BaseProvider {
+  constructor(inner, cache) {
+    super({ model: inner.model, maxRepairs: inner.maxRepairs })
+    this.inner = inner
+    this.cache = cache
+    this.name = inner.name
+  }
+
+  describe() {
+    return this.inner.describe()
+  }
+
+  getApiKeyEnvVars() {
+    return this.inner.getApiKeyEnvVars()
+  }
+
+  requiresApiKey() {
+    return this.inner.requiresApiKey()
+  }
+
+  resolveApiKey() {
+    return this.inner.resolveApiKey()
+  }
+
+  requireApiKey() {
+    return this.inner.requireApiKey()
+  }
+
+  async generateText(prompt, options = {}) {
+    const providerId = this.describe()
+    const key = this.cache.buildKey(providerId, {
+      prompt,
+      json: !!options.json,
+    })
+
+    const cached = await this.cache.get(key)
+    if (cached !== undefined) {
+      console.log(`💾 [LLM Cache] Hit for ${providerId}`)
+      return cached
+    }
+
+    const response = await this.inner.generateText(prompt, options)
+    await this.cache.set(key, providerId, response)
+    return response
+  }
+}
+
+module.exports = CachedProvider
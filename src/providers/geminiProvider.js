@@ -0,0 +1,50 @@
+const BaseProvider = require('./baseProvider')
+
+/**
+ * Gemini Provider
+ * Google Generative AI models through `@google/generative-ai`
+ */
+class GeminiProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = 'gemini'
+  }
+
+  getDefaultModel() {
+    return 'gemini-2.0-flash'
+  }
+
+  getApiKeyEnvVars() {
+    return [
+      ...super.getApiKeyEnvVars(),
+      'GOOGLE_API_KEY',
+      'GEMINI_API_KEY',
+      'GOOGLE_GEMINI_API_KEY',
+      'GOOGLE_GENERATIVE_AI_API_KEY',
+    ]
+  }
+
+  async generateText(prompt, options = {}) {
+    const { GoogleGenerativeAI } = require('@google/generative-ai')
+    const genAI = new GoogleGenerativeAI(this.requireApiKey())
+
+    const generationConfig = {}
+    if (this.temperature !== undefined) {
+      generationConfig.temperature = this.temperature
+    }
+    if (options.json) {
+      generationConfig.responseMimeType = 'application/json'
+    }
+
+    const model = genAI.getGenerativeModel({
+      model: this.model,
+      generationConfig,
+    })
+
+    const result = await this.rateLimited(() => model.generateContent(prompt))
+    const response = await result.response
+    return response.text()
+  }
+}
+
+module.exports = GeminiProvider
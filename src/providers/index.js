@@ -0,0 +1,110 @@
+const BaseProvider = require('./baseProvider')
+const GeminiProvider = require('./geminiProvider')
+const OpenAICompatibleProvider = require('./openAICompatibleProvider')
+const OllamaProvider = require('./ollamaProvider')
+const TavilySearchProvider = require('./tavilySearchProvider')
+const RecordReplayProvider = require('./recordReplayProvider')
+const CachedProvider = require('./cachedProvider')
+const ResponseCache = require('./responseCache')
+const { FixtureMissingError } = RecordReplayProvider
+
+const PROVIDERS = {
+  gemini: GeminiProvider,
+  'openai-compatible': OpenAICompatibleProvider,
+  ollama: OllamaProvider,
+}
+
+const DEFAULT_PROVIDER = 'gemini'
+
+// Agents that call an LLM (the research agent uses Tavily search instead)
+const LLM_AGENT_KEYS = ['seo', 'topology', 'chunking']
+
+/**
+ * Merge the shared `llm` options with the per-agent override
+ */
+function resolveProviderConfig(llmOptions = {}, agentKey) {
+  const { agents = {}, ...shared } = llmOptions
+  const override = (agentKey && agents[agentKey]) || {}
+
+  // Switching provider for one agent should not inherit another provider's model
+  const base =
+    override.provider && override.provider !== shared.provider ? {} : shared
+
+  return {
+    ...base,
+    ...override,
+    provider: override.provider || shared.provider || DEFAULT_PROVIDER,
+  }
+}
+
+/**
+ * Create a provider instance from a resolved config
+ */
+function createProvider(config = {}) {
+  const providerName = config.provider || DEFAULT_PROVIDER
+  const ProviderClass = PROVIDERS[providerName]
+
+  if (!ProviderClass) {
+    throw new Error(
+      `Unknown LLM provider "${providerName}". Available: ${Object.keys(
+        PROVIDERS,
+      ).join(', ')}`,
+    )
+  }
+
+  return new ProviderClass(config)
+}
+
+/**
+ * Create the web search provider used by the research agent
+ */
+function createSearchProvider(config = {}) {
+  return new TavilySearchProvider(config)
+}
+
+/**
+ * Wrap an LLM provider with the on-disk response cache (if any)
+ */
+function withCache(provider, cache) {
+  return cache ? new CachedProvider(provider, cache) : provider
+}
+
+/**
+ * Wrap a provider for fixture recording or replay (`fixtures.mode`)
+ */
+function withFixtures(provider, fixtures = {}) {
+  if (fixtures.mode !== 'record' && fixtures.mode !== 'replay') {
+    return provider
+  }
+  return new RecordReplayProvider(provider, fixtures)
+}
+
+/**
+ * List the API key environment variables missing for the enabled agents
+ */
+function getMissingApiKeys(llmOptions = {}, isAgentEnabled = () => true) {
+  const missing = new Set()
+
+  LLM_AGENT_KEYS.filter(isAgentEnabled).forEach(agentKey => {
+    const provider = createProvider(resolveProviderConfig(llmOptions, agentKey))
+    if (provider.requiresApiKey() && !provider.resolveApiKey()) {
+      missing.add(provider.getApiKeyEnvVars()[0])
+    }
+  })
+
+  return Array.from(missing)
+}
+
+module.exports = {
+  BaseProvider,
+  FixtureMissingError,
+  ResponseCache,
+  PROVIDERS,
+  LLM_AGENT_KEYS,
+  resolveProviderConfig,
+  createProvider,
+  createSearchProvider,
+  withCache,
+  withFixtures,
+  getMissingApiKeys,
+}
@@ -0,0 +1,54 @@
+const BaseProvider = require('./baseProvider')
+
+/**
+ * Ollama Provider
+ * A local Ollama-style HTTP server (`POST /api/generate`), no API key needed
+ */
+class OllamaProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = 'ollama'
+    this.baseUrl = (
+      options.baseUrl ||
+      process.env.OLLAMA_HOST ||
+      'http://localhost:11434'
+    ).replace(/\/+$/, '')
+  }
+
+  getDefaultModel() {
+    return 'llama3.1'
+  }
+
+  requiresApiKey() {
+    return false
+  }
+
+  async generateText(prompt, options = {}) {
+    const apiKey = this.resolveApiKey()
+
+    const body = {
+      model: this.model,
+      prompt,
+      stream: false,
+    }
+    if (this.temperature !== undefined) {
+      body.options = { temperature: this.temperature }
+    }
+    if (options.json) {
+      body.format = 'json'
+    }
+
+    const data = await this.postJSON(
+      `${this.baseUrl}/api/generate`,
+      body,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    )
+
+    if (typeof data.response !== 'string') {
+      throw new Error(`${this.name} response did not include any content`)
+    }
+    return data.response
+  }
+}
+
+module.exports = OllamaProvider
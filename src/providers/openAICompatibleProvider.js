@@ -0,0 +1,61 @@
+const BaseProvider = require('./baseProvider')
+
+/**
+ * OpenAI-Compatible Provider
+ * Any endpoint implementing the OpenAI `/chat/completions` API
+ * (OpenAI, Azure OpenAI proxies, OpenRouter, LM Studio, vLLM, ...)
+ */
+class OpenAICompatibleProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = 'openai-compatible'
+    this.baseUrl = (options.baseUrl || 'https://api.openai.com/v1').replace(
+      /\/+$/,
+      '',
+    )
+  }
+
+  getDefaultModel() {
+    return 'gpt-4o-mini'
+  }
+
+  getApiKeyEnvVars() {
+    return [...super.getApiKeyEnvVars(), 'OPENAI_API_KEY']
+  }
+
+  /**
+   * Local OpenAI-compatible servers usually run without a key
+   */
+  requiresApiKey() {
+    return !/^https?:\/\/(localhost|127\.0\.0\.1)/.test(this.baseUrl)
+  }
+
+  async generateText(prompt, options = {}) {
+    const apiKey = this.requireApiKey()
+
+    const body = {
+      model: this.model,
+      messages: [{ role: 'user', content: prompt }],
+    }
+    if (this.temperature !== undefined) {
+      body.temperature = this.temperature
+    }
+    if (options.json && this.options.jsonMode) {
+      body.response_format = { type: 'json_object' }
+    }
+
+    const data = await this.postJSON(
+      `${this.baseUrl}/chat/completions`,
+      body,
+      apiKey ? { Authorization: `Bearer ${apiKey}` } : {},
+    )
+
+    const text = data.choices?.[0]?.message?.content
+    if (typeof text !== 'string') {
+      throw new Error(`${this.name} response did not include any content`)
+    }
+    return text
+  }
+}
+
+module.exports = OpenAICompatibleProvider
@@ -0,0 +1,150 @@
+const MINUTE_MS = 60 * 1000
+
+// Conservative defaults for free tiers; other providers are unlimited unless configured
+const DEFAULT_RATE_LIMITS = {
+  gemini: { requestsPerMinute: 15 },
+  tavily: { requestsPerMinute: 60 },
+  github: { requestsPerMinute: 60 },
+}
+
+/**
+ * Rate Limiter
+ * Caps the requests started per rolling minute and, optionally, the number
+ * of requests in flight. Waiting callers are served in order.
+ */
+class RateLimiter {
+  constructor(name, options = {}) {
+    this.name = name
+    this.requestsPerMinute = options.requestsPerMinute || 0
+    this.maxConcurrent = options.maxConcurrent || 0
+    this.startTimes = []
+    this.active = 0
+    this.waiting = []
+    this.timer = null
+    this.stats = { requests: 0, throttled: 0, waitedMs: 0 }
+  }
+
+  /**
+   * Run `task` once the limits allow it
+   */
+  async schedule(task) {
+    await this.acquire()
+    try {
+      return await task()
+    } finally {
+      this.release()
+    }
+  }
+
+  async acquire() {
+    const queuedAt = Date.now()
+    if (this.waiting.length > 0 || !this.tryStart()) {
+      this.stats.throttled++
+      await new Promise(resolve => {
+        this.waiting.push(resolve)
+        this.drain()
+      })
+    }
+    this.stats.requests++
+    this.stats.waitedMs += Date.now() - queuedAt
+  }
+
+  release() {
+    this.active--
+    this.drain()
+  }
+
+  /**
+   * Claim a slot if both limits allow it
+   */
+  tryStart() {
+    const now = Date.now()
+    this.startTimes = this.startTimes.filter(time => now - time < MINUTE_MS)
+
+    if (this.maxConcurrent && this.active >= this.maxConcurrent) {
+      return false
+    }
+    if (
+      this.requestsPerMinute &&
+      this.startTimes.length >= this.requestsPerMinute
+    ) {
+      return false
+    }
+
+    this.startTimes.push(now)
+    this.active++
+    return true
+  }
+
+  /**
+   * Start as many waiting callers as the limits allow, and schedule a retry
+   * for when the oldest request leaves the rolling window
+   */
+  drain() {
+    while (this.waiting.length > 0 && this.tryStart()) {
+      this.waiting.shift()()
+    }
+
+    if (
+      this.waiting.length > 0 &&
+      !this.timer &&
+      this.requestsPerMinute &&
+      this.startTimes.length >= this.requestsPerMinute
+    ) {
+      const delay = this.startTimes[0] + MINUTE_MS - Date.now()
+      console.log(
+        `⏳ [Rate Limit] ${this.name}: ${
+          this.requestsPerMinute
+        } requests/minute reached, waiting ${Math.ceil(delay / 1000)}s`,
+      )
+      this.timer = setTimeout(() => {
+        this.timer = null
+        this.drain()
+      }, Math.max(delay, 0))
+    }
+  }
+
+  getStats() {
+    return { ...this.stats }
+  }
+}
+
+// One limiter per provider, shared by every agent and worker in the process
+const limiters = new Map()
+let limitOptions = { ...DEFAULT_RATE_LIMITS }
+
+/**
+ * Override the default limits (`rateLimits` plugin option). Existing
+ * limiters are replaced so the new limits apply to the next run.
+ */
+function configureRateLimits(rateLimits = {}) {
+  limitOptions = { ...DEFAULT_RATE_LIMITS, ...rateLimits }
+  limiters.clear()
+}
+
+/**
+ * The shared limiter for a provider name (e.g. `gemini`, `tavily`, `github`)
+ */
+function getRateLimiter(name) {
+  if (!limiters.has(name)) {
+    limiters.set(name, new RateLimiter(name, limitOptions[name]))
+  }
+  return limiters.get(name)
+}
+
+/**
+ * Stats for every limiter that has handled a request
+ */
+function getRateLimitStats() {
+  const stats = {}
+  limiters.forEach((limiter, name) => {
+    stats[name] = limiter.getStats()
+  })
+  return stats
+}
+
+module.exports = RateLimiter
+module.exports.DEFAULT_RATE_LIMITS = DEFAULT_RATE_LIMITS
+module.exports.configureRateLimits = configureRateLimits
+module.exports.getRateLimiter = getRateLimiter
+module.exports.getRateLimitStats = getRateLimitStats
@@ -0,0 +1,129 @@
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+const BaseProvider = require('./baseProvider')
+const { runUnguarded } = require('../tasks/agentSandbox')
+
+/**
+ * Raised in replay mode when no fixture matches a request. Marked `fatal` so
+ * agents rethrow it instead of falling back to heuristics.
+ */
+class FixtureMissingError extends Error {
+  constructor(fixturePath, description) {
+    super(
+      `No recorded fixture for ${description} (expected ${fixturePath}). Re-run in record mode to capture it.`,
+    )
+    this.name = 'FixtureMissingError'
+    this.fatal = true
+    this.fixturePath = fixturePath
+  }
+}
+
+/**
+ * Record/Replay Provider
+ * Wraps an LLM or search provider. `record` saves every request and
+ * response to the fixtures directory keyed by a request hash; `replay`
+ * serves those responses without touching the network.
+ */
+class RecordReplayProvider extends BaseProvider {
+  constructor(inner, options = {}) {
+    super({ model: inner.model, maxRepairs: inner.maxRepairs })
+    this.inner = inner
+    this.name = inner.name
+    this.mode = options.mode || 'replay'
+    this.dir = path.resolve(options.dir || '.ragasaurus/fixtures')
+  }
+
+  describe() {
+    return this.inner.describe()
+  }
+
+  getApiKeyEnvVars() {
+    return this.inner.getApiKeyEnvVars()
+  }
+
+  requiresApiKey() {
+    return this.mode === 'replay' ? false : this.inner.requiresApiKey()
+  }
+
+  resolveApiKey() {
+    return this.mode === 'replay' ? null : this.inner.resolveApiKey()
+  }
+
+  requireApiKey() {
+    return this.mode === 'replay' ? null : this.inner.requireApiKey()
+  }
+
+  async generateText(prompt, options = {}) {
+    return this.withFixture('llm', { prompt, json: !!options.json }, () =>
+      this.inner.generateText(prompt, options),
+    )
+  }
+
+  async search(query, options = {}) {
+    return this.withFixture('search', { query, options }, () =>
+      this.inner.search(query, options),
+    )
+  }
+
+  /**
+   * Fixture file for a request: `<dir>/<type>-<sha256>.json`
+   */
+  getFixturePath(type, request) {
+    const hash = crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ type, provider: this.describe(), request }))
+      .digest('hex')
+    return path.join(this.dir, `${type}-${hash}.json`)
+  }
+
+  /**
+   * Serve a request from its fixture, or call the inner provider and save it
+   */
+  async withFixture(type, request, call) {
+    const fixturePath = this.getFixturePath(type, request)
+
+    if (this.mode === 'replay') {
+      if (!(await fs.pathExists(fixturePath))) {
+        throw new FixtureMissingError(
+          fixturePath,
+          `${type} request to ${this.describe()}`,
+        )
+      }
+      const fixture = await fs.readJson(fixturePath)
+      console.log(
+        `📼 [Replay] ${this.describe()} ${type} served from ${path.basename(
+          fixturePath,
+        )}`,
+      )
+      return fixture.response
+    }
+
+    const response = await call()
+
+    // Recording happens inside agent calls, past the agent write guard
+    await runUnguarded(async () => {
+      await fs.ensureDir(this.dir)
+      await fs.writeJson(
+        fixturePath,
+        {
+          type,
+          provider: this.describe(),
+          request,
+          response,
+          recordedAt: new Date().toISOString(),
+        },
+        { spaces: 2 },
+      )
+    })
+    console.log(
+      `🔴 [Record] ${this.describe()} ${type} saved to ${path.basename(
+        fixturePath,
+      )}`,
+    )
+    return response
+  }
+}
+
+module.exports = RecordReplayProvider
+module.exports.FixtureMissingError = FixtureMissingError
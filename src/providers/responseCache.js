@@ -0,0 +1,128 @@
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+const { runUnguarded } = require('../tasks/agentSandbox')
+
+const DAY_MS = 24 * 60 * 60 * 1000
+
+/**
+ * Response Cache
+ * On-disk store of LLM responses, one JSON file per request, with a TTL
+ * and entry/size limits. Oldest entries are evicted first.
+ */
+class ResponseCache {
+  constructor(options = {}) {
+    this.dir = path.resolve(options.dir || '.ragasaurus/cache')
+    this.ttlMs = (options.ttlDays ?? 7) * DAY_MS
+    this.maxEntries = options.maxEntries ?? 500
+    this.maxSizeBytes = (options.maxSizeMB ?? 50) * 1024 * 1024
+    this.stats = { hits: 0, misses: 0, writes: 0, evictions: 0 }
+  }
+
+  /**
+   * Cache key for a request to a provider and model
+   */
+  buildKey(providerId, request) {
+    return crypto
+      .createHash('sha256')
+      .update(JSON.stringify({ provider: providerId, request }))
+      .digest('hex')
+  }
+
+  getEntryPath(key) {
+    return path.join(this.dir, `${key}.json`)
+  }
+
+  /**
+   * Return the cached response, or undefined on a miss or expired entry
+   */
+  async get(key) {
+    const entryPath = this.getEntryPath(key)
+
+    try {
+      if (await fs.pathExists(entryPath)) {
+        const entry = await fs.readJson(entryPath)
+        if (Date.now() - entry.createdAt <= this.ttlMs) {
+          this.stats.hits++
+          return entry.response
+        }
+        await runUnguarded(() => fs.remove(entryPath))
+      }
+    } catch (error) {
+      console.warn(`⚠️ [LLM Cache] Ignoring unreadable entry: ${error.message}`)
+    }
+
+    this.stats.misses++
+    return undefined
+  }
+
+  /**
+   * Store a response and enforce the cache limits. Runs inside agent calls,
+   * so it opts out of the agent write guard.
+   */
+  async set(key, providerId, response) {
+    try {
+      await runUnguarded(async () => {
+        await fs.ensureDir(this.dir)
+        await fs.writeJson(this.getEntryPath(key), {
+          provider: providerId,
+          createdAt: Date.now(),
+          response,
+        })
+        this.stats.writes++
+        await this.prune()
+      })
+    } catch (error) {
+      console.warn(`⚠️ [LLM Cache] Could not write entry: ${error.message}`)
+    }
+  }
+
+  /**
+   * Remove expired entries, then the oldest ones until within the limits
+   */
+  async prune() {
+    if (!(await fs.pathExists(this.dir))) {
+      return
+    }
+
+    const files = (await fs.readdir(this.dir)).filter(file =>
+      file.endsWith('.json'),
+    )
+    const entries = []
+    for (const file of files) {
+      const filePath = path.join(this.dir, file)
+      const stat = await fs.stat(filePath)
+      entries.push({ filePath, size: stat.size, mtimeMs: stat.mtimeMs })
+    }
+
+    entries.sort((a, b) => a.mtimeMs - b.mtimeMs)
+    let totalSize = entries.reduce((sum, entry) => sum + entry.size, 0)
+    let remaining = entries.length
+    const now = Date.now()
+
+    for (const entry of entries) {
+      const expired = now - entry.mtimeMs > this.ttlMs
+      if (
+        !expired &&
+        remaining <= this.maxEntries &&
+        totalSize <= this.maxSizeBytes
+      ) {
+        break
+      }
+      await fs.remove(entry.filePath)
+      totalSize -= entry.size
+      remaining--
+      this.stats.evictions++
+    }
+  }
+
+  getStats() {
+    const lookups = this.stats.hits + this.stats.misses
+    return {
+      ...this.stats,
+      hitRate: lookups > 0 ? Math.round((this.stats.hits / lookups) * 100) : 0,
+    }
+  }
+}
+
+module.exports = ResponseCache
@@ -0,0 +1,34 @@
+const BaseProvider = require('./baseProvider')
+
+/**
+ * Tavily Search Provider
+ * Web search used by the research agent, through `@tavily/core`
+ */
+class TavilySearchProvider extends BaseProvider {
+  constructor(options = {}) {
+    super(options)
+    this.name = 'tavily'
+    this.client = null
+  }
+
+  getApiKeyEnvVars() {
+    return [...super.getApiKeyEnvVars(), 'TAVILY_API_KEY']
+  }
+
+  describe() {
+    return this.name
+  }
+
+  /**
+   * Run a web search and return the raw Tavily response
+   */
+  async search(query, options = {}) {
+    if (!this.client) {
+      const { tavily } = require('@tavily/core')
+      this.client = tavily({ apiKey: this.requireApiKey() })
+    }
+    return this.rateLimited(() => this.client.search(query, options))
+  }
+}
+
+module.exports = TavilySearchProvider
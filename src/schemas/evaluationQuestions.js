@@ -0,0 +1,22 @@
+/**
+ * Question/answer pairs generated for a document by the retrieval evaluation
+ */
+module.exports = {
+  $id: 'evaluation-questions',
+  type: 'object',
+  required: ['questions'],
+  properties: {
+    questions: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['question', 'answer'],
+        properties: {
+          question: { type: 'string', minLength: 1 },
+          answer: { type: 'string' },
+        },
+      },
+    },
+  },
+}
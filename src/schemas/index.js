@@ -0,0 +1,47 @@
+const seoMetadataSchema = require('./seoMetadata')
+const topicTaxonomySchema = require('./topicTaxonomy')
+const restructuringPlanSchema = require('./restructuringPlan')
+const evaluationQuestionsSchema = require('./evaluationQuestions')
+
+let ajv = null
+
+/**
+ * Shared Ajv instance; compiled validators are cached by schema `$id`
+ */
+function getAjv() {
+  if (!ajv) {
+    const Ajv = require('ajv')
+    ajv = new Ajv({ allErrors: true, strict: false })
+  }
+  return ajv
+}
+
+/**
+ * Validate data against a schema and return readable error messages
+ */
+function validateSchema(schema, data) {
+  const instance = getAjv()
+  const validate = instance.getSchema(schema.$id) || instance.compile(schema)
+
+  if (validate(data)) {
+    return { valid: true, errors: [] }
+  }
+
+  return {
+    valid: false,
+    errors: validate.errors.map(error => {
+      const allowed = error.params?.allowedValues
+      return `${error.instancePath || '(root)'} ${error.message}${
+        allowed ? ` (${allowed.join(', ')})` : ''
+      }`
+    }),
+  }
+}
+
+module.exports = {
+  seoMetadataSchema,
+  topicTaxonomySchema,
+  restructuringPlanSchema,
+  evaluationQuestionsSchema,
+  validateSchema,
+}
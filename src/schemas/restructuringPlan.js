@@ -0,0 +1,49 @@
+const nonEmptyString = { type: 'string', minLength: 1 }
+
+/**
+ * Require the fields a restructuring action type needs to be applied
+ */
+const actionRequires = (type, required) => ({
+  if: { properties: { type: { const: type } } },
+  then: { required },
+})
+
+/**
+ * Restructuring plan returned by the chunking agent's model call
+ */
+module.exports = {
+  $id: 'restructuring-plan',
+  type: 'object',
+  required: ['actions'],
+  properties: {
+    actions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['type'],
+        properties: {
+          type: { enum: ['add_heading', 'split_section', 'add_bridge'] },
+          level: { enum: [2, 3] },
+          text: nonEmptyString,
+          insertAfter: nonEmptyString,
+          originalHeading: nonEmptyString,
+          newSubsections: { type: 'array', items: nonEmptyString },
+          splitPoints: { type: 'array', items: { type: 'string' } },
+          bridgeText: nonEmptyString,
+          reason: { type: 'string' },
+        },
+        allOf: [
+          actionRequires('add_heading', ['level', 'text', 'insertAfter']),
+          actionRequires('split_section', [
+            'originalHeading',
+            'newSubsections',
+            'splitPoints',
+          ]),
+          actionRequires('add_bridge', ['insertAfter', 'bridgeText']),
+        ],
+      },
+    },
+    scoreImprovement: { type: 'number', minimum: 0 },
+    summary: { type: 'string' },
+  },
+}
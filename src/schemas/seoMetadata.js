@@ -0,0 +1,32 @@
+const stringArray = { type: 'array', items: { type: 'string' } }
+
+/**
+ * SEO metadata returned by the SEO agent's model call
+ */
+module.exports = {
+  $id: 'seo-metadata',
+  type: 'object',
+  required: ['title', 'description', 'keywords'],
+  properties: {
+    title: { type: 'string', minLength: 1 },
+    description: { type: 'string', minLength: 1 },
+    keywords: { ...stringArray, minItems: 1 },
+    searchKeywords: stringArray,
+    semanticTerms: stringArray,
+    focusKeyword: { type: 'string' },
+    keywordDensity: { enum: ['balanced', 'high', 'low'] },
+    contentType: {
+      enum: ['tutorial', 'reference', 'guide', 'overview', 'troubleshooting'],
+    },
+    searchIntent: {
+      enum: ['informational', 'navigational', 'transactional', 'commercial'],
+    },
+    readingLevel: { enum: ['beginner', 'intermediate', 'advanced'] },
+    estimatedReadingTime: { type: 'number', minimum: 0 },
+    author: { type: 'string' },
+    category: { type: 'string' },
+    tags: stringArray,
+    audience: stringArray,
+    seoScore: { type: 'number', minimum: 0, maximum: 100 },
+  },
+}
@@ -0,0 +1,39 @@
+const stringArray = { type: 'array', items: { type: 'string' } }
+
+/**
+ * Topic taxonomy returned by the taxonomy agent's model call
+ */
+module.exports = {
+  $id: 'topic-taxonomy',
+  type: 'object',
+  required: ['primaryTopic', 'topics', 'categories', 'difficulty'],
+  properties: {
+    primaryTopic: { type: 'string', minLength: 1 },
+    topics: { ...stringArray, minItems: 1 },
+    categories: { ...stringArray, minItems: 1 },
+    subCategories: stringArray,
+    difficulty: { enum: ['beginner', 'intermediate', 'advanced', 'expert'] },
+    complexity: { enum: ['low', 'medium', 'high', 'very-high'] },
+    audience: stringArray,
+    targetRoles: stringArray,
+    prerequisites: stringArray,
+    learningPath: stringArray,
+    contentType: {
+      enum: [
+        'tutorial',
+        'reference',
+        'guide',
+        'overview',
+        'troubleshooting',
+        'api-docs',
+      ],
+    },
+    domainArea: { type: 'string' },
+    conceptLevel: { type: 'string' },
+    technicalDepth: { type: 'string' },
+    industryTags: stringArray,
+    useCases: stringArray,
+    relatedConcepts: stringArray,
+    taxonomyScore: { type: 'number', minimum: 0, maximum: 100 },
+  },
+}
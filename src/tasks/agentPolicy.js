@@ -0,0 +1,131 @@
+// Applied to every agent unless the `agentPolicies` option says otherwise
+const DEFAULT_AGENT_POLICY = {
+  // Long documents take several LLM calls per agent
+  timeoutMs: 5 * 60 * 1000,
+  retries: 1,
+  backoffMs: 2000,
+  // Consecutive failed documents before the agent is disabled (0: never)
+  maxFailures: 5,
+}
+
+const POLICY_FIELDS = Object.keys(DEFAULT_AGENT_POLICY)
+
+/**
+ * Raised when an agent does not finish a document within its timeout
+ */
+class AgentTimeoutError extends Error {
+  constructor(agentName, timeoutMs) {
+    super(
+      `${agentName} timed out after ${
+        timeoutMs < 1000 ? `${timeoutMs}ms` : `${Math.round(timeoutMs / 1000)}s`
+      }`,
+    )
+    this.name = 'AgentTimeoutError'
+    this.timeoutMs = timeoutMs
+  }
+}
+
+/**
+ * Check the `agentPolicies` option: keys are agent keys or `default`,
+ * values are policies with non-negative numbers
+ */
+function validateAgentPolicies(policies = {}, knownKeys) {
+  Object.entries(policies).forEach(([key, policy]) => {
+    if (key !== 'default' && !knownKeys.includes(key)) {
+      throw new Error(
+        `Invalid agentPolicies: unknown agent "${key}" (expected default, ${knownKeys.join(
+          ', ',
+        )})`,
+      )
+    }
+    Object.entries(policy || {}).forEach(([field, value]) => {
+      if (!POLICY_FIELDS.includes(field)) {
+        throw new Error(
+          `Invalid agentPolicies: ${key}.${field} is not a policy field (expected ${POLICY_FIELDS.join(
+            ', ',
+          )})`,
+        )
+      }
+      if (typeof value !== 'number' || !(value >= 0)) {
+        throw new Error(
+          `Invalid agentPolicies: ${key}.${field} must be a non-negative number`,
+        )
+      }
+    })
+  })
+}
+
+/**
+ * The policy for an agent key: the defaults, then `default`, then its own
+ */
+function resolveAgentPolicy(policies = {}, key) {
+  return {
+    ...DEFAULT_AGENT_POLICY,
+    ...(policies.default || {}),
+    ...(policies[key] || {}),
+  }
+}
+
+/**
+ * Reject with AgentTimeoutError when `promise` takes longer than
+ * `timeoutMs` (0 waits forever). The agent call itself cannot be cancelled;
+ * its late result is ignored.
+ */
+function withTimeout(promise, timeoutMs, agentName) {
+  if (!timeoutMs) {
+    return promise
+  }
+
+  let timer = null
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(
+      () => reject(new AgentTimeoutError(agentName, timeoutMs)),
+      timeoutMs,
+    )
+  })
+
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer))
+}
+
+/**
+ * Circuit Breaker
+ * Counts consecutive failed documents per agent and opens (disables the
+ * agent for the rest of the run) once its `maxFailures` is reached
+ */
+class CircuitBreaker {
+  constructor() {
+    this.failures = new Map()
+    this.open = new Set()
+  }
+
+  isOpen(key) {
+    return this.open.has(key)
+  }
+
+  recordSuccess(key) {
+    this.failures.set(key, 0)
+  }
+
+  /**
+   * Count a failure; returns true when this failure opened the circuit
+   */
+  recordFailure(key, maxFailures) {
+    const failures = (this.failures.get(key) || 0) + 1
+    this.failures.set(key, failures)
+
+    if (maxFailures && failures >= maxFailures && !this.open.has(key)) {
+      this.open.add(key)
+      return true
+    }
+    return false
+  }
+}
+
+module.exports = {
+  DEFAULT_AGENT_POLICY,
+  AgentTimeoutError,
+  CircuitBreaker,
+  resolveAgentPolicy,
+  validateAgentPolicies,
+  withTimeout,
+}
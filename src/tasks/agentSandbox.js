@@ -0,0 +1,142 @@
+const { AsyncLocalStorage } = require('async_hooks')
+
+// Set while an agent's `analyzeContent` runs, including everything it awaits
+const agentScope = new AsyncLocalStorage()
+
+// fs and fs/promises methods that change the filesystem (plus their *Sync)
+const FS_WRITE_METHODS = [
+  'appendFile',
+  'chmod',
+  'chown',
+  'copyFile',
+  'cp',
+  'createWriteStream',
+  'lchown',
+  'link',
+  'lutimes',
+  'mkdir',
+  'mkdtemp',
+  'rename',
+  'rm',
+  'rmdir',
+  'symlink',
+  'truncate',
+  'unlink',
+  'utimes',
+  'writeFile',
+]
+
+// fs-extra additions on top of the fs methods
+const FS_EXTRA_WRITE_METHODS = [
+  'copy',
+  'emptyDir',
+  'emptydir',
+  'ensureDir',
+  'ensureFile',
+  'ensureLink',
+  'ensureSymlink',
+  'mkdirp',
+  'mkdirs',
+  'move',
+  'outputFile',
+  'outputJSON',
+  'outputJson',
+  'remove',
+  'writeJSON',
+  'writeJson',
+]
+
+const GUARDED = Symbol('ragasaurus.writeGuard')
+let installed = false
+
+/**
+ * Raised when an agent touches the disk. Agents return their output; the
+ * runner decides what gets written.
+ */
+class AgentWriteError extends Error {
+  constructor(agentName, method, target) {
+    super(
+      `${agentName} tried to write to disk (${method} ${target}); agents must return their output instead`,
+    )
+    this.name = 'AgentWriteError'
+    this.method = method
+    this.target = String(target)
+  }
+}
+
+/**
+ * `open` only writes with a write flag: w, a, + or the matching O_* bits
+ */
+function isWriteFlag(flags) {
+  if (typeof flags === 'number') {
+    const { O_WRONLY, O_RDWR, O_APPEND, O_CREAT, O_TRUNC } =
+      require('fs').constants
+    return (flags & (O_WRONLY | O_RDWR | O_APPEND | O_CREAT | O_TRUNC)) !== 0
+  }
+  return typeof flags === 'string' && /[wa+]/.test(flags)
+}
+
+function guardMethod(target, method) {
+  const original = target[method]
+  if (typeof original !== 'function' || original[GUARDED]) {
+    return
+  }
+
+  const isOpen = method === 'open' || method === 'openSync'
+  const guarded = function (...args) {
+    const scope = agentScope.getStore()
+    if (scope && (!isOpen || isWriteFlag(args[1]))) {
+      throw new AgentWriteError(scope.agentName, method, args[0])
+    }
+    return original.apply(this, args)
+  }
+  Object.assign(guarded, original)
+  guarded[GUARDED] = true
+  target[method] = guarded
+}
+
+/**
+ * Wrap the write methods of fs, fs/promises and fs-extra so they throw
+ * inside an agent scope. Outside one they behave exactly as before.
+ */
+function installWriteGuard() {
+  if (installed) return
+  installed = true
+
+  const fs = require('fs')
+  const targets = [
+    [fs, FS_WRITE_METHODS],
+    [fs.promises, FS_WRITE_METHODS],
+    [require('fs-extra'), [...FS_WRITE_METHODS, ...FS_EXTRA_WRITE_METHODS]],
+  ]
+
+  targets.forEach(([target, methods]) => {
+    ;[...methods, 'open'].forEach(method => {
+      guardMethod(target, method)
+      guardMethod(target, `${method}Sync`)
+    })
+  })
+}
+
+/**
+ * Run an agent call with disk writes disabled
+ */
+function runInAgentScope(agentName, fn) {
+  installWriteGuard()
+  return agentScope.run({ agentName }, fn)
+}
+
+/**
+ * Run runner code an agent call triggers (the response cache, fixture
+ * recording, the run log) with disk writes enabled again
+ */
+function runUnguarded(fn) {
+  return agentScope.getStore() ? agentScope.exit(fn) : fn()
+}
+
+module.exports = {
+  AgentWriteError,
+  installWriteGuard,
+  runInAgentScope,
+  runUnguarded,
+}
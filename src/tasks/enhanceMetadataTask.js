@@ -1,12 +1,41 @@
-class EnhanceMetadataTask {
-  constructor() {
-    this.description = `Coordinate multiple specialized agents in sequence for optimal collaboration:
+const { EventEmitter } = require('events')
+const { getRateLimitStats } = require('../providers/rateLimiter')
+const { validateAgentResult } = require('../agents/agentContract')
+const {
+  AgentTimeoutError,
+  CircuitBreaker,
+  resolveAgentPolicy,
+  withTimeout,
+} = require('./agentPolicy')
+const {
+  AgentWriteError,
+  runInAgentScope,
+  runUnguarded,
+} = require('./agentSandbox')
+
+// How a document's pipeline is run: our level-by-level loop or a KaibanJS team
+const ENGINES = ['sequential', 'kaibanjs']
+
+// Progress events, in the order a run emits them
+const EVENTS = [
+  'run:start',
+  'file:start',
+  'agent:start',
+  'agent:end',
+  'agent:error',
+  'file:end',
+  'pr:created',
+  'run:end',
+]
+
+class EnhanceMetadataTask extends EventEmitter {
+  constructor(options = {}) {
+    super()
+    this.description = `Coordinate specialized agents through a dependency pipeline:
                       1. Structure Agent: Restructure content for better organization
-                      2. SEO Agent: Optimize the improved content structure  
-                      3. Taxonomy Agent: Categorize using enhanced organization
-                      4. Validation Agent: Review final content and generate logs
-                      5. Create GitHub PR with all improvements
-                      6. Capture complete run logs for audit trail`
+                      2. SEO, Taxonomy and Research Agents: Analyze the restructured content in parallel
+                      3. Publish all improvements (GitHub PR, local branch or patch)
+                      4. Capture complete run logs for audit trail`
 
     this.expectedOutput = `A comprehensive report containing:
                          - Sequential processing results from each agent
@@ -19,6 +48,25 @@ class EnhanceMetadataTask {
     this.agents = []
     this.verbose = true
     this.runLogger = null
+    this.github = options.github || { createPR: false }
+    this.output = options.output || {
+      mode: this.github.createPR ? 'github' : 'none',
+    }
+    this.cache = options.cache || null
+    this.checkpoints = options.checkpoints || null
+    // Retrieval before/after enhancement (the `evaluation` option)
+    this.evaluation = options.evaluation || null
+    // Timeout, retry and circuit breaker settings by agent key
+    this.agentPolicies = options.agentPolicies || {}
+    this.circuitBreaker = new CircuitBreaker()
+    // Files processed in parallel; within a file agents follow the pipeline
+    this.concurrency = Math.max(1, Math.floor(options.concurrency || 1))
+    this.engine = options.engine || 'sequential'
+    if (!ENGINES.includes(this.engine)) {
+      throw new Error(
+        `Unknown engine "${this.engine}" (expected ${ENGINES.join(' or ')})`,
+      )
+    }
   }
 
   /**
@@ -53,71 +101,192 @@ class EnhanceMetadataTask {
         console.log(`   ${index + 1}. ${agent.name} (${agent.role})`)
       })
 
-      const enhancements = []
-      const errors = []
       const agentStats = this.initializeAgentStats()
+      this.circuitBreaker = new CircuitBreaker()
+      const outcomes = new Array(processedFiles.length)
+      const runStartTime = Date.now()
+
+      // Documents finished by the run being resumed skip the agents
+      const finished = this.checkpoints
+        ? await this.checkpoints.open(processedFiles, this.agents)
+        : new Map()
+      processedFiles.forEach((fileInfo, index) => {
+        const enhancement = finished.get(fileInfo.sitePath || fileInfo.path)
+        if (enhancement) {
+          outcomes[index] = { enhancement }
+          this.restoreAgentStats(agentStats, enhancement)
+        }
+      })
+      const pending = processedFiles
+        .map((fileInfo, index) => ({ fileInfo, index }))
+        .filter(({ index }) => !outcomes[index])
+      let completed = processedFiles.length - pending.length
+
+      this.emitEvent('run:start', {
+        runId: this.checkpoints ? this.checkpoints.run.runId : null,
+        totalFiles: processedFiles.length,
+        resumed: finished.size,
+        agents: this.agents.map(agent => agent.name),
+        concurrency: this.concurrency,
+        engine: this.engine,
+      })
 
-      // Process each file sequentially through all agents
-      for (const fileInfo of processedFiles) {
-        try {
-          console.log(`\n🔄 Processing: ${fileInfo.title}`)
+      if (this.concurrency > 1) {
+        console.log(
+          `⚡ [Multi-Agent Task] Processing up to ${this.concurrency} files in parallel`,
+        )
+      }
 
-          const fileEnhancement = await this.processFileSequentially(
-            fileInfo,
-            agentStats,
-          )
-
-          enhancements.push(fileEnhancement)
-
-          console.log(`✅ Multi-agent analysis complete for: ${fileInfo.title}`)
-          console.log(
-            `   🔧 Total improvements: ${fileEnhancement.improvements.length}`,
-          )
-          console.log(`   📈 Final RAG score: ${fileEnhancement.ragScore}/100`)
-          console.log(
-            `   🔍 Processing time: ${fileEnhancement.totalProcessingTime}ms`,
-          )
-        } catch (error) {
-          console.error(`❌ Error processing ${fileInfo.title}:`, error.message)
-          errors.push({
-            file: fileInfo.title,
-            error: error.message,
+      // Process files through all agents, up to `concurrency` at a time
+      await this.runWithConcurrency(
+        pending,
+        this.concurrency,
+        async ({ fileInfo, index }) => {
+          const file = fileInfo.sitePath || fileInfo.path
+          const fileStartTime = Date.now()
+          this.emitEvent('file:start', {
+            file,
+            title: fileInfo.title,
+            index: index + 1,
+            total: processedFiles.length,
           })
-        }
-      }
+
+          try {
+            console.log(`\n🔄 Processing: ${fileInfo.title}`)
+
+            const fileEnhancement = await this.processFileSequentially(
+              fileInfo,
+              agentStats,
+            )
+
+            outcomes[index] = { enhancement: fileEnhancement }
+            completed++
+            if (this.checkpoints) {
+              await this.checkpoints.save(fileEnhancement)
+            }
+            this.emitEvent('file:end', {
+              file,
+              title: fileInfo.title,
+              index: index + 1,
+              total: processedFiles.length,
+              completed,
+              durationMs: Date.now() - fileStartTime,
+              processingTime: fileEnhancement.totalProcessingTime,
+              ragScore: fileEnhancement.ragScore,
+              improvements: fileEnhancement.improvements.length,
+              error: null,
+            })
+
+            console.log(
+              `✅ [${completed}/${processedFiles.length}] Multi-agent analysis complete for: ${fileInfo.title}`,
+            )
+            console.log(
+              `   🔧 Total improvements: ${fileEnhancement.improvements.length}`,
+            )
+            console.log(
+              `   📈 Final RAG score: ${fileEnhancement.ragScore}/100`,
+            )
+            console.log(
+              `   🔍 Processing time: ${fileEnhancement.totalProcessingTime}ms`,
+            )
+          } catch (error) {
+            // Fatal errors (e.g. a missing replay fixture) abort the whole run
+            if (error.fatal) throw error
+            completed++
+            console.error(
+              `❌ [${completed}/${processedFiles.length}] Error processing ${fileInfo.title}:`,
+              error.message,
+            )
+            outcomes[index] = {
+              error: { file: fileInfo.title, error: error.message },
+            }
+            this.emitEvent('file:end', {
+              file,
+              title: fileInfo.title,
+              index: index + 1,
+              total: processedFiles.length,
+              completed,
+              durationMs: Date.now() - fileStartTime,
+              processingTime: 0,
+              ragScore: null,
+              improvements: 0,
+              error: error.message,
+            })
+          }
+        },
+      )
+
+      // Keep results in discovery order regardless of completion order
+      const enhancements = outcomes
+        .filter(outcome => outcome && outcome.enhancement)
+        .map(outcome => outcome.enhancement)
+      const errors = outcomes
+        .filter(outcome => outcome && outcome.error)
+        .map(outcome => outcome.error)
+      const wallClockTime = Date.now() - runStartTime
 
       // Generate comprehensive summary
       const summary = this.generateWorkflowSummary(
         enhancements,
         errors,
         agentStats,
+        wallClockTime,
+        finished.size,
       )
+      if (this.evaluation && enhancements.length > 0) {
+        summary.evaluation = await this.evaluateRetrieval(enhancements)
+      }
 
-      // Create GitHub PR with all changes
-      console.log(
-        '\n🔀 [Multi-Agent Task] Creating GitHub PR with all enhancements...',
+      // Publish the proposed changes (GitHub PR, local patch, or nothing)
+      const publishResult = await this.publishEnhancements(
+        enhancements,
+        summary,
       )
-      const prResult = await this.createGitHubPR(enhancements, summary)
+
+      if (this.checkpoints) {
+        await this.checkpoints.finish('completed')
+      }
 
       // Finalize run logging
       this.runLogger.finalize(summary)
 
+      this.emitEvent('run:end', {
+        success: true,
+        error: null,
+        totalFiles: summary.totalFiles,
+        successful: summary.successful,
+        failed: summary.failed,
+        resumed: summary.resumed,
+        averageRagScore: summary.averageRagScore,
+        totalImprovements: summary.totalImprovements,
+        wallClockTime,
+        publish: publishResult,
+      })
+
       return {
         success: true,
         summary: {
           ...summary,
-          githubPR: prResult,
+          ...publishResult,
         },
         enhancements,
+        published: this.publishedDocuments(enhancements, publishResult),
         errors,
         agentStatistics: agentStats,
       }
     } catch (error) {
       console.error('❌ [Multi-Agent Task] Fatal error:', error.message)
+      if (this.checkpoints) {
+        await this.checkpoints.finish('failed').catch(() => {})
+      }
       if (this.runLogger) {
         this.runLogger.logError(error)
         this.runLogger.finalize({ error: error.message })
       }
+      this.emitEvent('run:end', {
+        success: false,
+        error: error.message,
+      })
       return {
         success: false,
         error: error.message,
@@ -127,13 +296,45 @@ class EnhanceMetadataTask {
   }
 
   /**
-   * Process single file through all agents sequentially
+   * Run `worker` over items with at most `limit` in flight. After a worker
+   * throws, no new items start; the first error is rethrown once the
+   * in-flight ones finish.
+   */
+  async runWithConcurrency(items, limit, worker) {
+    let nextIndex = 0
+    let failure = null
+
+    const runWorker = async () => {
+      while (!failure && nextIndex < items.length) {
+        const index = nextIndex++
+        try {
+          await worker(items[index], index)
+        } catch (error) {
+          failure = failure || error
+        }
+      }
+    }
+
+    await Promise.all(
+      Array.from({ length: Math.min(limit, items.length) }, runWorker),
+    )
+
+    if (failure) throw failure
+  }
+
+  /**
+   * Process a single file through the agent pipeline, with the configured
+   * engine. Agents that do not depend on each other run in parallel; each
+   * reads either the original content or the content left by its
+   * dependencies.
    * FIXED: Works with in-memory content only, doesn't modify original files
    */
   async processFileSequentially(fileInfo, agentStats) {
     const fs = require('fs-extra')
     const path = require('path')
-    const fullPath = path.join(process.cwd(), fileInfo.path)
+    const fullPath =
+      fileInfo.fullPath || path.join(process.cwd(), fileInfo.path)
+    const file = fileInfo.sitePath || fileInfo.path
 
     // Read original content ONCE at the beginning
     const originalContent = await fs.readFile(fullPath, 'utf8')
@@ -148,85 +349,60 @@ class EnhanceMetadataTask {
     // CRITICAL: Work with in-memory content, not files on disk
     let currentContent = originalContent
 
-    // Run each agent in sequence with in-memory content
-    for (let i = 0; i < this.agents.length; i++) {
-      const agent = this.agents[i]
-
-      try {
-        console.log(
-          `   🤖 Running ${agent.name} (${i + 1}/${this.agents.length})...`,
-        )
-        const startTime = Date.now()
-
-        // FIXED: Use our memory-safe wrapper instead of calling agent directly
-        const result = await this.runAgentSafely(
-          agent,
-          fullPath,
-          currentContent,
-        )
-
-        const processingTime = Date.now() - startTime
-        console.log(`      ✅ ${agent.name} completed (${processingTime}ms)`)
-
-        // Track agent statistics
-        this.updateAgentStats(agentStats, agent.name, true, processingTime)
-
-        // Collect improvements
-        if (result.improvements && Array.isArray(result.improvements)) {
-          allImprovements.push(...result.improvements)
-          console.log(
-            `      📝 ${result.improvements.length} improvements made`,
-          )
-        }
-
-        // Update current content for next agent (if content was modified)
-        let newContent = currentContent
-        if (result.content && result.content !== currentContent) {
-          newContent = result.content
-          console.log(`      ✂️ Content modified by ${agent.name}`)
-        } else if (
-          result.restructuredContent &&
-          result.restructuredContent !== currentContent
-        ) {
-          newContent = result.restructuredContent
-          console.log(`      ✂️ Content restructured by ${agent.name}`)
-        }
+    const steps = this.getPipeline().levels.flat()
+    let workflow = null
+    let stepResults
+    if (this.engine === 'kaibanjs') {
+      const run = await this.getKaibanEngine().runDocument(
+        fileInfo.title,
+        this.getPipeline(),
+        (step, completed) =>
+          this.runPipelineStep(
+            step,
+            this.resolveStepInput(step, originalContent, completed),
+            fileInfo,
+            agentStats,
+            steps.indexOf(step) + 1,
+            file,
+          ),
+      )
+      stepResults = run.stepResults
+      workflow = run.workflow
+      console.log(
+        `   🧭 KaibanJS workflow ${workflow.status}: ${workflow.tasks
+          .map(task => `${task.key} ${task.status}`)
+          .join(', ')}`,
+      )
+    } else {
+      stepResults = await this.runPipelineLevels(
+        originalContent,
+        fileInfo,
+        agentStats,
+        file,
+      )
+    }
 
-        // Track content evolution
-        if (newContent !== currentContent) {
-          contentEvolution.push({
-            stage: agent.name,
-            content: newContent,
-            wordCount: newContent.split(/\s+/).length,
-          })
-          currentContent = newContent // Update for next agent
-        }
+    // Collect results in pipeline order, whatever order the steps finished in
+    steps.forEach(step => {
+      const stepResult = stepResults.get(step.key)
+      agentResults.push(stepResult.agentResult)
 
-        agentResults.push({
-          agentName: agent.name,
-          agentRole: agent.role,
-          result,
-          processingTime,
-          contentModified: newContent !== currentContent,
-          sequencePosition: i + 1,
-        })
-      } catch (error) {
-        console.error(`      ❌ ${agent.name} failed: ${error.message}`)
-        this.updateAgentStats(agentStats, agent.name, false, 0)
+      if (stepResult.improvements.length > 0) {
+        allImprovements.push(...stepResult.improvements)
+      }
 
-        agentResults.push({
-          agentName: agent.name,
-          agentRole: agent.role,
-          result: null,
-          error: error.message,
-          processingTime: 0,
-          contentModified: false,
-          sequencePosition: i + 1,
+      // Track content evolution. Steps that change the content run one
+      // after another (the pipeline checks it), so the last change builds
+      // on all the others.
+      if (stepResult.agentResult.contentModified) {
+        contentEvolution.push({
+          stage: step.agent.name,
+          content: stepResult.outputContent,
+          wordCount: stepResult.outputContent.split(/\s+/).length,
         })
-
-        // Continue with next agent even if one fails
+        currentContent = stepResult.outputContent
       }
-    }
+    })
 
     // Final content is whatever we have in memory (original file is unchanged)
     const finalContent = currentContent
@@ -237,123 +413,413 @@ class EnhanceMetadataTask {
       (sum, r) => sum + r.processingTime,
       0,
     )
-    const ragScore = this.calculateConsolidatedRAGScore(agentResults)
     const addedFields = this.extractAddedFields(agentResults)
 
+    // Rule-based readiness of the document before and after the agents
+    const readinessTool = this.getReadinessScoreTool()
+    const originalReadiness = readinessTool.score(originalContent, {
+      filePath: fullPath,
+    })
+    const readiness = readinessTool.score(finalContent, { filePath: fullPath })
+    const ragScore = readiness.score
+
     console.log(
       `   📊 Content evolution: ${originalWordCount} → ${finalWordCount} words`,
     )
-    console.log(`   🎯 Consolidated RAG score: ${ragScore}/100`)
+    console.log(
+      `   🎯 RAG readiness: ${originalReadiness.score} → ${ragScore}/100 (${
+        readiness.checks.filter(check => check.status === 'pass').length
+      }/${
+        readiness.checks.filter(check => check.status !== 'skip').length
+      } checks passed)`,
+    )
+    readiness.checks
+      .filter(check => check.status === 'fail')
+      .forEach(check => {
+        console.log(`      ✗ ${check.name}: ${check.explanation}`)
+      })
     console.log(`   💾 Original file unchanged (changes only in PR)`)
 
     return {
       filePath: fullPath,
-      relativePath: fileInfo.path,
+      relativePath: fileInfo.sitePath || fileInfo.path,
+      version: fileInfo.version,
+      locale: fileInfo.locale,
       originalContent,
       finalContent, // This is the enhanced content for the PR
       contentEvolution,
       agentResults,
       improvements: allImprovements,
       ragScore,
+      originalRagScore: originalReadiness.score,
+      originalReadiness,
+      readiness,
       addedFields,
       totalProcessingTime,
       sequentialProcessing: true,
+      workflow,
     }
   }
 
   /**
-   * CRITICAL: Memory-safe agent wrapper that prevents file modifications
+   * Run the pipeline level by level (the sequential engine). Agents in the
+   * same level run in parallel; resolves with the step results by key.
    */
-  async runAgentSafely(agent, filePath, content) {
-    // Create a temporary file or use in-memory processing
-    const path = require('path')
-    const fs = require('fs-extra')
-    const tempDir = path.join(process.cwd(), '.temp-agent-processing')
+  async runPipelineLevels(originalContent, fileInfo, agentStats, file) {
+    const stepResults = new Map()
+    let position = 0
+
+    for (const level of this.getPipeline().levels) {
+      if (level.length > 1) {
+        console.log(
+          `   ⚡ Running in parallel: ${level
+            .map(step => step.agent.name)
+            .join(', ')}`,
+        )
+      }
+
+      const runs = level.map(step => {
+        const input = this.resolveStepInput(step, originalContent, stepResults)
+        position++
+        return this.runPipelineStep(
+          step,
+          input,
+          fileInfo,
+          agentStats,
+          position,
+          file,
+        )
+      })
+
+      // Let the whole level finish before surfacing a fatal error
+      const settled = await Promise.allSettled(runs)
+      const fatal = settled.find(outcome => outcome.status === 'rejected')
+      if (fatal) throw fatal.reason
+
+      settled.forEach(({ value: stepResult }, index) => {
+        stepResults.set(level[index].key, stepResult)
+      })
+    }
+
+    return stepResults
+  }
+
+  /**
+   * Shared KaibanJS engine (`engine: 'kaibanjs'`)
+   */
+  getKaibanEngine() {
+    if (!this.kaibanEngine) {
+      const KaibanEngine = require('../teams/kaibanEngine')
+      this.kaibanEngine = new KaibanEngine()
+    }
+    return this.kaibanEngine
+  }
+
+  /**
+   * The configured pipeline, or the agents in order when none was given
+   */
+  getPipeline() {
+    if (!this.pipeline) {
+      const AgentPipeline = require('../teams/agentPipeline')
+      this.pipeline = AgentPipeline.sequential(this.agents)
+    }
+    return this.pipeline
+  }
+
+  /**
+   * Content a step reads: the original document, or the content left by the
+   * last content-changing step it depends on, directly or not
+   */
+  resolveStepInput(step, originalContent, stepResults) {
+    if (step.input === 'original') {
+      return originalContent
+    }
+
+    const source = this.getPipeline().contentSource(step)
+    return source && stepResults.has(source.key)
+      ? stepResults.get(source.key).outputContent
+      : originalContent
+  }
+
+  /**
+   * Run one agent of the pipeline on its input content. Non-fatal failures
+   * are recorded and leave the content unchanged.
+   */
+  async runPipelineStep(
+    step,
+    inputContent,
+    fileInfo,
+    agentStats,
+    position,
+    file,
+  ) {
+    const { agent } = step
+    const startTime = Date.now()
+    const event = { file, agent: agent.name, key: step.key, position }
+    const policy = resolveAgentPolicy(this.agentPolicies, step.key)
+
+    // Disabled by the circuit breaker earlier in this run
+    if (this.circuitBreaker.isOpen(step.key)) {
+      const message = `${agent.name} is disabled for the rest of the run after ${policy.maxFailures} consecutive failures`
+      console.log(`   ⏭️ Skipping ${agent.name}: circuit open`)
+      agentStats[agent.name].skipped++
+      this.emitEvent('agent:error', {
+        ...event,
+        durationMs: 0,
+        error: message,
+        fatal: false,
+      })
+      return this.buildFailedStep(step, inputContent, position, message)
+    }
 
     try {
-      // Ensure temp directory exists
-      await fs.ensureDir(tempDir)
+      console.log(
+        `   🤖 Running ${agent.name} (${position}/${this.agents.length})...`,
+      )
+      this.emitEvent('agent:start', { ...event, total: this.agents.length })
 
-      // Create temporary file with unique name
-      const tempFileName = `temp-${agent.name.replace(
-        /[^a-z0-9]/gi,
-        '-',
-      )}-${Date.now()}.md`
-      const tempFilePath = path.join(tempDir, tempFileName)
+      const result = await this.runAgentWithPolicy(
+        agent,
+        this.createAgentDocument(fileInfo, inputContent),
+        policy,
+        agentStats,
+      )
+      this.circuitBreaker.recordSuccess(step.key)
 
-      // Write current content to temp file
-      await fs.writeFile(tempFilePath, content, 'utf8')
+      const processingTime = Date.now() - startTime
+      console.log(`      ✅ ${agent.name} completed (${processingTime}ms)`)
 
-      // Call agent with temp file
-      const result = await agent.analyzeContent(tempFilePath, content, {})
+      // Track agent statistics
+      this.updateAgentStats(
+        agentStats,
+        agent.name,
+        true,
+        processingTime,
+        result.outputSource,
+      )
 
-      // Read the result from temp file (in case agent modified it)
-      let resultContent = content // Default to original
-      try {
-        const tempContent = await fs.readFile(tempFilePath, 'utf8')
-        resultContent = tempContent
-      } catch (e) {
-        // If temp file doesn't exist or can't be read, use original content
+      // Collect improvements
+      const improvements = Array.isArray(result.improvements)
+        ? result.improvements
+        : []
+      if (improvements.length > 0) {
+        console.log(`      📝 ${improvements.length} improvements made`)
       }
 
-      // Clean up temp file
-      try {
-        await fs.remove(tempFilePath)
-      } catch (e) {
-        // Ignore cleanup errors
+      if (result.report) {
+        await this.writeAgentReport(file, result.report)
+      }
+
+      // Content for the steps that depend on this one (if content was modified)
+      let outputContent = inputContent
+      if (
+        result.restructuredContent &&
+        result.restructuredContent !== inputContent
+      ) {
+        outputContent = result.restructuredContent
+        console.log(`      ✂️ Content restructured by ${agent.name}`)
       }
 
-      // Return result with the processed content
+      this.emitEvent('agent:end', {
+        ...event,
+        durationMs: processingTime,
+        improvements: improvements.length,
+        ragScore: this.getAgentScore(result.enhancedMetadata),
+        outputSource: result.outputSource || null,
+        contentModified: outputContent !== inputContent,
+      })
+
       return {
-        ...result,
-        content: resultContent,
+        outputContent,
+        improvements,
+        agentResult: {
+          agentName: agent.name,
+          agentRole: agent.role,
+          result,
+          processingTime,
+          contentModified: outputContent !== inputContent,
+          input: step.input,
+          dependsOn: step.dependsOn,
+          sequencePosition: position,
+        },
       }
     } catch (error) {
-      console.error(`   ❌ Error in safe agent processing: ${error.message}`)
-
-      // Clean up temp directory on error
-      try {
-        await fs.remove(tempDir)
-      } catch (e) {
-        // Ignore cleanup errors
+      this.emitEvent('agent:error', {
+        ...event,
+        durationMs: Date.now() - startTime,
+        error: error.message,
+        fatal: !!error.fatal,
+      })
+      if (error.fatal) throw error
+      console.error(`      ❌ ${agent.name} failed: ${error.message}`)
+      this.updateAgentStats(agentStats, agent.name, false, 0)
+
+      if (this.circuitBreaker.recordFailure(step.key, policy.maxFailures)) {
+        agentStats[agent.name].circuitOpen = true
+        console.warn(
+          `   🔌 [Circuit Breaker] ${agent.name} disabled for the rest of the run after ${policy.maxFailures} consecutive failures`,
+        )
       }
 
-      // Fallback: call agent with original parameters but ignore file changes
+      // Continue with the other agents even if one fails
+      return this.buildFailedStep(step, inputContent, position, error.message)
+    }
+  }
+
+  /**
+   * Run an agent on a document with its timeout, retrying failed attempts
+   * with exponential backoff. The agent runs in a scope where disk writes
+   * throw AgentWriteError; fatal errors and write attempts are never retried.
+   */
+  async runAgentWithPolicy(agent, document, policy, agentStats) {
+    for (let attempt = 0; ; attempt++) {
       try {
-        const result = await agent.analyzeContent(filePath, content, {})
-        return {
-          ...result,
-          content: content, // Use original content since we can't trust file changes
+        const result = await withTimeout(
+          runInAgentScope(agent.name, () => agent.analyzeContent(document)),
+          policy.timeoutMs,
+          agent.name,
+        )
+        validateAgentResult(result, agent)
+        return result
+      } catch (error) {
+        if (error instanceof AgentTimeoutError) {
+          agentStats[agent.name].timeouts++
         }
-      } catch (fallbackError) {
-        throw new Error(`Agent ${agent.name} failed: ${fallbackError.message}`)
+        if (
+          error.fatal ||
+          error instanceof AgentWriteError ||
+          attempt >= policy.retries
+        ) {
+          throw error
+        }
+
+        const delay = policy.backoffMs * 2 ** attempt
+        agentStats[agent.name].retries++
+        console.warn(
+          `      🔁 ${agent.name} failed (${error.message}), retry ${
+            attempt + 1
+          }/${policy.retries} in ${delay}ms`,
+        )
+        await new Promise(resolve => setTimeout(resolve, delay))
       }
     }
   }
 
   /**
-   * Calculate consolidated RAG score from all agents
+   * Step result for an agent that failed or was skipped: the content passes
+   * through unchanged
    */
-  calculateConsolidatedRAGScore(agentResults) {
-    const scores = []
+  buildFailedStep(step, inputContent, position, message) {
+    return {
+      outputContent: inputContent,
+      improvements: [],
+      agentResult: {
+        agentName: step.agent.name,
+        agentRole: step.agent.role,
+        result: null,
+        error: message,
+        processingTime: 0,
+        contentModified: false,
+        input: step.input,
+        dependsOn: step.dependsOn,
+        sequencePosition: position,
+      },
+    }
+  }
 
-    agentResults.forEach(result => {
-      if (result.result && result.result.enhancedMetadata) {
-        const metadata = result.result.enhancedMetadata
-        const score =
-          metadata.ragScore ||
-          metadata.chunkingScore ||
-          metadata.validationScore ||
-          metadata.seoScore ||
-          75
-
-        if (score > 0) scores.push(score)
-      }
+  /**
+   * The document an agent works on: read-only, in memory, with the site
+   * path for logs and context only
+   */
+  createAgentDocument(fileInfo, content) {
+    return Object.freeze({
+      path: fileInfo.sitePath || fileInfo.path,
+      title: fileInfo.title,
+      version: fileInfo.version,
+      locale: fileInfo.locale,
+      content,
+      metadata: Object.freeze({ ...this.parseFrontmatter(content) }),
     })
+  }
+
+  /**
+   * Write a report an agent returned to `logs/<name>/`, named after the
+   * document and the date. A failed write is logged, not thrown.
+   */
+  async writeAgentReport(file, report) {
+    const fs = require('fs-extra')
+    const path = require('path')
+    const slug = path
+      .basename(file)
+      .replace(/\.mdx?$/, '')
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, '-')
+    const date = new Date().toISOString().split('T')[0]
+    const reportPath = path.join(
+      process.cwd(),
+      'logs',
+      report.name,
+      `${slug}-${report.name}-${date}.md`,
+    )
 
-    return scores.length > 0
-      ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
-      : 75
+    try {
+      await fs.outputFile(reportPath, report.content, 'utf8')
+      console.log(`      📋 ${report.name} report saved: ${reportPath}`)
+    } catch (error) {
+      console.error(
+        `      ❌ Failed to write ${report.name} report: ${error.message}`,
+      )
+    }
+  }
+
+  /**
+   * Frontmatter passed to agents as `document.metadata`
+   */
+  parseFrontmatter(content) {
+    try {
+      return require('gray-matter')(content).data
+    } catch (error) {
+      return {}
+    }
+  }
+
+  /**
+   * Recall@k and MRR before and after enhancement. A failed evaluation is
+   * reported in the summary and does not fail the run.
+   */
+  async evaluateRetrieval(enhancements) {
+    try {
+      return await this.evaluation.evaluate(enhancements)
+    } catch (error) {
+      if (error.fatal) throw error
+      console.error(`❌ [Evaluation] Failed: ${error.message}`)
+      return { error: error.message }
+    }
+  }
+
+  /**
+   * Shared rule-based scorer behind every document's RAG score
+   */
+  getReadinessScoreTool() {
+    if (!this.readinessScoreTool) {
+      const ReadinessScoreTool = require('../tools/readinessScoreTool')
+      this.readinessScoreTool = new ReadinessScoreTool()
+    }
+    return this.readinessScoreTool
+  }
+
+  /**
+   * The score an agent reported for a document (progress events only; the
+   * document's RAG score comes from the readiness checks)
+   */
+  getAgentScore(metadata) {
+    return (
+      metadata.ragScore ||
+      metadata.chunkingScore ||
+      metadata.validationScore ||
+      metadata.seoScore ||
+      75
+    )
   }
 
   /**
@@ -375,6 +841,129 @@ class EnhanceMetadataTask {
     return Array.from(addedFields)
   }
 
+  /**
+   * Publish proposed enhancements using the configured output mode
+   */
+  async publishEnhancements(enhancements, summary) {
+    switch (this.output.mode) {
+      case 'github':
+        console.log(
+          '\n🔀 [Multi-Agent Task] Creating GitHub PR with all enhancements...',
+        )
+        return { githubPR: await this.createGitHubPR(enhancements, summary) }
+      case 'git':
+        console.log(
+          '\n🌿 [Multi-Agent Task] Committing enhancements to a local git branch...',
+        )
+        return {
+          localBranch: await this.createLocalBranch(enhancements, summary),
+        }
+      case 'patch':
+        console.log(
+          '\n🩹 [Multi-Agent Task] Writing enhancements to a local patch (dry run)...',
+        )
+        return { patch: await this.createPatch(enhancements, summary) }
+      default:
+        console.log(
+          '\n⏭️ [Multi-Agent Task] Not publishing enhancements (output mode: none)',
+        )
+        return {}
+    }
+  }
+
+  /**
+   * Paths of the documents whose enhancements reached the output: all of
+   * them in a created PR, the changed ones on a created branch, none in a
+   * patch, without output or when publishing failed
+   */
+  publishedDocuments(enhancements, publishResult) {
+    if (publishResult.githubPR?.status === 'pending_review') {
+      return enhancements
+        .filter(enhancement => enhancement.finalContent)
+        .map(enhancement => enhancement.relativePath)
+    }
+    if (publishResult.localBranch?.status === 'committed') {
+      return enhancements
+        .filter(
+          enhancement =>
+            enhancement.finalContent &&
+            enhancement.finalContent !== enhancement.originalContent,
+        )
+        .map(enhancement => enhancement.relativePath)
+    }
+    return []
+  }
+
+  /**
+   * Transform file enhancements into the shape the output tools expect
+   */
+  buildProposedEnhancements(enhancements) {
+    return enhancements.map(enhancement => ({
+      filePath: enhancement.filePath,
+      relativePath: enhancement.relativePath,
+      enhancedContent: enhancement.finalContent, // Final content after all agents
+      originalContent: enhancement.originalContent,
+      improvements: enhancement.improvements,
+      ragScore: enhancement.ragScore,
+      originalRagScore: enhancement.originalRagScore,
+      readiness: enhancement.readiness,
+    }))
+  }
+
+  /**
+   * Write a local patch and diff report instead of opening a PR
+   */
+  async createPatch(enhancements, summary) {
+    const PatchOutputTool = require('../tools/patchOutputTool')
+    const patchTool = new PatchOutputTool({ dir: this.output.dir })
+
+    const patchResult = await patchTool.createEnhancementPatch(
+      this.buildProposedEnhancements(enhancements),
+      summary,
+    )
+
+    if (!patchResult.success) {
+      return { error: patchResult.error, status: 'failed' }
+    }
+
+    return {
+      path: patchResult.patchPath,
+      report: patchResult.reportPath,
+      filesChanged: patchResult.filesChanged,
+      additions: patchResult.additions,
+      deletions: patchResult.deletions,
+      status: 'written',
+    }
+  }
+
+  /**
+   * Commit enhancements to a local branch instead of opening a PR
+   */
+  async createLocalBranch(enhancements, summary) {
+    const LocalGitTool = require('../tools/localGitTool')
+    const gitTool = new LocalGitTool({
+      cwd: this.output.siteDir,
+      branchPrefix: this.output.branchPrefix,
+    })
+
+    const branchResult = await gitTool.createEnhancementBranch(
+      this.buildProposedEnhancements(enhancements),
+      summary,
+    )
+
+    if (!branchResult.success) {
+      return { error: branchResult.error, status: 'failed' }
+    }
+
+    return {
+      branch: branchResult.branch,
+      baseBranch: branchResult.baseBranch,
+      commits: branchResult.commits.length,
+      headCommit: branchResult.headCommit,
+      status: branchResult.branch ? 'committed' : 'no_changes',
+    }
+  }
+
   /**
    * Create GitHub PR using existing tool
    */
@@ -382,17 +971,9 @@ class EnhanceMetadataTask {
     try {
       // Use existing GitHub PR tool
       const GitHubPRTool = require('../tools/githubPRTool')
-      const githubTool = new GitHubPRTool()
-
-      // Transform enhancements to expected format
-      const proposedEnhancements = enhancements.map(enhancement => ({
-        filePath: enhancement.filePath,
-        relativePath: enhancement.relativePath,
-        enhancedContent: enhancement.finalContent, // Final content after all agents
-        originalContent: enhancement.originalContent,
-        improvements: enhancement.improvements,
-        ragScore: enhancement.ragScore,
-      }))
+      const githubTool = new GitHubPRTool(this.github)
+
+      const proposedEnhancements = this.buildProposedEnhancements(enhancements)
 
       const prResult = await githubTool.createEnhancementPR(
         proposedEnhancements,
@@ -402,6 +983,13 @@ class EnhanceMetadataTask {
       if (prResult.success) {
         console.log(`✅ [Multi-Agent Task] PR created: ${prResult.prUrl}`)
         console.log(`📋 [Next Steps] Review and approve PR to apply changes`)
+        this.emitEvent('pr:created', {
+          url: prResult.prUrl,
+          number: prResult.prNumber,
+          branch: prResult.branch,
+          files: enhancements.length,
+          averageRagScore: summary.averageRagScore,
+        })
 
         return {
           url: prResult.prUrl,
@@ -433,19 +1021,31 @@ class EnhanceMetadataTask {
   /**
    * Generate comprehensive workflow summary
    */
-  generateWorkflowSummary(enhancements, errors, agentStats) {
+  generateWorkflowSummary(
+    enhancements,
+    errors,
+    agentStats,
+    wallClockTime,
+    resumed = 0,
+  ) {
     const successful = enhancements.length
     const failed = errors.length
     const total = successful + failed
 
-    const ragScores = enhancements
-      .map(e => e.ragScore)
-      .filter(score => score && score > 0)
-
-    const averageRagScore =
-      ragScores.length > 0
-        ? Math.round(ragScores.reduce((a, b) => a + b, 0) / ragScores.length)
+    const average = scores =>
+      scores.length > 0
+        ? Math.round(scores.reduce((a, b) => a + b, 0) / scores.length)
         : 0
+    const averageRagScore = average(
+      enhancements
+        .map(e => e.ragScore)
+        .filter(score => typeof score === 'number'),
+    )
+    const averageOriginalRagScore = average(
+      enhancements
+        .map(e => e.originalRagScore)
+        .filter(score => typeof score === 'number'),
+    )
 
     const totalImprovements = enhancements.reduce(
       (sum, e) => sum + e.improvements.length,
@@ -463,11 +1063,44 @@ class EnhanceMetadataTask {
     console.log(`   Files processed: ${successful}`)
     console.log(`   Successful enhancements: ${successful}`)
     console.log(`   Agent collaborations: ${agentCollaborations}`)
-    console.log(`   Average RAG score: ${averageRagScore}`)
+    if (this.engine !== 'sequential') {
+      console.log(`   Engine: ${this.engine}`)
+    }
+    if (resumed > 0) {
+      console.log(`   Resumed from checkpoints: ${resumed}`)
+    }
+    console.log(
+      `   Average RAG score: ${averageOriginalRagScore} → ${averageRagScore}`,
+    )
     console.log(`   Total improvements: ${totalImprovements}`)
     console.log(
       `   Total processing time: ${Math.round(totalProcessingTime / 1000)}s`,
     )
+    if (this.concurrency > 1) {
+      console.log(
+        `   Wall-clock time: ${Math.round(wallClockTime / 1000)}s (${
+          this.concurrency
+        } files in parallel)`,
+      )
+    }
+
+    const cacheStats = this.cache ? this.cache.getStats() : null
+    if (cacheStats) {
+      console.log(
+        `   LLM cache: ${cacheStats.hits} hits, ${cacheStats.misses} misses (${cacheStats.hitRate}% hit rate)`,
+      )
+    }
+
+    const rateLimits = getRateLimitStats()
+    Object.entries(rateLimits)
+      .filter(([, stats]) => stats.throttled > 0)
+      .forEach(([name, stats]) => {
+        console.log(
+          `   Rate limit (${name}): ${stats.throttled}/${
+            stats.requests
+          } requests waited ${Math.round(stats.waitedMs / 1000)}s`,
+        )
+      })
 
     return {
       totalFiles: total,
@@ -475,12 +1108,21 @@ class EnhanceMetadataTask {
       failed,
       errors: failed,
       averageRagScore,
+      averageOriginalRagScore,
+      scoringVersion: require('../tools/readinessScoreTool').SCORING_VERSION,
       agentCount: this.agents.length,
       agentCollaborations,
       collaborationEffectiveness: successful > 0 ? 100 : 0,
       totalImprovements,
       totalProcessingTime,
+      wallClockTime,
+      concurrency: this.concurrency,
+      engine: this.engine,
+      run: this.checkpoints ? this.checkpoints.run.runId : null,
+      resumed,
       sequentialProcessing: true,
+      cache: cacheStats,
+      rateLimits,
       timestamp: new Date().toISOString(),
     }
   }
@@ -488,14 +1130,20 @@ class EnhanceMetadataTask {
   /**
    * Update agent statistics
    */
-  updateAgentStats(agentStats, agentName, success, processingTime) {
+  updateAgentStats(
+    agentStats,
+    agentName,
+    success,
+    processingTime,
+    outputSource,
+  ) {
     if (!agentStats[agentName]) {
-      agentStats[agentName] = {
-        successful: 0,
-        failed: 0,
-        totalProcessingTime: 0,
-        averageProcessingTime: 0,
-      }
+      agentStats[agentName] = this.createAgentStatsEntry()
+    }
+
+    // Where structured output came from: the model, a repair, or a fallback
+    if (outputSource && outputSource in agentStats[agentName].outputSources) {
+      agentStats[agentName].outputSources[outputSource]++
     }
 
     if (success) {
@@ -510,21 +1158,61 @@ class EnhanceMetadataTask {
     }
   }
 
+  /**
+   * Emit a progress event with its name and timestamp. A failing listener is
+   * logged and never interrupts the run.
+   */
+  emitEvent(type, payload) {
+    try {
+      this.emit(type, { type, timestamp: new Date().toISOString(), ...payload })
+    } catch (error) {
+      console.warn(
+        `⚠️ [Multi-Agent Task] ${type} listener failed: ${error.message}`,
+      )
+    }
+  }
+
+  /**
+   * Count the agent runs of a document restored from a checkpoint
+   */
+  restoreAgentStats(agentStats, enhancement) {
+    enhancement.agentResults.forEach(agentResult => {
+      this.updateAgentStats(
+        agentStats,
+        agentResult.agentName,
+        !agentResult.error,
+        agentResult.processingTime,
+        agentResult.result && agentResult.result.outputSource,
+      )
+    })
+  }
+
   /**
    * Initialize agent statistics tracking
    */
   initializeAgentStats() {
     const stats = {}
     this.agents.forEach(agent => {
-      stats[agent.name] = {
-        successful: 0,
-        failed: 0,
-        totalProcessingTime: 0,
-        averageProcessingTime: 0,
-      }
+      stats[agent.name] = this.createAgentStatsEntry()
     })
     return stats
   }
+
+  createAgentStatsEntry() {
+    return {
+      successful: 0,
+      failed: 0,
+      totalProcessingTime: 0,
+      averageProcessingTime: 0,
+      outputSources: { model: 0, repair: 0, fallback: 0 },
+      // Attempts that timed out, retried attempts, and documents skipped
+      // after the circuit breaker disabled the agent
+      timeouts: 0,
+      retries: 0,
+      skipped: 0,
+      circuitOpen: false,
+    }
+  }
 }
 
 /**
@@ -578,7 +1266,10 @@ class RunLogger {
   writeToFile(message) {
     const fs = require('fs')
     try {
-      fs.appendFileSync(this.logFile, message + '\n', 'utf8')
+      // Agents log too; their output is still captured
+      runUnguarded(() =>
+        fs.appendFileSync(this.logFile, message + '\n', 'utf8'),
+      )
     } catch (error) {
       this.originalConsole.error('Failed to write to log file:', error.message)
     }
@@ -635,3 +1326,5 @@ Total Log Entries: ${this.logEntries.length}
 }
 
 module.exports = EnhanceMetadataTask
+module.exports.ENGINES = ENGINES
+module.exports.EVENTS = EVENTS
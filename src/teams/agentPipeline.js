@@ -0,0 +1,211 @@
+// Restructure first, then analyze the restructured document in parallel
+const DEFAULT_PIPELINE = {
+  chunking: { dependsOn: [], input: 'original' },
+  seo: { dependsOn: ['chunking'], input: 'restructured' },
+  topology: { dependsOn: ['chunking'], input: 'restructured' },
+  research: { dependsOn: ['chunking'], input: 'restructured' },
+}
+
+// Custom agents analyze the restructured document, like the built-in analyzers
+const DEFAULT_CUSTOM_STEP = { dependsOn: ['chunking'], input: 'restructured' }
+
+const PIPELINE_INPUTS = ['original', 'restructured']
+
+/**
+ * Raised at startup for an invalid `pipeline` option
+ */
+class PipelineConfigError extends Error {
+  constructor(message) {
+    super(`Invalid agent pipeline: ${message}`)
+    this.name = 'PipelineConfigError'
+  }
+}
+
+/**
+ * Agent Pipeline
+ * Orders agents by their declared dependencies into levels. Agents in the
+ * same level do not depend on each other and run in parallel; each level
+ * starts once the previous one has finished. Agents that change the content
+ * (`modifiesContent`) must run one after another, so no change is dropped.
+ */
+class AgentPipeline {
+  constructor(steps) {
+    this.steps = steps
+    this.levels = AgentPipeline.buildLevels(steps)
+    this.ancestors = AgentPipeline.buildAncestors(this.levels)
+    this.checkContentChanges()
+  }
+
+  /**
+   * Build the pipeline for the loaded agents from the plugin `pipeline`
+   * option merged over the default. `agentsByKey` maps agent keys to the
+   * loaded agents; `knownKeys` lists every agent key, loaded or not.
+   */
+  static fromConfig(pipelineOptions = {}, agentsByKey, knownKeys) {
+    Object.keys(pipelineOptions).forEach(key => {
+      if (!knownKeys.includes(key)) {
+        throw new PipelineConfigError(
+          `unknown agent "${key}" (expected ${knownKeys.join(', ')})`,
+        )
+      }
+    })
+
+    const steps = []
+    agentsByKey.forEach((agent, key) => {
+      const config = {
+        ...(DEFAULT_PIPELINE[key] || DEFAULT_CUSTOM_STEP),
+        ...(pipelineOptions[key] || {}),
+      }
+
+      if (!PIPELINE_INPUTS.includes(config.input)) {
+        throw new PipelineConfigError(
+          `${key}.input must be one of ${PIPELINE_INPUTS.join(', ')}`,
+        )
+      }
+      if (!Array.isArray(config.dependsOn)) {
+        throw new PipelineConfigError(`${key}.dependsOn must be an array`)
+      }
+
+      const dependsOn = config.dependsOn.filter(dependency => {
+        if (!knownKeys.includes(dependency)) {
+          throw new PipelineConfigError(
+            `${key} depends on missing agent "${dependency}"`,
+          )
+        }
+        if (!agentsByKey.has(dependency)) {
+          // Disabled agents are skipped; the step no longer waits for them
+          console.log(
+            `⏭️ [Pipeline] ${key}: dependency "${dependency}" is disabled or not loaded, ignoring`,
+          )
+          return false
+        }
+        return true
+      })
+
+      steps.push({ key, agent, dependsOn, input: config.input })
+    })
+
+    return new AgentPipeline(steps)
+  }
+
+  /**
+   * Pipeline that runs agents one after another, each reading the content
+   * left by the previous one (used when no pipeline is configured)
+   */
+  static sequential(agents) {
+    return new AgentPipeline(
+      agents.map((agent, index) => ({
+        key: agent.name,
+        agent,
+        dependsOn: index > 0 ? [agents[index - 1].name] : [],
+        input: 'restructured',
+      })),
+    )
+  }
+
+  /**
+   * Group steps into levels (topological order); fails on a cycle
+   */
+  static buildLevels(steps) {
+    const levels = []
+    const placed = new Set()
+    let remaining = steps
+
+    while (remaining.length > 0) {
+      const level = remaining.filter(step =>
+        step.dependsOn.every(dependency => placed.has(dependency)),
+      )
+
+      if (level.length === 0) {
+        throw new PipelineConfigError(
+          `dependency cycle involving ${remaining
+            .map(step => step.key)
+            .join(', ')}`,
+        )
+      }
+
+      level.forEach(step => placed.add(step.key))
+      levels.push(level)
+      remaining = remaining.filter(step => !level.includes(step))
+    }
+
+    return levels
+  }
+
+  /**
+   * Keys of the steps each step depends on, directly or not
+   */
+  static buildAncestors(levels) {
+    const ancestors = new Map()
+    levels.flat().forEach(step => {
+      const keys = new Set()
+      step.dependsOn.forEach(dependency => {
+        keys.add(dependency)
+        ancestors.get(dependency).forEach(key => keys.add(key))
+      })
+      ancestors.set(step.key, keys)
+    })
+    return ancestors
+  }
+
+  /**
+   * Fail on steps whose changes one of them would drop: two content-changing
+   * steps where neither depends on the other, or one that reads the original
+   * document after another has changed it
+   */
+  checkContentChanges() {
+    const changing = this.levels
+      .flat()
+      .filter(step => step.agent.modifiesContent)
+
+    changing.forEach((step, index) => {
+      const ancestors = this.ancestors.get(step.key)
+      changing.slice(0, index).forEach(before => {
+        if (!ancestors.has(before.key)) {
+          throw new PipelineConfigError(
+            `${before.key} and ${step.key} both change the content but neither depends on the other`,
+          )
+        }
+        if (step.input === 'original') {
+          throw new PipelineConfigError(
+            `${step.key} changes the original content, dropping the changes of ${before.key}; set its input to restructured`,
+          )
+        }
+      })
+    })
+  }
+
+  /**
+   * The last content-changing step `step` depends on, directly or not, or
+   * null when the steps before it leave the content as it is
+   */
+  contentSource(step) {
+    const ancestors = this.ancestors.get(step.key)
+    const sources = this.levels
+      .flat()
+      .filter(
+        candidate =>
+          candidate.agent.modifiesContent && ancestors.has(candidate.key),
+      )
+    return sources.length > 0 ? sources[sources.length - 1] : null
+  }
+
+  /**
+   * One line per level, e.g. `1. chunking` / `2. seo + topology + research`
+   */
+  describe() {
+    return this.levels.map(
+      (level, index) =>
+        `${index + 1}. ${level
+          .map(
+            step =>
+              `${step.key}${step.input === 'original' ? ' (original)' : ''}`,
+          )
+          .join(' + ')}`,
+    )
+  }
+}
+
+module.exports = AgentPipeline
+module.exports.DEFAULT_PIPELINE = DEFAULT_PIPELINE
+module.exports.PipelineConfigError = PipelineConfigError
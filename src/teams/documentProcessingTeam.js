@@ -1,10 +1,14 @@
+const { EventEmitter } = require('events')
+
 /**
  * Document Processing Team (Multi-Agent Version)
  * Orchestrates up to 6 AI agents for comprehensive document enhancement
- * Supports dynamic agent loading and collaborative processing
+ * Supports dynamic agent loading and collaborative processing.
+ * Re-emits the progress events of its task (`run:start`, `file:end`, ...).
  */
-class DocumentProcessingTeam {
-  constructor() {
+class DocumentProcessingTeam extends EventEmitter {
+  constructor(options = {}) {
+    super()
     this.name = 'DocumentProcessingTeam'
     this.description =
       'AI-powered team that enhances documentation using multiple specialized agents'
@@ -12,7 +16,79 @@ class DocumentProcessingTeam {
     this.tasks = []
     this.verbose = true
     this.memory = true
-    this.maxAgents = 6
+    this.options = options
+    this.maxAgents = options.maxAgents ?? 6
+    if (!Number.isInteger(this.maxAgents) || this.maxAgents < 1) {
+      throw new Error('Invalid maxAgents: must be a positive integer')
+    }
+    this.agentSelection = {
+      seo: true,
+      topology: true,
+      chunking: true,
+      research: true,
+      ...(options.agents || {}),
+    }
+    this.github = options.github || { createPR: false }
+    this.output = options.output
+    this.llm = options.llm || {}
+    this.fixtures = options.fixtures || {}
+    this.cacheOptions = options.cache || { enabled: false }
+    this.responseCache = null
+    this.checkpointOptions = options.checkpoints || { enabled: false }
+    this.concurrency = options.concurrency || 1
+    this.engine = options.engine || 'sequential'
+    this.customAgents = options.customAgents || []
+    this.siteDir = options.siteDir || process.cwd()
+    this.pipelineOptions = options.pipeline || {}
+    this.pipeline = null
+    this.agentsByKey = null
+    this.agentKeys = []
+    this.rateLimits = options.rateLimits || {}
+    this.agentPolicies = options.agentPolicies || {}
+    this.evaluationOptions = options.evaluation || { enabled: false }
+    this.chunkOptions = options.chunks || {}
+    this.registerEventHandlers(options.events || {})
+  }
+
+  /**
+   * Subscribe the handlers of the plugin `events` option
+   */
+  registerEventHandlers(handlers) {
+    const { EVENTS } = require('../tasks/enhanceMetadataTask')
+    Object.entries(handlers).forEach(([type, handler]) => {
+      if (!EVENTS.includes(type)) {
+        console.warn(
+          `⚠️ [Document Team] Unknown event "${type}" (expected ${EVENTS.join(
+            ', ',
+          )})`,
+        )
+        return
+      }
+      if (typeof handler === 'function') {
+        // Async handlers fail like sync ones: logged, never an unhandled
+        // rejection
+        this.on(type, event =>
+          Promise.resolve(handler(event)).catch(error =>
+            console.warn(
+              `⚠️ [Document Team] ${type} handler failed: ${
+                error?.message || error
+              }`,
+            ),
+          ),
+        )
+      }
+    })
+  }
+
+  /**
+   * Check whether an agent is enabled in the plugin `agents` option
+   */
+  isAgentEnabled(key) {
+    const setting = this.agentSelection[key]
+    if (setting && typeof setting === 'object') {
+      return setting.enabled !== false
+    }
+    return setting !== false
   }
 
   /**
@@ -54,18 +130,39 @@ class DocumentProcessingTeam {
       this.agents = []
       this.tasks = []
 
+      // Provider rate limits are shared by every agent and parallel worker
+      require('../providers/rateLimiter').configureRateLimits(this.rateLimits)
+
       // Load all available agents
       const agents = await this.loadAllAgents()
 
       // Add agents to team
       agents.forEach(agent => this.addAgent(agent))
 
+      // The pipeline only runs the agents that made it onto the team
+      this.pipeline = this.createPipeline()
+
       // Create and configure the multi-agent task
       const EnhanceMetadataTask = require('../tasks/enhanceMetadataTask')
-      const enhanceTask = new EnhanceMetadataTask()
+      const enhanceTask = new EnhanceMetadataTask({
+        github: this.github,
+        output: this.output,
+        cache: this.responseCache,
+        checkpoints: this.createCheckpoints(),
+        evaluation: this.createEvaluation(),
+        agentPolicies: this.agentPolicies,
+        concurrency: this.concurrency,
+        engine: this.engine,
+      })
 
       // Assign ALL agents to the task
       enhanceTask.agents = [...this.agents] // Pass all agents to the task
+      enhanceTask.pipeline = this.pipeline
+
+      // Progress events reach listeners on the team
+      EnhanceMetadataTask.EVENTS.forEach(type => {
+        enhanceTask.on(type, event => this.emit(type, event))
+      })
 
       // Add task to team
       this.addTask(enhanceTask)
@@ -75,7 +172,12 @@ class DocumentProcessingTeam {
       this.agents.forEach((agent, index) => {
         console.log(`     ${index + 1}. ${agent.name} (${agent.role})`)
       })
+      if (this.pipeline) {
+        console.log('   - Pipeline (agents on one line run in parallel):')
+        this.pipeline.describe().forEach(line => console.log(`     ${line}`))
+      }
       console.log(`   - 1 Multi-Agent Task: Enhanced Metadata Processing`)
+      console.log(`   - Engine: ${this.engine}`)
 
       return true
     } catch (error) {
@@ -89,47 +191,82 @@ class DocumentProcessingTeam {
    */
   async loadAllAgents() {
     const agents = []
+    const agentsByKey = new Map()
+    this.agentsByKey = agentsByKey
 
-    // Agent configurations - all three agents now enabled
+    // Agent configurations - keyed by the plugin `agents` option
     const agentConfigs = [
       {
+        key: 'seo',
         name: 'SEO Metadata Generator',
         module: '../agents/keywordExtractionAgent',
         required: false,
+        usesLLM: true,
         description: 'Generates SEO-optimized keywords and descriptions',
       },
       {
+        key: 'topology',
         name: 'Topic Taxonomy Agent',
         module: '../agents/topicTaxonomyAgent',
         required: false,
+        usesLLM: true,
         description: 'Creates hierarchical topic classifications',
       },
       {
+        key: 'chunking',
         name: 'Document Chunking Optimizer',
         module: '../agents/documentChunkingOptimizerAgent',
         required: false,
+        usesLLM: true,
         description:
           'Optimizes document structure and chunking for RAG effectiveness',
       },
       {
+        key: 'research',
         name: 'Content Research Agent',
         module: '../agents/contentResearchAgent',
         required: false,
+        usesSearch: true,
         description:
           'Conducts real-time web research using Tavily to validate content and find industry best practices',
       },
     ]
 
-    // Load each agent
-    for (const config of agentConfigs) {
+    const enabledConfigs = agentConfigs.filter(config => {
+      if (!this.isAgentEnabled(config.key)) {
+        console.log(
+          `⏭️ [Document Team] Skipping ${config.name} (agents.${config.key} disabled)`,
+        )
+        return false
+      }
+      return true
+    })
+
+    if (enabledConfigs.length === 0 && this.customAgents.length === 0) {
+      console.warn('⚠️ [Document Team] All agents disabled via configuration')
+      return agents
+    }
+
+    this.responseCache = this.createResponseCache()
+    if (this.responseCache) {
+      await this.responseCache.prune()
+    }
+
+    // Load each enabled agent
+    for (const config of enabledConfigs) {
       try {
         console.log(`🔄 [Document Team] Loading ${config.name}...`)
 
         const AgentClass = require(config.module)
-        const agent = new AgentClass()
+        const agent = new AgentClass(this.createAgentOptions(config))
 
         agents.push(agent)
-        console.log(`   ✅ Loaded: ${agent.name}`)
+        agentsByKey.set(config.key, agent)
+        console.log(
+          `   ✅ Loaded: ${agent.name}${
+            agent.provider ? ` (${agent.provider.describe()})` : ''
+          }`,
+        )
       } catch (error) {
         const errorMsg = `Failed to load ${config.name}: ${error.message}`
 
@@ -142,6 +279,16 @@ class DocumentProcessingTeam {
       }
     }
 
+    // Custom agents from the plugin options; invalid ones fail the run
+    const builtInKeys = agentConfigs.map(config => config.key)
+    const customKeys = await this.loadCustomAgents(agentsByKey, builtInKeys)
+    agents.push(...customKeys.map(key => agentsByKey.get(key)))
+    this.agentKeys = [...builtInKeys, ...customKeys]
+
+    // Timeouts, retries and circuit breakers; unknown agents fail the run
+    const { validateAgentPolicies } = require('../tasks/agentPolicy')
+    validateAgentPolicies(this.agentPolicies, this.agentKeys)
+
     // If no agents loaded, create a mock agent to prevent errors
     if (agents.length === 0) {
       console.log('⚠️ [Document Team] No agents loaded, creating mock agent...')
@@ -149,7 +296,7 @@ class DocumentProcessingTeam {
         name: 'mock-agent',
         role: 'Mock Enhancement Agent',
         goal: 'Provide basic enhancement until real agents are available',
-        analyzeContent: async (filePath, content) => {
+        analyzeContent: async document => {
           return {
             enhancedMetadata: { ragScore: 70 },
             improvements: ['Basic mock enhancement'],
@@ -159,11 +306,244 @@ class DocumentProcessingTeam {
     }
 
     console.log(
-      `📊 [Document Team] Successfully loaded ${agents.length}/${agentConfigs.length} agents`,
+      `📊 [Document Team] Successfully loaded ${agents.length}/${
+        enabledConfigs.length + customKeys.length
+      } agents`,
     )
     return agents
   }
 
+  /**
+   * Order the team's agents by the declared pipeline; fails on cycles and
+   * missing agents. Loaded agents left out by `maxAgents` are not part of it.
+   */
+  createPipeline() {
+    const teamAgents = new Map(
+      Array.from(this.agentsByKey || []).filter(([, agent]) =>
+        this.agents.includes(agent),
+      ),
+    )
+    if (teamAgents.size === 0) {
+      return null
+    }
+
+    const AgentPipeline = require('./agentPipeline')
+    const pipeline = AgentPipeline.fromConfig(
+      this.pipelineOptions,
+      teamAgents,
+      this.agentKeys,
+    )
+    this.agents = pipeline.levels.flat().map(step => step.agent)
+    return pipeline
+  }
+
+  /**
+   * Load the agents listed in the plugin `customAgents` option: module paths
+   * (resolved from the site directory) or inline definitions. Each agent is
+   * checked against the agent contract. Returns the keys of the loaded agents.
+   */
+  async loadCustomAgents(agentsByKey, builtInKeys) {
+    const { validateAgent } = require('../agents/agentContract')
+    const keys = []
+
+    for (const [index, entry] of this.customAgents.entries()) {
+      const definition = typeof entry === 'string' ? { module: entry } : entry
+      if (!definition || typeof definition !== 'object') {
+        throw new Error(
+          `Custom agent #${
+            index + 1
+          }: expected a module path or an agent definition`,
+        )
+      }
+      if (definition.enabled === false) {
+        continue
+      }
+
+      const source = definition.module
+        ? `Custom agent "${definition.module}"`
+        : `Custom agent #${index + 1}`
+      console.log(`🔄 [Document Team] Loading ${source}...`)
+
+      let instance
+      try {
+        instance = await this.instantiateCustomAgent(definition)
+      } catch (error) {
+        throw new Error(`${source} failed to load: ${error.message}`)
+      }
+      const agent = validateAgent(instance, source)
+      const key = definition.key || agent.name
+      if (!this.isAgentEnabled(key)) {
+        console.log(
+          `⏭️ [Document Team] Skipping ${source} (agents.${key} disabled)`,
+        )
+        continue
+      }
+
+      if (builtInKeys.includes(key) || agentsByKey.has(key)) {
+        throw new Error(`${source}: agent key "${key}" is already in use`)
+      }
+      const names = Array.from(agentsByKey.values()).map(loaded => loaded.name)
+      if (names.includes(agent.name)) {
+        throw new Error(
+          `${source}: agent name "${agent.name}" is already in use`,
+        )
+      }
+
+      agentsByKey.set(key, agent)
+      keys.push(key)
+      console.log(`   ✅ Loaded: ${agent.name} (custom, key "${key}")`)
+    }
+
+    return keys
+  }
+
+  /**
+   * Keys the `agents` option can select: the built-in agents and the custom
+   * agents that are not disabled. A custom agent without a `key` is keyed by
+   * its name, so it is instantiated to read it.
+   */
+  async listAgentKeys() {
+    const keys = new Set(Object.keys(this.agentSelection))
+    for (const entry of this.customAgents) {
+      const definition = typeof entry === 'string' ? { module: entry } : entry
+      if (!definition || definition.enabled === false) continue
+      const key =
+        definition.key || (await this.instantiateCustomAgent(definition))?.name
+      if (typeof key === 'string') keys.add(key)
+    }
+    return Array.from(keys)
+  }
+
+  /**
+   * Turn a custom agent definition into an agent instance. A module or
+   * inline `agent` may be an object, a class (constructed with `options`)
+   * or a factory function (called with `options`, may be async).
+   */
+  async instantiateCustomAgent(definition) {
+    let exported = definition.agent
+
+    if (definition.module) {
+      const path = require('path')
+      const modulePath = /^[./]/.test(definition.module)
+        ? path.resolve(this.siteDir, definition.module)
+        : require.resolve(definition.module, { paths: [this.siteDir] })
+      exported = require(modulePath)
+      exported = exported && exported.default ? exported.default : exported
+    }
+
+    if (typeof exported === 'function') {
+      const options = definition.options || {}
+      return exported.prototype &&
+        typeof exported.prototype.analyzeContent === 'function'
+        ? new exported(options)
+        : exported(options)
+    }
+
+    return exported
+  }
+
+  /**
+   * Create the shared LLM response cache (not used when replaying fixtures)
+   */
+  createResponseCache() {
+    if (
+      this.cacheOptions.enabled === false ||
+      this.fixtures.mode === 'replay'
+    ) {
+      return null
+    }
+
+    const { ResponseCache } = require('../providers')
+    console.log(
+      `💾 [Document Team] LLM response cache: ${this.cacheOptions.dir}`,
+    )
+    return new ResponseCache(this.cacheOptions)
+  }
+
+  /**
+   * Create the run checkpoints used to resume interrupted runs
+   */
+  createCheckpoints() {
+    if (this.checkpointOptions.enabled === false) {
+      if (this.checkpointOptions.resume) {
+        console.warn(
+          '⚠️ [Document Team] Checkpoints are disabled, nothing to resume',
+        )
+      }
+      return null
+    }
+
+    const RunCheckpointTool = require('../tools/runCheckpointTool')
+    return new RunCheckpointTool(this.checkpointOptions)
+  }
+
+  /**
+   * Create the retrieval evaluation (`evaluation` option). Questions come
+   * from the question file, or from the LLM (`llm.agents.evaluation`
+   * overrides the provider) through the cache and fixtures like agent calls.
+   */
+  createEvaluation() {
+    if (!this.evaluationOptions.enabled) {
+      return null
+    }
+
+    let provider = null
+    if (!this.evaluationOptions.questions) {
+      const {
+        createProvider,
+        resolveProviderConfig,
+        withCache,
+        withFixtures,
+      } = require('../providers')
+      provider = withFixtures(
+        withCache(
+          createProvider(resolveProviderConfig(this.llm, 'evaluation')),
+          this.responseCache,
+        ),
+        this.fixtures,
+      )
+    }
+
+    const RetrievalEvaluationTool = require('../tools/retrievalEvaluationTool')
+    return new RetrievalEvaluationTool({ ...this.evaluationOptions, provider })
+  }
+
+  /**
+   * Build an agent's constructor options: its LLM provider (from the plugin
+   * `llm` option) or search provider, wrapped for fixture record/replay
+   */
+  createAgentOptions(config) {
+    const {
+      createProvider,
+      createSearchProvider,
+      resolveProviderConfig,
+      withCache,
+      withFixtures,
+    } = require('../providers')
+
+    if (config.usesLLM) {
+      const providerConfig = resolveProviderConfig(this.llm, config.key)
+      const provider = createProvider(providerConfig)
+      return {
+        provider: withFixtures(
+          withCache(provider, this.responseCache),
+          this.fixtures,
+        ),
+        tokenBudget: providerConfig.tokenBudget,
+        // The chunking agent builds the chunks the postBuild export writes
+        ...(config.key === 'chunking' ? { chunks: this.chunkOptions } : {}),
+      }
+    }
+
+    if (config.usesSearch) {
+      return {
+        searchProvider: withFixtures(createSearchProvider(), this.fixtures),
+      }
+    }
+
+    return {}
+  }
+
   /**
    * Process documents through the multi-agent workflow
    */
@@ -190,7 +570,7 @@ class DocumentProcessingTeam {
             errors: 0,
             averageRagScore: 0,
             agentCount: this.agents.length,
-            message: 'All files already enhanced within 24 hours',
+            message: 'All files unchanged since their last enhancement',
           },
           enhancements: [],
           errors: [],
@@ -264,10 +644,18 @@ class DocumentProcessingTeam {
     console.log('==================================')
     console.log(`📁 Total files found: ${summary.totalFiles}`)
     console.log(`✅ Successfully enhanced: ${summary.successful}`)
-    console.log(`⏭️ Skipped (recently enhanced): ${skippedCount}`)
+    console.log(`⏭️ Skipped (unchanged): ${skippedCount}`)
     console.log(`❌ Errors encountered: ${summary.errors}`)
     console.log(`🤖 Active agents: ${summary.agentCount || this.agents.length}`)
-    console.log(`🎯 Average RAG score: ${summary.averageRagScore}/100`)
+    console.log(
+      `🎯 Average RAG score: ${summary.averageOriginalRagScore} → ${summary.averageRagScore}/100`,
+    )
+    const { evaluation } = summary
+    if (evaluation && evaluation.before) {
+      console.log(
+        `🧪 Retrieval (BM25, ${evaluation.questions} questions): recall@${evaluation.k} ${evaluation.before.recall} → ${evaluation.after.recall}, MRR ${evaluation.before.mrr} → ${evaluation.after.mrr}`,
+      )
+    }
 
     if (summary.agentCollaborations) {
       console.log(`🤝 Agent collaborations: ${summary.agentCollaborations}`)
@@ -283,8 +671,26 @@ class DocumentProcessingTeam {
         const total = stats.successful + stats.failed
         const successRate =
           total > 0 ? Math.round((stats.successful / total) * 100) : 0
+        const sources = stats.outputSources || {}
+        const sourceSummary =
+          sources.model + sources.repair + sources.fallback > 0
+            ? ` - output: ${sources.model} model, ${sources.repair} repaired, ${sources.fallback} fallback`
+            : ''
+        const resilience = [
+          stats.timeouts ? `${stats.timeouts} timed out` : '',
+          stats.retries ? `${stats.retries} retried` : '',
+          stats.circuitOpen
+            ? `disabled by circuit breaker, ${stats.skipped} skipped`
+            : '',
+        ]
+          .filter(Boolean)
+          .join(', ')
         console.log(
-          `   ${agentName}: ${stats.successful}/${total} files (${successRate}% success)`,
+          `   ${agentName}: ${
+            stats.successful
+          }/${total} files (${successRate}% success)${sourceSummary}${
+            resilience ? ` - ${resilience}` : ''
+          }`,
         )
       })
     }
@@ -304,6 +710,26 @@ class DocumentProcessingTeam {
       )
     }
 
+    // Show local patch information if written
+    if (summary.patch && summary.patch.path) {
+      console.log('\n🩹 LOCAL PATCH (DRY RUN):')
+      console.log(`   📝 Patch: ${summary.patch.path}`)
+      console.log(`   📋 Diff report: ${summary.patch.report}`)
+      console.log(
+        `   ✂️ Files changed: ${summary.patch.filesChanged} (+${summary.patch.additions} -${summary.patch.deletions})`,
+      )
+    }
+
+    // Show local branch information if committed
+    if (summary.localBranch && summary.localBranch.branch) {
+      console.log('\n🌿 LOCAL GIT BRANCH:')
+      console.log(`   🌲 Branch: ${summary.localBranch.branch}`)
+      console.log(
+        `   📝 Commits: ${summary.localBranch.commits} (based on ${summary.localBranch.baseBranch})`,
+      )
+      console.log(`   📋 Status: ${summary.localBranch.status}`)
+    }
+
     console.log('\n🎉 Multi-agent document enhancement workflow complete!')
     console.log(
       `🔍 Processed ${summary.successful} files with ${this.agents.length} AI agents`,
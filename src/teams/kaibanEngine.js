@@ -0,0 +1,136 @@
+/**
+ * KaibanJS sends anonymous usage telemetry when loaded. Turn it off unless
+ * the site sets KAIBAN_TELEMETRY_OPT_OUT itself: a docs build should not
+ * call out (and the call fails offline).
+ */
+function disableKaibanTelemetry() {
+  if (process.env.KAIBAN_TELEMETRY_OPT_OUT === undefined) {
+    process.env.KAIBAN_TELEMETRY_OPT_OUT = 'true'
+  }
+}
+
+/**
+ * KaibanJS Engine
+ * Runs a document's agent pipeline as a KaibanJS team. Every pipeline step
+ * becomes a KaibanJS Task, assigned to a KaibanJS Agent wrapping our agent,
+ * with the pipeline dependencies as task dependencies. KaibanJS schedules
+ * the tasks and tracks workflow and task status in its team store.
+ */
+class KaibanEngine {
+  constructor(options = {}) {
+    this.name = 'kaibanjs'
+    this.logLevel = options.logLevel || 'silent'
+  }
+
+  /**
+   * Run the pipeline for one document. `runStep(step, stepResults)` does the
+   * work of a step once its dependencies are in `stepResults`. Resolves with
+   * the step results by key and the final workflow state.
+   */
+  async runDocument(title, pipeline, runStep) {
+    disableKaibanTelemetry()
+    const { Agent, Task, Team } = require('kaibanjs')
+    const stepResults = new Map()
+    let fatalError = null
+
+    const tasks = pipeline.levels.flat().map(step => {
+      const agent = this.createAgent(Agent, step.agent, async () => {
+        try {
+          const stepResult = await runStep(step, stepResults)
+          stepResults.set(step.key, stepResult)
+          return stepResult
+        } catch (error) {
+          fatalError = fatalError || error
+          throw error
+        }
+      })
+
+      return new Task({
+        referenceId: step.key,
+        title: step.key,
+        description: `${step.agent.role}: enhance "${title}"`,
+        expectedOutput: 'Proposed metadata and improvements for the document',
+        agent,
+        dependencies: step.dependsOn,
+        // Ordering comes from the dependencies alone
+        allowParallelExecution: true,
+      })
+    })
+
+    const team = new Team({
+      name: `Ragasaurus: ${title}`,
+      agents: tasks.map(task => task.agent),
+      tasks,
+      logLevel: this.logLevel,
+      memory: false,
+    })
+
+    let output = null
+    try {
+      output = await team.start()
+    } catch (error) {
+      throw fatalError || error
+    }
+    if (fatalError) throw fatalError
+
+    const state = team.getStore().getState()
+    const workflow = {
+      engine: this.name,
+      status: String(state.teamWorkflowStatus),
+      tasks: state.tasks.map(task => ({
+        key: task.referenceId,
+        status: String(task.status),
+        duration: task.duration,
+      })),
+      duration: output.stats ? output.stats.duration : null,
+    }
+
+    if (output.status !== 'FINISHED') {
+      throw new Error(
+        `KaibanJS workflow for ${title} ended with status ${output.status}`,
+      )
+    }
+
+    return { stepResults, workflow }
+  }
+
+  /**
+   * KaibanJS agent for one of our agents. KaibanJS agents call an LLM by
+   * default; this one runs `work` instead and reports the outcome to the
+   * team store.
+   */
+  createAgent(Agent, agent, work) {
+    const kaibanAgent = new Agent({
+      name: agent.name,
+      role: agent.role,
+      goal: agent.goal || agent.role,
+      background: agent.backstory || agent.role,
+    })
+    const instance = kaibanAgent.agentInstance
+
+    // No LLM client to set up: the work is done by our agent
+    instance.initialize = function initialize(store, env) {
+      this.store = store
+      this.env = env
+    }
+
+    instance.workOnTask = async function workOnTask(task) {
+      const stepResult = await work()
+      this.store.getState().handleAgentTaskCompleted({
+        agent: this,
+        task,
+        result: {
+          improvements: stepResult.improvements.length,
+          contentModified: stepResult.agentResult.contentModified,
+          error: stepResult.agentResult.error || null,
+        },
+        iterations: 1,
+        maxAgentIterations: 1,
+      })
+    }
+
+    return kaibanAgent
+  }
+}
+
+module.exports = KaibanEngine
@@ -0,0 +1,94 @@
+// Okapi BM25 defaults: term frequency saturation and length normalization
+const DEFAULT_K1 = 1.2
+const DEFAULT_B = 0.75
+
+// Words too common to help rank chunks
+const STOPWORDS = new Set(
+  `a an and are as at be by can do does for from how i if in into is it its
+  of on or so that the their then there these this to was what when where
+  which who why will with you your`.split(/\s+/),
+)
+
+/**
+ * BM25 Retriever
+ * In-process keyword retriever used to measure how well chunks are found.
+ * No external index or network: the same chunks and query always rank the
+ * same way.
+ */
+class Bm25Retriever {
+  constructor(options = {}) {
+    this.name = 'bm25-retriever'
+    this.description = 'Ranks document chunks for a query with Okapi BM25'
+    this.k1 = options.k1 ?? DEFAULT_K1
+    this.b = options.b ?? DEFAULT_B
+    this.chunks = []
+    this.documentFrequency = new Map()
+    this.averageLength = 0
+  }
+
+  /**
+   * Lowercased word tokens without stopwords
+   */
+  static tokenize(text) {
+    return (
+      String(text)
+        .toLowerCase()
+        .match(/[a-z0-9]+/g) || []
+    ).filter(token => !STOPWORDS.has(token))
+  }
+
+  /**
+   * Index chunks (`{ id, text, ... }`); extra fields come back with results
+   */
+  add(chunks) {
+    chunks.forEach(chunk => {
+      const tokens = Bm25Retriever.tokenize(chunk.text)
+      const termFrequency = new Map()
+      tokens.forEach(token => {
+        termFrequency.set(token, (termFrequency.get(token) || 0) + 1)
+      })
+      termFrequency.forEach((_, token) => {
+        this.documentFrequency.set(
+          token,
+          (this.documentFrequency.get(token) || 0) + 1,
+        )
+      })
+      this.chunks.push({ chunk, termFrequency, length: tokens.length })
+    })
+
+    this.averageLength =
+      this.chunks.reduce((sum, entry) => sum + entry.length, 0) /
+      Math.max(this.chunks.length, 1)
+  }
+
+  /**
+   * The `k` best matching chunks, best first, each with its `score`. Ties
+   * are broken by chunk id so rankings are stable.
+   */
+  search(query, k = 5) {
+    const terms = [...new Set(Bm25Retriever.tokenize(query))]
+    const total = this.chunks.length
+
+    return this.chunks
+      .map(({ chunk, termFrequency, length }) => {
+        const score = terms.reduce((sum, term) => {
+          const frequency = termFrequency.get(term) || 0
+          if (frequency === 0) return sum
+          const documents = this.documentFrequency.get(term)
+          const idf = Math.log(
+            1 + (total - documents + 0.5) / (documents + 0.5),
+          )
+          const norm =
+            frequency +
+            this.k1 * (1 - this.b + (this.b * length) / this.averageLength)
+          return sum + (idf * (frequency * (this.k1 + 1))) / norm
+        }, 0)
+        return { ...chunk, score }
+      })
+      .filter(result => result.score > 0)
+      .sort((a, b) => b.score - a.score || String(a.id).localeCompare(b.id))
+      .slice(0, k)
+  }
+}
+
+module.exports = Bm25Retriever
@@ -0,0 +1,244 @@
+const crypto = require('crypto')
+const SectionAnalysisTool = require('./sectionAnalysisTool')
+
+const DEFAULT_MAX_TOKENS = 512
+const DEFAULT_OVERLAP = 64
+// Same rough estimate as the section analysis token counts
+const CHARS_PER_TOKEN = 4
+
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/
+const FENCE_REGEX = /^\s*(```|~~~)/
+
+/**
+ * Heading text as Docusaurus renders it, for the anchor slug: inline
+ * markdown (links, emphasis, code) reduced to its text
+ */
+function toPlainText(heading) {
+  return heading
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/[*_`~]/g, '')
+    .trim()
+}
+
+/**
+ * Paragraphs of a block of markdown; blank lines inside code fences do not
+ * split
+ */
+function splitParagraphs(text) {
+  const paragraphs = []
+  let lines = []
+  let inFence = false
+
+  text.split('\n').forEach(line => {
+    if (FENCE_REGEX.test(line)) {
+      inFence = !inFence
+    }
+    if (!inFence && !line.trim()) {
+      if (lines.length > 0) paragraphs.push(lines.join('\n'))
+      lines = []
+    } else {
+      lines.push(line)
+    }
+  })
+  if (lines.length > 0) {
+    paragraphs.push(lines.join('\n'))
+  }
+  return paragraphs
+}
+
+/**
+ * Chunk Builder Tool
+ * Turns a document into the chunks a RAG pipeline ingests. Chunks never
+ * cross a heading; a section over `maxTokens` is split at paragraph
+ * boundaries, each part repeating the last `overlap` tokens of the one
+ * before. Anchors follow Docusaurus heading ids so chunk URLs land on the
+ * right section.
+ */
+class ChunkBuilderTool {
+  constructor(options = {}) {
+    this.name = 'chunk-builder-tool'
+    this.description =
+      'Builds heading-bounded chunks with breadcrumbs, anchors and token counts'
+    this.maxTokens = options.maxTokens || DEFAULT_MAX_TOKENS
+    this.overlap = Math.min(
+      options.overlap ?? DEFAULT_OVERLAP,
+      Math.floor(this.maxTokens / 2),
+    )
+    this.sectionTool = new SectionAnalysisTool()
+  }
+
+  /**
+   * Chunks of a document body. `document` (the site-relative path) keys the
+   * chunk ids, `url` is the page URL anchors are appended to, and
+   * `metadata` (the frontmatter) is copied onto every chunk.
+   */
+  buildChunks(body, { document, url = null, metadata = {} }) {
+    const title = typeof metadata.title === 'string' ? metadata.title : null
+    const trail = []
+    const chunks = []
+
+    this.parseSections(body).forEach(({ section, heading, anchor, text }) => {
+      if (heading) {
+        trail.length = section.level - 1
+        trail[section.level - 1] = heading
+      }
+
+      // A heading with no text under it is only context for the next one
+      if (!text) return
+
+      // The H1 is the page itself, so it gets no anchor and the title
+      // stands in for it in the breadcrumbs
+      const breadcrumbs = [title || trail[0], ...trail.slice(1)].filter(Boolean)
+      const pageAnchor = section.level > 1 ? anchor : null
+
+      this.splitText(section.content).forEach((part, partIndex) => {
+        chunks.push({
+          id: this.createId(document, anchor, partIndex),
+          document,
+          url: url && pageAnchor ? `${url}#${pageAnchor}` : url,
+          anchor: pageAnchor,
+          heading,
+          breadcrumbs,
+          index: chunks.length,
+          text: part,
+          tokens: this.sectionTool.estimateTokens(part),
+          metadata,
+        })
+      })
+    })
+
+    return chunks
+  }
+
+  /**
+   * Anchors of the headings in a document body, as the rendered page has
+   * them
+   */
+  headingIds(body) {
+    return this.parseSections(body)
+      .map(({ anchor }) => anchor)
+      .filter(Boolean)
+  }
+
+  /**
+   * Sections of a document body with their heading text, anchor and the
+   * text under the heading
+   */
+  parseSections(body) {
+    // Docusaurus core depends on its utils, so they are there wherever the
+    // plugin runs; using them keeps anchors identical to the rendered ids
+    const {
+      createSlugger,
+      parseMarkdownHeadingId,
+    } = require('@docusaurus/utils')
+    const slugger = createSlugger()
+
+    return this.sectionTool.splitSections(body).map(section => {
+      const [firstLine, ...rest] = section.content.split('\n')
+      const headingMatch = section.heading && firstLine.match(HEADING_REGEX)
+      if (!headingMatch) {
+        return { section, heading: null, anchor: null, text: section.content }
+      }
+
+      const parsed = parseMarkdownHeadingId(headingMatch[2])
+      const heading = toPlainText(parsed.text)
+      return {
+        section,
+        heading,
+        anchor: parsed.id || slugger.slug(heading),
+        text: rest.join('\n').trim(),
+      }
+    })
+  }
+
+  /**
+   * A section as parts of at most `maxTokens`, each starting with the
+   * overlap from the part before. A single paragraph over the limit is cut
+   * between words.
+   */
+  splitText(text) {
+    if (this.sectionTool.estimateTokens(text) <= this.maxTokens) {
+      return [text]
+    }
+
+    // Room for the overlap each part after the first starts with
+    const maxChars = (this.maxTokens - this.overlap) * CHARS_PER_TOKEN
+    const pieces = splitParagraphs(text).flatMap(paragraph =>
+      paragraph.length <= maxChars
+        ? [paragraph]
+        : this.cutWords(paragraph, maxChars),
+    )
+
+    const parts = []
+    let buffer = []
+    // Whether the buffer holds more than the overlap it started with
+    let hasContent = false
+    pieces.forEach(piece => {
+      const candidate = [...buffer, piece].join('\n\n')
+      if (
+        hasContent &&
+        this.sectionTool.estimateTokens(candidate) > this.maxTokens
+      ) {
+        const part = buffer.join('\n\n')
+        parts.push(part)
+        const overlap = this.tail(part)
+        buffer = overlap ? [overlap] : []
+      }
+      buffer.push(piece)
+      hasContent = true
+    })
+    if (hasContent) {
+      parts.push(buffer.join('\n\n'))
+    }
+    return parts
+  }
+
+  /**
+   * Split a long paragraph between words into pieces of at most `maxChars`
+   */
+  cutWords(paragraph, maxChars) {
+    const pieces = []
+    let current = ''
+    paragraph.split(/(\s+)/).forEach(word => {
+      if (current && (current + word).length > maxChars) {
+        pieces.push(current.trim())
+        current = ''
+      }
+      current += word
+    })
+    if (current.trim()) {
+      pieces.push(current.trim())
+    }
+    return pieces
+  }
+
+  /**
+   * The last `overlap` tokens of a part, cut at a word boundary
+   */
+  tail(part) {
+    if (this.overlap <= 0) return ''
+    const words = part.split(/\s+/).filter(Boolean)
+    const kept = []
+    let length = 0
+    for (let i = words.length - 1; i >= 0; i--) {
+      length += words[i].length + 1
+      if (length > this.overlap * CHARS_PER_TOKEN) break
+      kept.unshift(words[i])
+    }
+    return kept.join(' ')
+  }
+
+  /**
+   * Id that stays the same across builds while the document path, the
+   * section anchor and the part number do
+   */
+  createId(document, anchor, partIndex) {
+    return crypto
+      .createHash('sha256')
+      .update(`${document}#${anchor || ''}#${partIndex}`)
+      .digest('hex')
+      .slice(0, 16)
+  }
+}
+
+module.exports = ChunkBuilderTool
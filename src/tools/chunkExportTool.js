@@ -0,0 +1,115 @@
+const fs = require('fs-extra')
+const path = require('path')
+const ChunkBuilderTool = require('./chunkBuilderTool')
+
+const DOCS_PLUGIN = 'docusaurus-plugin-content-docs'
+
+/**
+ * Chunk Export Tool
+ * Writes the chunks of every built doc to one JSONL file for ingestion.
+ * Documents enhanced in this run are chunked as enhanced; the others as
+ * they are on disk. The site is built from the documents on disk, so a
+ * chunk under a heading an enhancement added links to its page, not to an
+ * anchor the page does not have.
+ */
+class ChunkExportTool {
+  constructor(options = {}) {
+    this.name = 'chunk-export-tool'
+    this.description = 'Exports heading-bounded document chunks as JSONL'
+    this.siteDir = options.siteDir || process.cwd()
+    // Absolute site URL (`siteConfig.url`) that permalinks are resolved against
+    this.siteUrl = options.siteUrl || null
+    this.builder = new ChunkBuilderTool(options)
+  }
+
+  /**
+   * The docs built by every docs plugin instance (all versions), from the
+   * plugins passed to `postBuild`
+   */
+  documentsFromPlugins(plugins) {
+    return plugins
+      .filter(plugin => plugin.name === DOCS_PLUGIN)
+      .flatMap(plugin => plugin.content?.loadedVersions || [])
+      .flatMap(version => version.docs || [])
+      .map(doc => {
+        const fullPath = path.resolve(
+          this.siteDir,
+          doc.source.replace(/^@site\//, ''),
+        )
+        return {
+          fullPath,
+          // Same key as the document's `sitePath` from discovery, which the
+          // chunking agent gets as `document.path`
+          relativePath: path
+            .relative(this.siteDir, fullPath)
+            .split(path.sep)
+            .join('/'),
+          permalink: doc.permalink,
+        }
+      })
+  }
+
+  /**
+   * Chunk `documents` and write them to `outputFile`, one chunk per line.
+   * `enhancedContent` maps a document's full path to its enhanced markdown.
+   */
+  async export(documents, { outputFile, enhancedContent = new Map() }) {
+    const matter = require('gray-matter')
+    const lines = []
+    let enhanced = 0
+    let unpublishedAnchors = 0
+
+    for (const document of documents) {
+      const built = await fs.readFile(document.fullPath, 'utf8')
+      let content = built
+      // Anchors of the built page; null when the built page is what is chunked
+      let builtIds = null
+      if (enhancedContent.has(document.fullPath)) {
+        enhanced++
+        content = enhancedContent.get(document.fullPath)
+        builtIds = new Set(this.builder.headingIds(matter(built).content))
+      }
+
+      const url = this.siteUrl
+        ? new URL(document.permalink, this.siteUrl).href
+        : document.permalink
+      const parsed = matter(content)
+      this.builder
+        .buildChunks(parsed.content, {
+          document: document.relativePath,
+          url,
+          metadata: parsed.data,
+        })
+        .forEach(chunk => {
+          if (builtIds && chunk.anchor && !builtIds.has(chunk.anchor)) {
+            unpublishedAnchors++
+            chunk = { ...chunk, url, anchor: null }
+          }
+          lines.push(JSON.stringify(chunk))
+        })
+    }
+
+    await fs.outputFile(
+      outputFile,
+      lines.join('\n') + (lines.length ? '\n' : ''),
+    )
+    console.log(
+      `🧩 [Chunks] Wrote ${lines.length} chunks from ${documents.length} documents (${enhanced} enhanced in this run) to ${outputFile}`,
+    )
+    if (unpublishedAnchors > 0) {
+      console.log(
+        `   ${unpublishedAnchors} chunks are under headings not on the built pages yet and link to their page`,
+      )
+    }
+
+    return {
+      file: outputFile,
+      documents: documents.length,
+      enhanced,
+      chunks: lines.length,
+      unpublishedAnchors,
+    }
+  }
+}
+
+module.exports = ChunkExportTool
@@ -0,0 +1,176 @@
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+
+const MANIFEST_VERSION = 1
+
+/**
+ * Enhancement Manifest Tool
+ * Persists content hashes and agent versions per document so that only
+ * new or changed documents are sent through the agents
+ */
+class EnhancementManifestTool {
+  constructor(options = {}) {
+    this.name = 'enhancement-manifest-tool'
+    this.description =
+      'Tracks content hashes and agent versions to decide which documents need enhancement'
+
+    this.siteDir = options.siteDir || process.cwd()
+    this.manifestPath = path.resolve(
+      this.siteDir,
+      options.manifestPath || '.ragasaurus/manifest.json',
+    )
+    this.force = options.force || false
+    this.manifest = this.createEmptyManifest()
+  }
+
+  /**
+   * Load the manifest from disk (starts empty if missing or unreadable)
+   */
+  async load() {
+    try {
+      if (await fs.pathExists(this.manifestPath)) {
+        const data = await fs.readJson(this.manifestPath)
+        if (data && data.version === MANIFEST_VERSION && data.documents) {
+          this.manifest = data
+        } else {
+          console.warn(
+            `⚠️ [Manifest] Unsupported manifest format, starting fresh: ${this.manifestPath}`,
+          )
+        }
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ [Manifest] Could not read ${this.manifestPath}: ${error.message}`,
+      )
+      this.manifest = this.createEmptyManifest()
+    }
+
+    return this.manifest
+  }
+
+  /**
+   * Write the manifest to disk
+   */
+  async save() {
+    await fs.ensureDir(path.dirname(this.manifestPath))
+    await fs.writeJson(this.manifestPath, this.manifest, { spaces: 2 })
+    console.log(`💾 [Manifest] Saved: ${this.manifestPath}`)
+  }
+
+  /**
+   * Hash document content
+   */
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex')
+  }
+
+  /**
+   * Build the agent signature a document was enhanced with
+   */
+  buildAgentSignature(agents) {
+    const agentVersions = {}
+    const agentProviders = {}
+    agents.forEach(agent => {
+      agentVersions[agent.name] = agent.version || '0.0.0'
+      if (agent.provider) {
+        agentProviders[agent.name] = agent.provider.describe()
+      }
+    })
+
+    // Switching an agent's provider or model also invalidates its output
+    const agentConfigHash = this.hashContent(
+      JSON.stringify(
+        Object.keys(agentVersions)
+          .sort()
+          .map(
+            name =>
+              `${name}@${agentVersions[name]}${
+                agentProviders[name] ? `+${agentProviders[name]}` : ''
+              }`,
+          ),
+      ),
+    )
+
+    return { agentVersions, agentConfigHash }
+  }
+
+  /**
+   * Set `needsEnhancement` and `enhancementReason` on every discovered document
+   */
+  async markDocuments(documents, agents) {
+    const { agentConfigHash } = this.buildAgentSignature(agents)
+    const counts = { new: 0, changed: 0, agents: 0, forced: 0, unchanged: 0 }
+
+    for (const document of documents) {
+      const key = this.getDocumentKey(document)
+      const entry = this.manifest.documents[key]
+      const raw = await fs.readFile(document.fullPath, 'utf8')
+      const contentHash = this.hashContent(raw)
+
+      let reason = 'unchanged'
+      if (this.force) {
+        reason = 'forced'
+      } else if (!entry) {
+        reason = 'new'
+      } else if (
+        contentHash !== entry.contentHash &&
+        contentHash !== entry.enhancedHash
+      ) {
+        reason = 'changed'
+      } else if (entry.agentConfigHash !== agentConfigHash) {
+        reason = 'agents'
+      }
+
+      document.contentHash = contentHash
+      document.needsEnhancement = reason !== 'unchanged'
+      document.enhancementReason = reason
+      counts[reason]++
+    }
+
+    console.log(
+      `🧾 [Manifest] ${documents.length} documents: ${counts.new} new, ${counts.changed} changed, ${counts.agents} with changed agents, ${counts.forced} forced, ${counts.unchanged} unchanged`,
+    )
+
+    return counts
+  }
+
+  /**
+   * Record the documents enhanced in this run
+   */
+  recordRun(enhancements, agents) {
+    const timestamp = new Date().toISOString()
+    const { agentVersions, agentConfigHash } = this.buildAgentSignature(agents)
+
+    enhancements.forEach(enhancement => {
+      this.manifest.documents[enhancement.relativePath] = {
+        contentHash: this.hashContent(enhancement.originalContent),
+        enhancedHash: this.hashContent(enhancement.finalContent),
+        agentVersions,
+        agentConfigHash,
+        ragScore: enhancement.ragScore,
+        lastRun: timestamp,
+      }
+    })
+
+    this.manifest.lastRun = timestamp
+    return this.manifest
+  }
+
+  /**
+   * Manifest key for a document: its path relative to the site root
+   */
+  getDocumentKey(document) {
+    return document.sitePath || document.path
+  }
+
+  createEmptyManifest() {
+    return {
+      version: MANIFEST_VERSION,
+      lastRun: null,
+      documents: {},
+    }
+  }
+}
+
+module.exports = EnhancementManifestTool
@@ -1,20 +1,28 @@
 const { Octokit } = require('@octokit/rest')
 const path = require('path')
+const { getRateLimiter } = require('../providers/rateLimiter')
 
 class GitHubPRTool {
-  constructor() {
+  constructor(options = {}) {
     this.name = 'github-pr-tool'
     this.description =
       'Creates pull requests for RAG documentation enhancements without modifying local files'
 
-    // Initialize Octokit with token from environment
+    // Initialize Octokit with token from plugin options or environment
     this.octokit = new Octokit({
-      auth: process.env.GITHUB_TOKEN,
+      auth: options.token || process.env.GITHUB_TOKEN,
     })
 
-    // Get repo info from package.json or environment
-    this.owner = process.env.GITHUB_OWNER || 'yourusername' // Replace with your GitHub username
-    this.repo = process.env.GITHUB_REPO || 'rag-plugin-demo-site' // Replace with your repo name
+    // Share the GitHub rate limit with every other caller in this process
+    const githubLimiter = getRateLimiter('github')
+    this.octokit.hook.wrap('request', (request, requestOptions) =>
+      githubLimiter.schedule(() => request(requestOptions)),
+    )
+
+    // Get repo info from plugin options or environment
+    this.owner = options.owner || process.env.GITHUB_OWNER || 'yourusername' // Replace with your GitHub username
+    this.repo =
+      options.repo || process.env.GITHUB_REPO || 'rag-plugin-demo-site' // Replace with your repo name
   }
 
   /**
@@ -156,11 +164,26 @@ This PR contains **proposed enhancements** generated by the RAG Prep Plugin to o
 
 ### 📊 Enhancement Proposal Summary
 - **Files to Enhance**: ${summary.successful}/${summary.totalFiles}
-- **Average Proposed RAG Score**: ${summary.averageRagScore}/100
+- **Average RAG Readiness**: ${summary.averageOriginalRagScore ?? 'N/A'} → ${
+      summary.averageRagScore
+    }/100
 - **Enhancement Success Rate**: ${Math.round(
       (summary.successful / summary.totalFiles) * 100,
     )}%
 
+> Readiness scores come from local, rule-based checks (scoring v${
+      summary.scoringVersion
+    }): the same document always gets the same score. Each file lists the checks behind its score.
+`
+
+    if (summary.evaluation) {
+      const RetrievalEvaluationTool = require('./retrievalEvaluationTool')
+      description += `
+### 🧪 Retrieval Evaluation
+${RetrievalEvaluationTool.formatResults(summary.evaluation)}`
+    }
+
+    description += `
 ### 🎯 Proposed Improvements
 `
 
@@ -184,6 +207,8 @@ This PR contains **proposed enhancements** generated by the RAG Prep Plugin to o
 `
 
     // List enhanced files with their proposed improvements
+    const ReadinessScoreTool = require('./readinessScoreTool')
+    const readinessTool = new ReadinessScoreTool()
     successful.forEach(enhancement => {
       const fileName = path.basename(enhancement.filePath)
       const addedFields = enhancement.addedFields || []
@@ -191,13 +216,23 @@ This PR contains **proposed enhancements** generated by the RAG Prep Plugin to o
       description += `
 #### 📄 \`${fileName}\`
 - **New Fields**: ${addedFields.join(', ') || 'Metadata updates'}
-- **Proposed RAG Score**: ${enhancement.ragScore || 'N/A'}/100
+- **RAG Readiness**: ${enhancement.originalRagScore ?? 'N/A'} → ${
+        enhancement.ragScore ?? 'N/A'
+      }/100
 - **Improvements**: ${
         enhancement.improvements
           ? enhancement.improvements.join(', ')
           : 'Enhanced metadata'
       }
 `
+      if (enhancement.readiness) {
+        description += `
+<details><summary>Readiness checks</summary>
+
+${readinessTool.formatChecks(enhancement.readiness)}
+</details>
+`
+      }
     })
 
     description += `
@@ -0,0 +1,220 @@
+const { spawn } = require('child_process')
+const fs = require('fs-extra')
+const os = require('os')
+const path = require('path')
+
+const DEFAULT_AUTHOR = {
+  name: 'Ragasaurus',
+  email: 'ragasaurus@users.noreply.github.com',
+}
+
+/**
+ * Local Git Tool
+ * Commits proposed enhancements to a new branch of the local repository
+ * without checking it out, so the working tree and current branch stay as-is
+ */
+class LocalGitTool {
+  constructor(options = {}) {
+    this.name = 'local-git-tool'
+    this.description =
+      'Commits RAG documentation enhancements to a local git branch without touching the working tree'
+
+    this.cwd = options.cwd || process.cwd()
+    this.branchPrefix = options.branchPrefix || 'rag-enhancements-'
+  }
+
+  /**
+   * Create a local branch with one commit per enhanced file
+   */
+  async createEnhancementBranch(proposedEnhancements, summary) {
+    console.log(
+      '🌿 [Local Git] Committing proposed enhancements to a local branch...',
+    )
+
+    const indexFile = path.join(
+      os.tmpdir(),
+      `ragasaurus-index-${process.pid}-${Date.now()}`,
+    )
+
+    try {
+      const repoRoot = await this.git(['rev-parse', '--show-toplevel'])
+      const originalBranch = await this.git([
+        'rev-parse',
+        '--abbrev-ref',
+        'HEAD',
+      ])
+      const baseCommit = await this.git(['rev-parse', 'HEAD'])
+
+      const changed = proposedEnhancements.filter(
+        enhancement =>
+          enhancement.enhancedContent &&
+          enhancement.enhancedContent !== enhancement.originalContent,
+      )
+
+      if (changed.length === 0) {
+        console.log('ℹ️ [Local Git] No content changes to commit')
+        return {
+          success: true,
+          branch: null,
+          baseBranch: originalBranch,
+          commits: [],
+        }
+      }
+
+      // Build commits in a private index so the real index is never touched
+      const env = { ...(await this.getAuthorEnv()), GIT_INDEX_FILE: indexFile }
+      await this.git(['read-tree', baseCommit], { env })
+
+      let parent = baseCommit
+      const commits = []
+
+      for (const enhancement of changed) {
+        const repoPath = path
+          .relative(repoRoot, path.resolve(this.cwd, enhancement.filePath))
+          .split(path.sep)
+          .join('/')
+
+        const blob = await this.git(['hash-object', '-w', '--stdin'], {
+          input: enhancement.enhancedContent,
+        })
+        await this.git(
+          [
+            'update-index',
+            '--add',
+            '--cacheinfo',
+            `100644,${blob},${repoPath}`,
+          ],
+          { env },
+        )
+        const tree = await this.git(['write-tree'], { env })
+        parent = await this.git(
+          ['commit-tree', tree, '-p', parent, '-F', '-'],
+          {
+            env,
+            input: this.buildCommitMessage(enhancement, repoPath),
+          },
+        )
+
+        commits.push({ sha: parent, path: repoPath })
+        console.log(
+          `📤 [Local Git] Committed ${repoPath} (${parent.slice(0, 7)})`,
+        )
+      }
+
+      const branchName = `${this.branchPrefix}${Date.now()}`
+      await this.git(['branch', branchName, parent])
+
+      console.log(
+        `✅ [Local Git] Created branch ${branchName} with ${commits.length} commits (still on ${originalBranch})`,
+      )
+      console.log(
+        `📋 [Local Git] Review with "git log -p ${originalBranch}..${branchName}"`,
+      )
+
+      return {
+        success: true,
+        branch: branchName,
+        baseBranch: originalBranch,
+        baseCommit,
+        headCommit: parent,
+        commits,
+        averageRagScore: summary.averageRagScore,
+      }
+    } catch (error) {
+      console.error('❌ [Local Git] Error creating branch:', error.message)
+      return {
+        success: false,
+        error: error.message,
+      }
+    } finally {
+      await fs.remove(indexFile).catch(() => {})
+    }
+  }
+
+  /**
+   * Build a structured commit message for one enhanced file
+   */
+  buildCommitMessage(enhancement, repoPath) {
+    const improvements = enhancement.improvements || []
+
+    let message = `🤖 Propose RAG enhancement for ${path.basename(
+      repoPath,
+    )}\n\n`
+    message += `RAG score: ${enhancement.ragScore || 'N/A'}/100\n`
+
+    if (improvements.length > 0) {
+      message += `\nImprovements:\n`
+      improvements.forEach(improvement => {
+        message += `- ${improvement}\n`
+      })
+    }
+
+    message += `\nRagasaurus-File: ${repoPath}\n`
+    message += `Ragasaurus-Score: ${enhancement.ragScore || 0}\n`
+    return message
+  }
+
+  /**
+   * Use the repository's configured identity, or a default one for commits
+   */
+  async getAuthorEnv() {
+    const name = await this.git(['config', 'user.name']).catch(() => '')
+    const email = await this.git(['config', 'user.email']).catch(() => '')
+
+    if (name && email) {
+      return {}
+    }
+
+    return {
+      GIT_AUTHOR_NAME: name || DEFAULT_AUTHOR.name,
+      GIT_AUTHOR_EMAIL: email || DEFAULT_AUTHOR.email,
+      GIT_COMMITTER_NAME: name || DEFAULT_AUTHOR.name,
+      GIT_COMMITTER_EMAIL: email || DEFAULT_AUTHOR.email,
+    }
+  }
+
+  /**
+   * Run a git command and resolve with its trimmed stdout. `input` is
+   * written to its stdin; without it git gets no stdin at all.
+   */
+  git(args, { env = {}, input } = {}) {
+    return new Promise((resolve, reject) => {
+      const hasInput = input !== undefined
+      const child = spawn('git', args, {
+        cwd: this.cwd,
+        env: { ...process.env, ...env },
+        stdio: [hasInput ? 'pipe' : 'ignore', 'pipe', 'pipe'],
+      })
+
+      let stdout = ''
+      let stderr = ''
+      child.stdout.on('data', data => (stdout += data))
+      child.stderr.on('data', data => (stderr += data))
+      child.on('error', reject)
+      child.on('close', code => {
+        if (code === 0) {
+          resolve(stdout.trim())
+        } else {
+          reject(
+            new Error(
+              `git ${args[0]} failed: ${stderr.trim() || `exit code ${code}`}`,
+            ),
+          )
+        }
+      })
+
+      if (hasInput) {
+        // A git that exits before reading its input (EPIPE) fails the call
+        // instead of crashing the process
+        child.stdin.on('error', error =>
+          reject(
+            new Error(`git ${args[0]} failed writing stdin: ${error.message}`),
+          ),
+        )
+        child.stdin.end(input)
+      }
+    })
+  }
+}
+
+module.exports = LocalGitTool
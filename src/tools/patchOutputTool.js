@@ -0,0 +1,201 @@
+const fs = require('fs-extra')
+const path = require('path')
+const Diff = require('diff')
+const ReadinessScoreTool = require('./readinessScoreTool')
+
+/**
+ * Code fence for `text` in markdown: one backtick longer than the longest
+ * run of backticks in it, so fences in the diffed documents cannot close it
+ */
+function codeFence(text) {
+  const longest = Math.max(
+    0,
+    ...(text.match(/`+/g) || []).map(run => run.length),
+  )
+  return '`'.repeat(Math.max(3, longest + 1))
+}
+
+/**
+ * Patch Output Tool
+ * Writes proposed enhancements as a `git apply` compatible patch and a
+ * per-file diff report, without touching the docs or calling GitHub
+ */
+class PatchOutputTool {
+  constructor(options = {}) {
+    this.name = 'patch-output-tool'
+    this.description =
+      'Writes RAG documentation enhancements to a local .patch file and diff report for offline review'
+
+    this.outputDir = path.resolve(options.dir || '.ragasaurus/patches')
+    this.contextLines = options.contextLines || 3
+  }
+
+  /**
+   * Write the patch and diff report for all proposed enhancements
+   */
+  async createEnhancementPatch(proposedEnhancements, summary) {
+    console.log(
+      '🩹 [Patch Output] Writing proposed changes to a local patch...',
+    )
+
+    try {
+      const fileDiffs = proposedEnhancements.map(enhancement =>
+        this.buildFileDiff(enhancement),
+      )
+      const changedFiles = fileDiffs.filter(fileDiff => fileDiff.changed)
+
+      const stamp = new Date().toISOString().replace(/[:.]/g, '-')
+      const patchPath = path.join(
+        this.outputDir,
+        `rag-enhancements-${stamp}.patch`,
+      )
+      const reportPath = path.join(
+        this.outputDir,
+        `rag-enhancements-${stamp}.md`,
+      )
+
+      await fs.ensureDir(this.outputDir)
+      await fs.writeFile(
+        patchPath,
+        changedFiles.map(fileDiff => fileDiff.patch).join(''),
+        'utf8',
+      )
+      await fs.writeFile(
+        reportPath,
+        this.generateDiffReport(fileDiffs, summary, patchPath),
+        'utf8',
+      )
+
+      const additions = changedFiles.reduce((sum, f) => sum + f.additions, 0)
+      const deletions = changedFiles.reduce((sum, f) => sum + f.deletions, 0)
+
+      console.log(
+        `✅ [Patch Output] ${changedFiles.length} files changed (+${additions} -${deletions})`,
+      )
+      console.log(`   🩹 Patch: ${patchPath}`)
+      console.log(`   📋 Diff report: ${reportPath}`)
+      console.log(
+        `💡 [Patch Output] Review with "git apply --stat" and apply with "git apply" from the site directory`,
+      )
+
+      return {
+        success: true,
+        patchPath,
+        reportPath,
+        filesChanged: changedFiles.length,
+        additions,
+        deletions,
+        files: fileDiffs.map(({ patch, ...fileDiff }) => fileDiff),
+      }
+    } catch (error) {
+      console.error('❌ [Patch Output] Error writing patch:', error.message)
+      return {
+        success: false,
+        error: error.message,
+      }
+    }
+  }
+
+  /**
+   * Build the git-style diff for one enhanced file
+   */
+  buildFileDiff(enhancement) {
+    const relativePath = enhancement.relativePath.split(path.sep).join('/')
+    const originalContent = enhancement.originalContent || ''
+    const enhancedContent = enhancement.enhancedContent || originalContent
+
+    const fileDiff = {
+      relativePath,
+      ragScore: enhancement.ragScore,
+      originalRagScore: enhancement.originalRagScore,
+      readiness: enhancement.readiness,
+      improvements: enhancement.improvements || [],
+      changed: enhancedContent !== originalContent,
+      additions: 0,
+      deletions: 0,
+      patch: '',
+    }
+
+    if (!fileDiff.changed) {
+      return fileDiff
+    }
+
+    const unifiedDiff = Diff.createTwoFilesPatch(
+      `a/${relativePath}`,
+      `b/${relativePath}`,
+      originalContent,
+      enhancedContent,
+      '',
+      '',
+      { context: this.contextLines, headerOptions: Diff.FILE_HEADERS_ONLY },
+    ).replace(/^(---|\+\+\+) (.*)\t$/gm, '$1 $2')
+
+    unifiedDiff.split('\n').forEach(line => {
+      if (line.startsWith('+') && !line.startsWith('+++')) {
+        fileDiff.additions++
+      } else if (line.startsWith('-') && !line.startsWith('---')) {
+        fileDiff.deletions++
+      }
+    })
+
+    fileDiff.patch = `diff --git a/${relativePath} b/${relativePath}\n${unifiedDiff}`
+    return fileDiff
+  }
+
+  /**
+   * Generate the markdown diff report for reviewers
+   */
+  generateDiffReport(fileDiffs, summary, patchPath) {
+    const changedFiles = fileDiffs.filter(fileDiff => fileDiff.changed)
+
+    let report = `# RAG Enhancement Diff Report\n\n`
+    report += `**Generated:** ${new Date().toISOString()}\n`
+    report += `**Patch:** \`${path.basename(patchPath)}\`\n`
+    report += `**Files with content changes:** ${changedFiles.length}/${fileDiffs.length}\n`
+    report += `**Average RAG Readiness:** ${
+      summary.averageOriginalRagScore ?? 'N/A'
+    } → ${summary.averageRagScore}/100 (rule-based checks, scoring v${
+      summary.scoringVersion
+    })\n\n`
+    report += `Apply from the site directory with \`git apply ${path.basename(
+      patchPath,
+    )}\`.\n\n`
+
+    if (summary.evaluation) {
+      const RetrievalEvaluationTool = require('./retrievalEvaluationTool')
+      report += `## 🧪 Retrieval Evaluation\n\n`
+      report += `${RetrievalEvaluationTool.formatResults(summary.evaluation)}\n`
+    }
+
+    const readinessTool = new ReadinessScoreTool()
+    fileDiffs.forEach(fileDiff => {
+      report += `## 📄 \`${fileDiff.relativePath}\`\n\n`
+      report += `- **RAG Readiness:** ${fileDiff.originalRagScore ?? 'N/A'} → ${
+        fileDiff.ragScore ?? 'N/A'
+      }/100\n`
+      report += `- **Changes:** ${
+        fileDiff.changed
+          ? `+${fileDiff.additions} -${fileDiff.deletions} lines`
+          : 'No content changes'
+      }\n`
+      report += `- **Improvements:** ${
+        fileDiff.improvements.length > 0
+          ? fileDiff.improvements.join(', ')
+          : 'None'
+      }\n\n`
+
+      if (fileDiff.readiness) {
+        report += readinessTool.formatChecks(fileDiff.readiness) + '\n'
+      }
+
+      if (fileDiff.changed) {
+        const fence = codeFence(fileDiff.patch)
+        report += `${fence}diff\n${fileDiff.patch}${fence}\n\n`
+      }
+    })
+
+    return report
+  }
+}
+
+module.exports = PatchOutputTool
@@ -0,0 +1,282 @@
+/**
+ * Raised in CI when a quality gate is breached. The message is the full
+ * gate report so the failing build shows which files to fix.
+ */
+class QualityGateError extends Error {
+  constructor(report) {
+    super(report)
+    this.name = 'QualityGateError'
+  }
+}
+
+/**
+ * Critical validation issues in an agent result, or null when it reports none
+ */
+function criticalIssuesOf(result) {
+  return Array.isArray(result.criticalIssues) ? result.criticalIssues : null
+}
+
+/**
+ * Oversized sections in an agent result, or null when it reports no
+ * structural issues
+ */
+function oversizedSectionsOf(result) {
+  return Array.isArray(result.structuralIssues)
+    ? result.structuralIssues.filter(
+        issue => issue.type === 'oversized_section',
+      )
+    : null
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`
+}
+
+/**
+ * Quality Gate Tool
+ * Checks a run against the configured thresholds: the average readiness
+ * score of every discovered document as it is, the critical issues found by
+ * validation and the oversized sections found by the chunking analysis.
+ * Issue counts come from agent results (`criticalIssues`,
+ * `structuralIssues`) and, for documents the manifest skipped, from their
+ * latest recorded run. A gate that nothing measured fails rather than
+ * passes.
+ */
+class QualityGateTool {
+  constructor(options = {}) {
+    this.name = 'quality-gate-tool'
+    this.description =
+      'Checks enhanced documents against configured quality thresholds'
+    this.minScore = options.minScore ?? null
+    this.maxCriticalIssues = options.maxCriticalIssues ?? null
+    this.maxOversizedSections = options.maxOversizedSections ?? null
+    this.failBuild = !!options.failBuild
+  }
+
+  /**
+   * Whether any gate is configured
+   */
+  isConfigured() {
+    return [
+      this.minScore,
+      this.maxCriticalIssues,
+      this.maxOversizedSections,
+    ].some(threshold => typeof threshold === 'number')
+  }
+
+  /**
+   * Readiness of the documents on disk, in the shape of the enhancements'
+   * `relativePath`, `originalRagScore` and `originalReadiness`
+   */
+  async scoreDocuments(documents) {
+    const fs = require('fs-extra')
+    const ReadinessScoreTool = require('./readinessScoreTool')
+    const readinessTool = new ReadinessScoreTool()
+
+    const scored = []
+    for (const document of documents) {
+      const content = await fs.readFile(document.fullPath, 'utf8')
+      const readiness = readinessTool.score(content, {
+        filePath: document.fullPath,
+      })
+      scored.push({
+        relativePath: document.sitePath || document.path,
+        originalRagScore: readiness.score,
+        originalReadiness: readiness,
+      })
+    }
+    return scored
+  }
+
+  /**
+   * Evaluate the gates of a run. `documents` are the scores of every
+   * discovered document (see `scoreDocuments`), `recorded` the latest
+   * history records of the documents the run skipped, and `runFailed` tells
+   * that the agents did not get to report anything.
+   */
+  evaluate(
+    enhancements,
+    { documents = enhancements, recorded = [], runFailed = false } = {},
+  ) {
+    const gates = []
+    if (typeof this.minScore === 'number') {
+      gates.push(this.checkScore(documents))
+    }
+    if (typeof this.maxCriticalIssues === 'number') {
+      gates.push(
+        this.checkIssueCount(enhancements, recorded, runFailed, {
+          id: 'critical-issues',
+          name: 'Critical validation issues',
+          threshold: this.maxCriticalIssues,
+          agent: 'research',
+          issues: criticalIssuesOf,
+          recordedCount: record => record.criticalIssues,
+          describe: issue => issue.issue || issue.category || 'critical issue',
+        }),
+      )
+    }
+    if (typeof this.maxOversizedSections === 'number') {
+      gates.push(
+        this.checkIssueCount(enhancements, recorded, runFailed, {
+          id: 'oversized-sections',
+          name: 'Oversized sections',
+          threshold: this.maxOversizedSections,
+          agent: 'chunking',
+          issues: oversizedSectionsOf,
+          recordedCount: record => record.oversizedSections,
+          describe: issue =>
+            `"${issue.heading || 'Introduction'}" has ${issue.wordCount} words`,
+        }),
+      )
+    }
+
+    const result = {
+      passed: gates.every(gate => gate.status !== 'fail'),
+      failBuild: this.failBuild,
+      gates,
+    }
+    result.report = QualityGateTool.formatReport(result)
+    console.log(`\n${result.report}`)
+    return result
+  }
+
+  /**
+   * Average readiness score of the original documents against `minScore`;
+   * the documents below the minimum are reported
+   */
+  checkScore(documents) {
+    const scored = documents.filter(
+      document => typeof document.originalRagScore === 'number',
+    )
+    const gate = {
+      id: 'min-score',
+      name: 'Average RAG score',
+      threshold: this.minScore,
+      actual: null,
+      status: 'fail',
+      files: [],
+    }
+    if (scored.length === 0) {
+      gate.explanation = 'Not measured: no document was scored'
+      return gate
+    }
+
+    gate.actual = Math.round(
+      scored.reduce(
+        (sum, enhancement) => sum + enhancement.originalRagScore,
+        0,
+      ) / scored.length,
+    )
+    gate.status = gate.actual >= this.minScore ? 'pass' : 'fail'
+    gate.explanation = `${gate.actual}/100 (minimum ${this.minScore})`
+    gate.files = scored
+      .filter(enhancement => enhancement.originalRagScore < this.minScore)
+      .map(enhancement => ({
+        path: enhancement.relativePath,
+        details: [
+          `${enhancement.originalRagScore}/100`,
+          ...(enhancement.originalReadiness?.checks || [])
+            .filter(check => check.status === 'fail')
+            .map(check => `${check.name}: ${check.explanation}`),
+        ],
+      }))
+    return gate
+  }
+
+  /**
+   * Total of one kind of agent-reported issue against its maximum. `issues`
+   * picks the issues out of an agent result, or null when the result does
+   * not report them; `recordedCount` reads the count of a history record.
+   */
+  checkIssueCount(
+    enhancements,
+    recorded,
+    runFailed,
+    { id, name, threshold, agent, issues, recordedCount, describe },
+  ) {
+    const gate = { id, name, threshold, actual: null, status: 'fail' }
+    if (runFailed) {
+      gate.files = []
+      gate.explanation =
+        'Not measured: the run failed before its agents reported'
+      return gate
+    }
+
+    let measured = false
+    const files = []
+    enhancements.forEach(enhancement => {
+      const found = []
+      ;(enhancement.agentResults || []).forEach(agentResult => {
+        const reported = agentResult.result ? issues(agentResult.result) : null
+        if (reported) {
+          measured = true
+          found.push(...reported)
+        }
+      })
+      if (found.length > 0) {
+        files.push({
+          path: enhancement.relativePath,
+          count: found.length,
+          details: found.map(describe),
+        })
+      }
+    })
+    // Documents unchanged since their last run keep the count recorded then
+    recorded.forEach(record => {
+      const count = recordedCount(record)
+      if (typeof count !== 'number') return
+      measured = true
+      if (count > 0) {
+        files.push({
+          path: record.path,
+          count,
+          details: [`${count} found in the run of ${record.timestamp}`],
+        })
+      }
+    })
+
+    gate.files = files
+    if (!measured) {
+      gate.explanation = `Not measured: no document has a result from the ${agent} agent`
+      return gate
+    }
+
+    gate.actual = files.reduce((sum, file) => sum + file.count, 0)
+    gate.status = gate.actual <= threshold ? 'pass' : 'fail'
+    gate.explanation = `${gate.actual} found (maximum ${threshold})`
+    return gate
+  }
+
+  /**
+   * Plain-text report of the gates, with the offending files of each
+   * breached gate
+   */
+  static formatReport(result) {
+    const icons = { pass: '✅', fail: '❌' }
+    const failed = result.gates.filter(gate => gate.status === 'fail')
+    const lines = [
+      failed.length > 0
+        ? `🚦 Quality gates failed: ${failed.length} of ${plural(
+            result.gates.length,
+            'gate',
+          )} breached`
+        : `🚦 Quality gates passed (${plural(result.gates.length, 'gate')})`,
+    ]
+
+    result.gates.forEach(gate => {
+      lines.push(`  ${icons[gate.status]} ${gate.name}: ${gate.explanation}`)
+      if (gate.status !== 'fail') return
+      gate.files.forEach(file => {
+        lines.push(`     ${file.path}`)
+        file.details.forEach(detail => lines.push(`       - ${detail}`))
+      })
+    })
+
+    return lines.join('\n')
+  }
+}
+
+module.exports = QualityGateTool
+module.exports.QualityGateError = QualityGateError
+module.exports.criticalIssuesOf = criticalIssuesOf
+module.exports.oversizedSectionsOf = oversizedSectionsOf
@@ -0,0 +1,351 @@
+const path = require('path')
+const SectionAnalysisTool = require('./sectionAnalysisTool')
+
+// Bump when a check, weight or threshold changes: scores are only
+// comparable within one version
+const SCORING_VERSION = 1
+
+const DESCRIPTION_LENGTH = { min: 50, max: 160 }
+const MAX_SECTION_WORDS = 400
+const MIN_INTRO_WORDS = 10
+const DOCUMENT_WORDS = { min: 100, max: 3000 }
+// Documents this long need H2 sections to chunk well
+const HEADINGS_REQUIRED_WORDS = 300
+const GENERIC_LINK_TEXT = ['here', 'click here', 'this', 'link', 'read more']
+
+const FENCE_OPEN_REGEX = /^\s*(```|~~~)\s*([\w+-]*)/
+const LINK_REGEX = /(?<!!)\[([^\]]*)\]\(([^)]*)\)/g
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`
+}
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length
+}
+
+/**
+ * The checks behind the score. `run` gets the parsed document and returns
+ * `{ passed, explanation }`, or null when the check does not apply (a
+ * document without code blocks has no code-block context to check).
+ */
+const CHECKS = [
+  {
+    id: 'section-size',
+    name: 'Section sizes',
+    weight: 20,
+    run: ({ sections }) => {
+      const oversized = sections.filter(
+        section => countWords(section.content) > MAX_SECTION_WORDS,
+      )
+      return oversized.length === 0
+        ? {
+            passed: true,
+            explanation: `${plural(
+              sections.length,
+              'section',
+            )}, none over ${MAX_SECTION_WORDS} words`,
+          }
+        : {
+            passed: false,
+            explanation: `${oversized
+              .map(
+                section =>
+                  `"${section.heading || 'Introduction'}" has ${countWords(
+                    section.content,
+                  )} words`,
+              )
+              .join(', ')} (limit ${MAX_SECTION_WORDS})`,
+          }
+    },
+  },
+  {
+    id: 'heading-hierarchy',
+    name: 'Heading hierarchy',
+    weight: 15,
+    run: ({ sections, wordCount }) => {
+      const headings = sections.filter(section => section.heading)
+      const problems = []
+
+      const h1s = headings.filter(heading => heading.level === 1)
+      if (h1s.length > 1) {
+        problems.push(`${h1s.length} H1 headings (expected at most one)`)
+      }
+      headings.forEach((heading, index) => {
+        const previous = index > 0 ? headings[index - 1].level : 1
+        if (heading.level > previous + 1) {
+          problems.push(
+            `"${heading.heading}" jumps from H${previous} to H${heading.level}`,
+          )
+        }
+      })
+      if (
+        wordCount > HEADINGS_REQUIRED_WORDS &&
+        !headings.some(heading => heading.level === 2)
+      ) {
+        problems.push(
+          `no H2 sections in a ${wordCount}-word document (needed above ${HEADINGS_REQUIRED_WORDS})`,
+        )
+      }
+
+      return problems.length === 0
+        ? {
+            passed: true,
+            explanation: `${plural(
+              headings.length,
+              'heading',
+            )}, no skipped levels`,
+          }
+        : { passed: false, explanation: problems.join('; ') }
+    },
+  },
+  {
+    id: 'description',
+    name: 'Description',
+    weight: 15,
+    run: ({ data }) => {
+      const description =
+        typeof data.description === 'string' ? data.description.trim() : ''
+      if (!description) {
+        return { passed: false, explanation: 'No `description` frontmatter' }
+      }
+      const { min, max } = DESCRIPTION_LENGTH
+      return description.length >= min && description.length <= max
+        ? {
+            passed: true,
+            explanation: `Description is ${description.length} characters`,
+          }
+        : {
+            passed: false,
+            explanation: `Description is ${description.length} characters (expected ${min}-${max})`,
+          }
+    },
+  },
+  {
+    id: 'metadata-completeness',
+    name: 'Metadata completeness',
+    weight: 10,
+    run: ({ data }) => {
+      const missing = []
+      if (!data.title) missing.push('title')
+      if (!data.description) missing.push('description')
+      const keywords = [data.keywords, data.tags].find(
+        value => Array.isArray(value) && value.length > 0,
+      )
+      if (!keywords) missing.push('keywords or tags')
+
+      return missing.length === 0
+        ? { passed: true, explanation: 'Title, description and keywords set' }
+        : { passed: false, explanation: `Missing ${missing.join(', ')}` }
+    },
+  },
+  {
+    id: 'intro',
+    name: 'Introduction',
+    weight: 10,
+    run: ({ sections }) => {
+      if (!sections.some(section => section.heading)) return null
+      const intro = sections.find(section => !section.heading)
+      const words = intro ? countWords(intro.content) : 0
+      return words >= MIN_INTRO_WORDS
+        ? {
+            passed: true,
+            explanation: `${words}-word introduction before the first heading`,
+          }
+        : {
+            passed: false,
+            explanation: `${words} words before the first heading (expected at least ${MIN_INTRO_WORDS})`,
+          }
+    },
+  },
+  {
+    id: 'code-block-context',
+    name: 'Code block context',
+    weight: 10,
+    run: ({ codeBlocks }) => {
+      if (codeBlocks.length === 0) return null
+      const problems = []
+      codeBlocks.forEach(block => {
+        if (!block.language) {
+          problems.push(`code block ${block.index} has no language`)
+        }
+        if (!block.introduced) {
+          problems.push(`code block ${block.index} has no text before it`)
+        }
+      })
+      return problems.length === 0
+        ? {
+            passed: true,
+            explanation: `${plural(
+              codeBlocks.length,
+              'code block',
+            )}, each with a language and an introduction`,
+          }
+        : { passed: false, explanation: problems.join('; ') }
+    },
+  },
+  {
+    id: 'link-health',
+    name: 'Link health',
+    weight: 10,
+    run: ({ links, filePath }) => {
+      if (links.length === 0) return null
+      const fs = require('fs')
+      const problems = []
+      links.forEach(({ text, target }) => {
+        if (!target || target === '#') {
+          problems.push(`"${text}" has no target`)
+        } else if (GENERIC_LINK_TEXT.includes(text.trim().toLowerCase())) {
+          problems.push(`"${text}" does not describe ${target}`)
+        } else if (
+          filePath &&
+          /\.mdx?(#.*)?$/.test(target) &&
+          !/^([a-z]+:|\/)/i.test(target) &&
+          !fs.existsSync(
+            path.resolve(path.dirname(filePath), target.split('#')[0]),
+          )
+        ) {
+          problems.push(`${target} does not exist`)
+        }
+      })
+      return problems.length === 0
+        ? {
+            passed: true,
+            explanation: `${plural(links.length, 'link')}, all healthy`,
+          }
+        : { passed: false, explanation: problems.join('; ') }
+    },
+  },
+  {
+    id: 'document-length',
+    name: 'Document length',
+    weight: 10,
+    run: ({ wordCount }) => {
+      const { min, max } = DOCUMENT_WORDS
+      return wordCount >= min && wordCount <= max
+        ? { passed: true, explanation: `${wordCount} words` }
+        : {
+            passed: false,
+            explanation: `${wordCount} words (expected ${min}-${max})`,
+          }
+    },
+  },
+]
+
+/**
+ * Readiness Score Tool
+ * Scores how ready a document is for RAG with local, deterministic checks.
+ * The score is the weight of the passed checks over the weight of the checks
+ * that apply, so the same content always gets the same score and every
+ * point can be traced to a check.
+ */
+class ReadinessScoreTool {
+  constructor() {
+    this.name = 'readiness-score-tool'
+    this.description =
+      'Scores RAG readiness with weighted, explainable rule-based checks'
+    this.sectionTool = new SectionAnalysisTool()
+  }
+
+  /**
+   * Score a markdown document (frontmatter included). `filePath` lets the
+   * link check resolve relative links; without it they are not checked.
+   */
+  score(content, options = {}) {
+    const matter = require('gray-matter')
+    const parsed = matter(content)
+    const document = {
+      data: parsed.data,
+      sections: this.sectionTool.splitSections(parsed.content),
+      codeBlocks: this.extractCodeBlocks(parsed.content),
+      links: this.extractLinks(parsed.content),
+      wordCount: countWords(parsed.content),
+      filePath: options.filePath,
+    }
+
+    const checks = CHECKS.map(check => {
+      const outcome = check.run(document)
+      return {
+        id: check.id,
+        name: check.name,
+        weight: check.weight,
+        status: outcome ? (outcome.passed ? 'pass' : 'fail') : 'skip',
+        explanation: outcome
+          ? outcome.explanation
+          : 'Not applicable to this document',
+      }
+    })
+
+    const applicable = checks.filter(check => check.status !== 'skip')
+    const total = applicable.reduce((sum, check) => sum + check.weight, 0)
+    const passed = applicable
+      .filter(check => check.status === 'pass')
+      .reduce((sum, check) => sum + check.weight, 0)
+
+    return {
+      version: SCORING_VERSION,
+      score: total > 0 ? Math.round((passed / total) * 100) : 0,
+      checks,
+    }
+  }
+
+  /**
+   * Markdown table of a score's checks, for PR bodies and reports
+   */
+  formatChecks(readiness) {
+    const icons = { pass: '✅', fail: '❌', skip: '➖' }
+    let table = `| Check | Weight | Result | Explanation |\n`
+    table += `| --- | --- | --- | --- |\n`
+    readiness.checks.forEach(check => {
+      table += `| ${check.name} | ${check.weight} | ${
+        icons[check.status]
+      } | ${check.explanation.replace(/\|/g, '\\|')} |\n`
+    })
+    return table
+  }
+
+  /**
+   * Fenced code blocks with their language and whether prose leads into them
+   */
+  extractCodeBlocks(body) {
+    const blocks = []
+    let fence = null
+    let previous = ''
+
+    body.split('\n').forEach(line => {
+      const match = line.match(FENCE_OPEN_REGEX)
+      if (fence) {
+        if (match && match[1] === fence) fence = null
+        previous = ''
+        return
+      }
+      if (match) {
+        fence = match[1]
+        blocks.push({
+          index: blocks.length + 1,
+          language: match[2] || null,
+          introduced: !!previous && !/^\s*#/.test(previous),
+        })
+        return
+      }
+      if (line.trim()) previous = line
+    })
+
+    return blocks
+  }
+
+  /**
+   * Markdown links (not images) outside code blocks
+   */
+  extractLinks(body) {
+    const prose = body.replace(/(```|~~~)[\s\S]*?\1/g, '')
+    return [...prose.matchAll(LINK_REGEX)].map(([, text, target]) => ({
+      text,
+      target: target.trim().split(/\s+/)[0],
+    }))
+  }
+}
+
+module.exports = ReadinessScoreTool
+module.exports.CHECKS = CHECKS
+module.exports.SCORING_VERSION = SCORING_VERSION
@@ -0,0 +1,274 @@
+const fs = require('fs-extra')
+const path = require('path')
+const Bm25Retriever = require('./bm25Retriever')
+const SectionAnalysisTool = require('./sectionAnalysisTool')
+
+const DEFAULT_QUESTIONS_PER_DOCUMENT = 3
+const DEFAULT_K = 5
+// Document text sent to the model when generating questions
+const MAX_PROMPT_CHARS = 12000
+
+/**
+ * Document key shared by questions and chunks: the site-relative path with
+ * forward slashes
+ */
+function toDocumentKey(file) {
+  return String(file || '')
+    .split(path.sep)
+    .join('/')
+    .replace(/^\.\//, '')
+}
+
+/**
+ * Retrieval Evaluation Tool
+ * Measures whether enhancement makes documents easier to retrieve. Each
+ * question belongs to one document; the original and the enhanced documents
+ * are chunked at their headings and indexed with BM25, and a question is
+ * answered when one of its document's chunks is in the top `k` results.
+ */
+class RetrievalEvaluationTool {
+  constructor(options = {}) {
+    this.name = 'retrieval-evaluation-tool'
+    this.description =
+      'Reports recall@k and MRR of BM25 retrieval before and after enhancement'
+    // LLM provider for generated questions; unused with a question file
+    this.provider = options.provider || null
+    // JSON or JSONL file of { document, question, answer }
+    this.questionsFile = options.questions || null
+    this.questionsPerDocument =
+      options.questionsPerDocument ?? DEFAULT_QUESTIONS_PER_DOCUMENT
+    this.k = options.k ?? DEFAULT_K
+    this.sectionTool = new SectionAnalysisTool()
+  }
+
+  /**
+   * Evaluate the documents of a run. Resolves with the question count and
+   * recall@k / MRR for the original and the enhanced documents.
+   */
+  async evaluate(enhancements) {
+    console.log(
+      `\n🧪 [Evaluation] Measuring retrieval for ${enhancements.length} documents (BM25, k=${this.k})...`,
+    )
+
+    const questions = this.questionsFile
+      ? await this.loadQuestions(enhancements)
+      : await this.generateQuestions(enhancements)
+
+    const result = {
+      source: this.questionsFile ? 'file' : 'llm',
+      k: this.k,
+      questions: questions.length,
+      documents: new Set(questions.map(question => question.document)).size,
+      before: null,
+      after: null,
+    }
+
+    if (questions.length === 0) {
+      console.warn('⚠️ [Evaluation] No questions to evaluate, skipping')
+      return result
+    }
+
+    result.before = this.measure(
+      questions,
+      enhancements.map(enhancement => ({
+        document: toDocumentKey(enhancement.relativePath),
+        content: enhancement.originalContent,
+      })),
+    )
+    result.after = this.measure(
+      questions,
+      enhancements.map(enhancement => ({
+        document: toDocumentKey(enhancement.relativePath),
+        content: enhancement.finalContent,
+      })),
+    )
+
+    console.log(
+      `🧪 [Evaluation] ${result.questions} questions: recall@${this.k} ${result.before.recall} → ${result.after.recall}, MRR ${result.before.mrr} → ${result.after.mrr}`,
+    )
+    return result
+  }
+
+  /**
+   * Recall@k and MRR of `questions` against an index of `documents`
+   */
+  measure(questions, documents) {
+    const retriever = new Bm25Retriever()
+    documents.forEach(({ document, content }) => {
+      retriever.add(this.chunkDocument(document, content))
+    })
+
+    let found = 0
+    let reciprocalRanks = 0
+    questions.forEach(question => {
+      const rank =
+        retriever
+          .search(question.question, this.k)
+          .findIndex(result => result.document === question.document) + 1
+      if (rank > 0) {
+        found++
+        reciprocalRanks += 1 / rank
+      }
+    })
+
+    const round = value => Math.round(value * 1000) / 1000
+    return {
+      recall: round(found / questions.length),
+      mrr: round(reciprocalRanks / questions.length),
+    }
+  }
+
+  /**
+   * Chunks of a document, one per heading-bounded section. Each chunk
+   * carries the document's title, description and keywords, as RAG
+   * pipelines usually attach frontmatter to every chunk.
+   */
+  chunkDocument(document, content) {
+    const matter = require('gray-matter')
+    const parsed = matter(content)
+    const keywords = [parsed.data.keywords, parsed.data.tags]
+      .filter(Array.isArray)
+      .flat()
+    const context = [parsed.data.title, parsed.data.description, ...keywords]
+      .filter(value => typeof value === 'string')
+      .join('\n')
+
+    return this.sectionTool
+      .splitSections(parsed.content)
+      .map((section, index) => ({
+        id: `${document}#${index}`,
+        document,
+        text: `${context}\n${section.content}`,
+      }))
+  }
+
+  /**
+   * Questions from the question file, limited to the documents of this run
+   */
+  async loadQuestions(enhancements) {
+    const raw = await fs.readFile(this.questionsFile, 'utf8')
+    let entries
+    if (this.questionsFile.endsWith('.jsonl')) {
+      entries = raw
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => JSON.parse(line))
+    } else {
+      const parsed = JSON.parse(raw)
+      entries = Array.isArray(parsed) ? parsed : parsed.questions || []
+    }
+
+    const documents = new Set(
+      enhancements.map(enhancement => toDocumentKey(enhancement.relativePath)),
+    )
+
+    const questions = entries
+      .filter(entry => entry && typeof entry.question === 'string')
+      .map(entry => ({
+        document: toDocumentKey(entry.document),
+        question: entry.question,
+        answer: entry.answer || null,
+      }))
+      .filter(entry => documents.has(entry.document))
+
+    console.log(
+      `🧪 [Evaluation] ${questions.length}/${
+        entries.length
+      } questions from ${path.basename(
+        this.questionsFile,
+      )} match documents in this run`,
+    )
+    return questions
+  }
+
+  /**
+   * Ask the LLM for question/answer pairs about each original document. A
+   * document whose questions cannot be generated is left out.
+   */
+  async generateQuestions(enhancements) {
+    const { evaluationQuestionsSchema } = require('../schemas')
+    const questions = []
+
+    for (const enhancement of enhancements) {
+      try {
+        const { data } = await this.provider.generateStructured(
+          this.buildQuestionPrompt(enhancement.originalContent),
+          evaluationQuestionsSchema,
+        )
+        data.questions.slice(0, this.questionsPerDocument).forEach(pair => {
+          questions.push({
+            document: toDocumentKey(enhancement.relativePath),
+            question: pair.question,
+            answer: pair.answer,
+          })
+        })
+      } catch (error) {
+        if (error.fatal) throw error
+        console.warn(
+          `⚠️ [Evaluation] No questions for ${enhancement.relativePath}: ${error.message}`,
+        )
+      }
+    }
+
+    console.log(
+      `🧪 [Evaluation] Generated ${
+        questions.length
+      } questions with ${this.provider.describe()}`,
+    )
+    return questions
+  }
+
+  /**
+   * Markdown table of an evaluation result, for PR bodies and reports
+   */
+  static formatResults(evaluation) {
+    if (evaluation.error) {
+      return `Retrieval evaluation failed: ${evaluation.error}\n`
+    }
+    if (!evaluation.before) {
+      return 'Retrieval evaluation found no questions for these documents.\n'
+    }
+
+    const { before, after, k } = evaluation
+    const change = (from, to) => {
+      const delta = Math.round((to - from) * 1000) / 1000
+      return delta > 0 ? `+${delta}` : `${delta}`
+    }
+    let table = `${evaluation.questions} ${
+      evaluation.source === 'file'
+        ? 'questions from the question file'
+        : 'generated questions'
+    } over ${
+      evaluation.documents
+    } documents, BM25 over heading-bounded chunks.\n\n`
+    table += `| Metric | Before | After | Change |\n`
+    table += `| --- | --- | --- | --- |\n`
+    table += `| Recall@${k} | ${before.recall} | ${after.recall} | ${change(
+      before.recall,
+      after.recall,
+    )} |\n`
+    table += `| MRR | ${before.mrr} | ${after.mrr} | ${change(
+      before.mrr,
+      after.mrr,
+    )} |\n`
+    return table
+  }
+
+  buildQuestionPrompt(content) {
+    return `You are building a retrieval test set for technical documentation.
+
+Write ${
+      this.questionsPerDocument
+    } questions a user might ask that the document below answers, each with a short answer taken from the document.
+- Phrase questions the way users ask them, not by copying headings or sentences
+- Each question must be answerable from this document alone
+
+DOCUMENT:
+${content.substring(0, MAX_PROMPT_CHARS)}
+
+Return ONLY valid JSON, no markdown formatting:
+{"questions": [{"question": "...", "answer": "..."}]}`
+  }
+}
+
+module.exports = RetrievalEvaluationTool
@@ -0,0 +1,247 @@
+const fs = require('fs-extra')
+const path = require('path')
+const crypto = require('crypto')
+
+const CHECKPOINT_VERSION = 1
+
+/**
+ * Run Checkpoint Tool
+ * Saves each finished document of a run to `<dir>/<runId>/` as soon as it
+ * completes, so an interrupted run can be resumed without sending the
+ * finished documents through the agents again
+ */
+class RunCheckpointTool {
+  constructor(options = {}) {
+    this.name = 'run-checkpoint-tool'
+    this.description =
+      'Checkpoints finished documents so interrupted runs can resume'
+
+    this.dir = path.resolve(options.dir || '.ragasaurus/runs')
+    // `true` resumes the latest unfinished run, a string resumes that run id
+    this.resume = options.resume || false
+    // Finished runs kept on disk
+    this.keep = options.keep ?? 5
+    this.run = null
+    this.runDir = null
+  }
+
+  /**
+   * Start a new run, or reopen the run being resumed. Resolves with the
+   * checkpointed enhancements still valid for `documents`, by document key.
+   */
+  async open(documents, agents) {
+    const EnhancementManifestTool = require('./enhancementManifestTool')
+    const { agentConfigHash } =
+      new EnhancementManifestTool().buildAgentSignature(agents)
+    const finished = new Map()
+
+    const previous = this.resume ? await this.findRun(this.resume) : null
+    if (previous && previous.agentConfigHash !== agentConfigHash) {
+      console.warn(
+        `⚠️ [Checkpoints] Run ${previous.runId} used different agents, starting a new run`,
+      )
+    } else if (previous) {
+      this.run = { ...previous, resumedAt: new Date().toISOString() }
+      this.runDir = path.join(this.dir, previous.runId)
+
+      for (const document of documents) {
+        const key = this.getDocumentKey(document)
+        const checkpoint = await this.readCheckpoint(key)
+        if (!checkpoint) continue
+
+        // A document edited since its checkpoint goes through the agents again
+        const contentHash =
+          document.contentHash ||
+          this.hashContent(await fs.readFile(document.fullPath, 'utf8'))
+        if (checkpoint.contentHash === contentHash) {
+          finished.set(key, checkpoint.enhancement)
+        }
+      }
+
+      console.log(
+        `⏯️ [Checkpoints] Resuming run ${previous.runId}: ${finished.size}/${documents.length} documents already finished`,
+      )
+    }
+
+    if (!this.run) {
+      const startedAt = new Date().toISOString()
+      const runId = `${startedAt.replace(/[:.]/g, '-')}-${crypto
+        .randomBytes(3)
+        .toString('hex')}`
+      this.run = {
+        version: CHECKPOINT_VERSION,
+        runId,
+        status: 'running',
+        startedAt,
+        finishedAt: null,
+        resumedAt: null,
+        agentConfigHash,
+        documents: documents.length,
+      }
+      this.runDir = path.join(this.dir, runId)
+      console.log(`💾 [Checkpoints] Run ${runId}: ${this.runDir}`)
+    }
+
+    this.run.status = 'running'
+    await this.writeRun()
+
+    return finished
+  }
+
+  /**
+   * Checkpoint a finished document. A failed write only costs the document
+   * being processed again on resume, so it is logged, not thrown.
+   */
+  async save(enhancement) {
+    const checkpoint = {
+      relativePath: enhancement.relativePath,
+      contentHash: this.hashContent(enhancement.originalContent),
+      savedAt: new Date().toISOString(),
+      enhancement,
+    }
+    try {
+      await this.writeJsonAtomic(
+        this.getCheckpointPath(enhancement.relativePath),
+        checkpoint,
+      )
+    } catch (error) {
+      console.warn(
+        `⚠️ [Checkpoints] Could not checkpoint ${enhancement.relativePath}: ${error.message}`,
+      )
+    }
+  }
+
+  /**
+   * Record how the run ended (`completed` or `failed`). Failed runs can be
+   * resumed; completed ones are pruned beyond the most recent `keep`.
+   */
+  async finish(status) {
+    if (!this.run) return
+
+    this.run.status = status
+    this.run.finishedAt = new Date().toISOString()
+    await this.writeRun()
+
+    if (status === 'completed') {
+      console.log(`💾 [Checkpoints] Run ${this.run.runId} completed`)
+      await this.prune()
+    } else {
+      console.log(
+        `💾 [Checkpoints] Run ${this.run.runId} ${status}; continue it with --resume ${this.run.runId}`,
+      )
+    }
+  }
+
+  /**
+   * The run to resume: the given run id, or the latest run that did not
+   * complete. Resolves with null when there is none.
+   */
+  async findRun(resume) {
+    const runs = await this.listRuns()
+
+    if (typeof resume === 'string') {
+      const run = runs.find(candidate => candidate.runId === resume)
+      if (!run) {
+        throw new Error(`No checkpointed run "${resume}" in ${this.dir}`)
+      }
+      return run
+    }
+
+    const unfinished = runs.filter(run => run.status !== 'completed')
+    if (unfinished.length === 0) {
+      console.log('ℹ️ [Checkpoints] No unfinished run to resume')
+      return null
+    }
+    return unfinished[unfinished.length - 1]
+  }
+
+  /**
+   * Every readable run, oldest first
+   */
+  async listRuns() {
+    if (!(await fs.pathExists(this.dir))) {
+      return []
+    }
+
+    const runs = []
+    for (const runId of await fs.readdir(this.dir)) {
+      try {
+        const run = await fs.readJson(path.join(this.dir, runId, 'run.json'))
+        if (run && run.version === CHECKPOINT_VERSION) {
+          runs.push(run)
+        }
+      } catch (error) {
+        // Not a run directory, or a run that never got going
+      }
+    }
+
+    return runs.sort((a, b) => a.startedAt.localeCompare(b.startedAt))
+  }
+
+  /**
+   * Remove completed runs beyond the most recent `keep`
+   */
+  async prune() {
+    const completed = (await this.listRuns()).filter(
+      run => run.status === 'completed',
+    )
+    const stale = completed.slice(0, Math.max(completed.length - this.keep, 0))
+
+    for (const run of stale) {
+      await fs.remove(path.join(this.dir, run.runId))
+    }
+  }
+
+  async readCheckpoint(key) {
+    const checkpointPath = this.getCheckpointPath(key)
+    try {
+      if (await fs.pathExists(checkpointPath)) {
+        return await fs.readJson(checkpointPath)
+      }
+    } catch (error) {
+      console.warn(
+        `⚠️ [Checkpoints] Ignoring unreadable checkpoint for ${key}: ${error.message}`,
+      )
+    }
+    return null
+  }
+
+  async writeRun() {
+    await this.writeJsonAtomic(path.join(this.runDir, 'run.json'), this.run)
+  }
+
+  /**
+   * Write through a temp file so a run killed mid-write never leaves a
+   * truncated checkpoint behind
+   */
+  async writeJsonAtomic(filePath, data) {
+    await fs.ensureDir(path.dirname(filePath))
+    const tempPath = `${filePath}.${process.pid}.tmp`
+    await fs.writeJson(tempPath, data, { spaces: 2 })
+    await fs.move(tempPath, filePath, { overwrite: true })
+  }
+
+  /**
+   * Checkpoint file for a document: `<runDir>/documents/<sha256>.json`
+   */
+  getCheckpointPath(key) {
+    return path.join(
+      this.runDir,
+      'documents',
+      `${crypto.createHash('sha256').update(key).digest('hex')}.json`,
+    )
+  }
+
+  /**
+   * Checkpoint key for a document: its path relative to the site root
+   */
+  getDocumentKey(document) {
+    return document.sitePath || document.path
+  }
+
+  hashContent(content) {
+    return crypto.createHash('sha256').update(content, 'utf8').digest('hex')
+  }
+}
+
+module.exports = RunCheckpointTool
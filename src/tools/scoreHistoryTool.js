@@ -0,0 +1,278 @@
+const fs = require('fs-extra')
+const path = require('path')
+const { criticalIssuesOf, oversizedSectionsOf } = require('./qualityGateTool')
+
+const HISTORY_VERSION = 1
+const DEFAULT_RUNS = 10
+
+/**
+ * Issues of one kind reported by a document's agents; null when no agent
+ * reported that kind
+ */
+function countIssues(enhancement, pick) {
+  let count = null
+  ;(enhancement.agentResults || []).forEach(({ result }) => {
+    const issues = result ? pick(result) : null
+    if (issues) count = (count || 0) + issues.length
+  })
+  return count
+}
+
+/**
+ * Sum of counts that may be null; null when none is set
+ */
+function sumCounts(values) {
+  const counts = values.filter(value => typeof value === 'number')
+  return counts.length > 0 ? counts.reduce((a, b) => a + b, 0) : null
+}
+
+function plural(count, word) {
+  return `${count} ${word}${count === 1 ? '' : 's'}`
+}
+
+function average(values) {
+  return values.length > 0
+    ? Math.round(values.reduce((a, b) => a + b, 0) / values.length)
+    : null
+}
+
+/**
+ * Score History Tool
+ * Appends one line per run to `.ragasaurus/history.jsonl` with the scores
+ * and issue counts of every processed document, and reads the file back to
+ * show trends. A run only records the documents it processed, so site-wide
+ * figures carry each document's latest record forward.
+ */
+class ScoreHistoryTool {
+  constructor(options = {}) {
+    this.name = 'score-history-tool'
+    this.description =
+      'Records per-run RAG scores and reports trends and regressions'
+    this.siteDir = options.siteDir || process.cwd()
+    this.historyPath = path.resolve(
+      this.siteDir,
+      options.historyPath || '.ragasaurus/history.jsonl',
+    )
+  }
+
+  /**
+   * History record of a finished run
+   */
+  buildEntry(result, options = {}) {
+    const summary = result.summary || {}
+    const documents = (result.enhancements || []).map(enhancement => ({
+      path: enhancement.relativePath,
+      ragScore: enhancement.ragScore,
+      originalRagScore: enhancement.originalRagScore,
+      criticalIssues: countIssues(enhancement, criticalIssuesOf),
+      oversizedSections: countIssues(enhancement, oversizedSectionsOf),
+      failedChecks: (enhancement.originalReadiness?.checks || [])
+        .filter(check => check.status === 'fail')
+        .map(check => check.id),
+    }))
+
+    const agents = {}
+    Object.entries(result.agentStatistics || {}).forEach(([name, stats]) => {
+      agents[name] = {
+        successful: stats.successful,
+        failed: stats.failed,
+        averageProcessingTime: stats.averageProcessingTime,
+        circuitOpen: !!stats.circuitOpen,
+      }
+    })
+
+    return {
+      version: HISTORY_VERSION,
+      runId: summary.run || null,
+      timestamp: summary.timestamp || new Date().toISOString(),
+      scoringVersion: summary.scoringVersion,
+      dryRun: !!options.dryRun,
+      run: {
+        documents: documents.length,
+        failed: summary.failed || 0,
+        averageRagScore: summary.averageRagScore,
+        averageOriginalRagScore: summary.averageOriginalRagScore,
+        criticalIssues: sumCounts(documents.map(doc => doc.criticalIssues)),
+        oversizedSections: sumCounts(
+          documents.map(doc => doc.oversizedSections),
+        ),
+        qualityGatesPassed: options.qualityGates
+          ? options.qualityGates.passed
+          : null,
+      },
+      agents,
+      documents,
+    }
+  }
+
+  /**
+   * Append a run to the history file
+   */
+  async append(entry) {
+    await fs.ensureDir(path.dirname(this.historyPath))
+    await fs.appendFile(this.historyPath, JSON.stringify(entry) + '\n', 'utf8')
+    console.log(`📈 [History] Recorded run in ${this.historyPath}`)
+  }
+
+  /**
+   * All recorded runs, oldest first. Unreadable lines are skipped.
+   */
+  async load() {
+    if (!(await fs.pathExists(this.historyPath))) {
+      return []
+    }
+
+    const lines = (await fs.readFile(this.historyPath, 'utf8')).split('\n')
+    const entries = []
+    lines.forEach((line, index) => {
+      if (!line.trim()) return
+      try {
+        const entry = JSON.parse(line)
+        if (entry && entry.version === HISTORY_VERSION) {
+          entries.push(entry)
+        }
+      } catch (error) {
+        console.warn(
+          `⚠️ [History] Skipping unreadable line ${index + 1} of ${
+            this.historyPath
+          }`,
+        )
+      }
+    })
+    return entries
+  }
+
+  /**
+   * Latest record of every document in the history, with the timestamp of
+   * its run, keyed by document path
+   */
+  latestDocuments(entries) {
+    const latest = new Map()
+    entries.forEach(entry => {
+      entry.documents.forEach(doc => {
+        latest.set(doc.path, { ...doc, timestamp: entry.timestamp })
+      })
+    })
+    return latest
+  }
+
+  /**
+   * Site-wide trend over the last `runs` runs, regressions between the last
+   * two runs and the documents whose score dropped since their previous
+   * run. Only runs with the latest scoring version are compared.
+   */
+  buildTrends(entries, options = {}) {
+    const limit = options.runs || DEFAULT_RUNS
+    if (entries.length === 0) {
+      return { scoringVersion: null, runs: [], regressions: [], dropped: [] }
+    }
+
+    const scoringVersion = entries[entries.length - 1].scoringVersion
+    const comparable = entries.filter(
+      entry => entry.scoringVersion === scoringVersion,
+    )
+
+    // Latest record of every document as of each run
+    const latest = new Map()
+    const previous = new Map()
+    const runs = comparable.map(entry => {
+      entry.documents.forEach(doc => {
+        if (latest.has(doc.path)) {
+          previous.set(doc.path, { ...latest.get(doc.path) })
+        }
+        latest.set(doc.path, { ...doc, timestamp: entry.timestamp })
+      })
+      const known = [...latest.values()]
+      return {
+        runId: entry.runId,
+        timestamp: entry.timestamp,
+        dryRun: entry.dryRun,
+        documentsInRun: entry.documents.length,
+        documents: known.length,
+        averageScore: average(
+          known
+            .map(doc => doc.originalRagScore)
+            .filter(score => typeof score === 'number'),
+        ),
+        criticalIssues: sumCounts(known.map(doc => doc.criticalIssues)),
+        oversizedSections: sumCounts(known.map(doc => doc.oversizedSections)),
+        agents: entry.agents,
+      }
+    })
+
+    const last = comparable[comparable.length - 1]
+    const dropped = last.documents
+      .filter(doc => {
+        const before = previous.get(doc.path)
+        return before && doc.originalRagScore < before.originalRagScore
+      })
+      .map(doc => {
+        const before = previous.get(doc.path)
+        return {
+          path: doc.path,
+          previous: before.originalRagScore,
+          current: doc.originalRagScore,
+          change: doc.originalRagScore - before.originalRagScore,
+          since: before.timestamp,
+          failedChecks: doc.failedChecks.filter(
+            id => !(before.failedChecks || []).includes(id),
+          ),
+        }
+      })
+      .sort((a, b) => a.change - b.change || a.path.localeCompare(b.path))
+
+    return {
+      scoringVersion,
+      runs: runs.slice(-limit),
+      regressions:
+        runs.length > 1
+          ? this.findRegressions(runs[runs.length - 2], runs[runs.length - 1])
+          : [],
+      dropped,
+    }
+  }
+
+  /**
+   * Site-wide figures that got worse from one run to the next
+   */
+  findRegressions(before, after) {
+    const regressions = []
+    if (
+      typeof before.averageScore === 'number' &&
+      typeof after.averageScore === 'number' &&
+      after.averageScore < before.averageScore
+    ) {
+      regressions.push(
+        `Average RAG score dropped from ${before.averageScore} to ${after.averageScore}`,
+      )
+    }
+    ;[
+      ['criticalIssues', 'Critical issues'],
+      ['oversizedSections', 'Oversized sections'],
+    ].forEach(([key, label]) => {
+      if ((after[key] || 0) > (before[key] || 0)) {
+        regressions.push(
+          `${label} rose from ${before[key] || 0} to ${after[key]}`,
+        )
+      }
+    })
+    Object.entries(after.agents || {}).forEach(([name, stats]) => {
+      const failedBefore = before.agents?.[name]?.failed || 0
+      if (stats.failed > failedBefore) {
+        regressions.push(
+          `${name} failed on ${plural(
+            stats.failed,
+            'document',
+          )} (previous run: ${failedBefore})`,
+        )
+      }
+      if (stats.circuitOpen && !before.agents?.[name]?.circuitOpen) {
+        regressions.push(`${name} was disabled by its circuit breaker`)
+      }
+    })
+    return regressions
+  }
+}
+
+module.exports = ScoreHistoryTool
+module.exports.HISTORY_VERSION = HISTORY_VERSION
@@ -0,0 +1,272 @@
+// Rough size of one token for English prose and code
+const CHARS_PER_TOKEN = 4
+const DEFAULT_TOKEN_BUDGET = 4000
+// Never give a section less room than this, however long the prompt
+const MIN_SECTION_TOKENS = 500
+
+const HEADING_REGEX = /^(#{1,6})\s+(.+?)\s*#*\s*$/
+const FENCE_REGEX = /^\s*(```|~~~)/
+
+const OUTPUT_SOURCE_RANK = { model: 0, repair: 1, fallback: 2 }
+
+/**
+ * Section Analysis Tool
+ * Splits long documents into heading-bounded sections, packs them into
+ * batches that fit a per-call token budget, and merges the per-section
+ * results back into document-level metadata.
+ */
+class SectionAnalysisTool {
+  constructor(options = {}) {
+    this.name = 'section-analysis-tool'
+    this.description =
+      'Splits long documents into token-budgeted sections and merges section analyses'
+    this.tokenBudget = options.tokenBudget || DEFAULT_TOKEN_BUDGET
+  }
+
+  /**
+   * Approximate token count of a piece of text
+   */
+  estimateTokens(text) {
+    return Math.ceil((text || '').length / CHARS_PER_TOKEN)
+  }
+
+  /**
+   * Split markdown into sections, each starting at a heading. Headings inside
+   * code fences are ignored; text before the first heading is its own section.
+   */
+  splitSections(content) {
+    const sections = []
+    let current = { heading: null, level: 0, lines: [] }
+    let inFence = false
+
+    const pushCurrent = () => {
+      const text = current.lines.join('\n').trim()
+      if (text) {
+        sections.push({
+          heading: current.heading,
+          level: current.level,
+          content: text,
+          tokens: this.estimateTokens(text),
+        })
+      }
+    }
+
+    content.split('\n').forEach(line => {
+      if (FENCE_REGEX.test(line)) {
+        inFence = !inFence
+      }
+
+      const heading = !inFence && line.match(HEADING_REGEX)
+      if (heading) {
+        pushCurrent()
+        current = {
+          heading: heading[2].replace(/[*`]/g, '').trim(),
+          level: heading[1].length,
+          lines: [],
+        }
+      }
+      current.lines.push(line)
+    })
+    pushCurrent()
+
+    return sections
+  }
+
+  /**
+   * Break a section that is over budget into parts at paragraph boundaries
+   */
+  splitOversizedSection(section, budget) {
+    const paragraphs = []
+    let lines = []
+    let inFence = false
+
+    section.content.split('\n').forEach(line => {
+      if (FENCE_REGEX.test(line)) {
+        inFence = !inFence
+      }
+      if (!inFence && !line.trim() && lines.length > 0) {
+        paragraphs.push(lines.join('\n'))
+        lines = []
+      } else if (line.trim() || lines.length > 0) {
+        lines.push(line)
+      }
+    })
+    if (lines.length > 0) {
+      paragraphs.push(lines.join('\n'))
+    }
+
+    // A single paragraph over budget is cut at the character limit
+    const maxChars = budget * CHARS_PER_TOKEN
+    const pieces = paragraphs.flatMap(paragraph => {
+      const chunks = []
+      for (let start = 0; start < paragraph.length; start += maxChars) {
+        chunks.push(paragraph.slice(start, start + maxChars))
+      }
+      return chunks
+    })
+
+    const parts = []
+    let buffer = []
+    let bufferTokens = 0
+    pieces.forEach(piece => {
+      const tokens = this.estimateTokens(piece)
+      if (buffer.length > 0 && bufferTokens + tokens > budget) {
+        parts.push(buffer.join('\n\n'))
+        buffer = []
+        bufferTokens = 0
+      }
+      buffer.push(piece)
+      bufferTokens += tokens
+    })
+    if (buffer.length > 0) {
+      parts.push(buffer.join('\n\n'))
+    }
+
+    return parts.map((text, index) => ({
+      heading: `${section.heading || 'Introduction'} (part ${index + 1}/${
+        parts.length
+      })`,
+      level: section.level,
+      content: text,
+      tokens: this.estimateTokens(text),
+    }))
+  }
+
+  /**
+   * Group consecutive sections into batches of at most `budget` tokens.
+   * A document that fits the budget comes back as a single batch.
+   */
+  packSections(content, budget) {
+    const sections = this.splitSections(content).flatMap(section =>
+      section.tokens > budget
+        ? this.splitOversizedSection(section, budget)
+        : [section],
+    )
+
+    const batches = []
+    let batch = null
+    sections.forEach(section => {
+      if (batch && batch.tokens + section.tokens > budget) {
+        batches.push(batch)
+        batch = null
+      }
+      if (!batch) {
+        batch = { headings: [], sections: [], tokens: 0 }
+      }
+      batch.headings.push(section.heading || 'Introduction')
+      batch.sections.push(section.content)
+      batch.tokens += section.tokens
+    })
+    if (batch) {
+      batches.push(batch)
+    }
+
+    return batches.map(({ headings, sections: parts, tokens }) => ({
+      headings,
+      content: parts.join('\n\n'),
+      tokens,
+    }))
+  }
+
+  /**
+   * Batches for an analysis context, leaving room in each call for the
+   * prompt itself (measured by rendering it with empty content)
+   */
+  planSections(context, buildPrompt) {
+    const overhead = this.estimateTokens(
+      buildPrompt({ ...context, content: '' }),
+    )
+    const budget = Math.max(this.tokenBudget - overhead, MIN_SECTION_TOKENS)
+    return this.packSections(context.content, budget)
+  }
+
+  /**
+   * Analysis context narrowed to one batch. The document-wide outline is
+   * kept so each call still knows where its section sits.
+   */
+  buildSectionContext(context, batch, index, total) {
+    return {
+      ...context,
+      content: batch.content,
+      wordCount: batch.content.split(/\s+/).length,
+      section: `${index + 1} of ${total}: ${batch.headings.join(', ')}`,
+    }
+  }
+
+  /**
+   * Merge per-section results ({ data, weight }) into one object.
+   * Arrays are ranked by how much of the document mentions each item,
+   * numbers are weighted averages and other values take a weighted vote.
+   * Fields in `keepFirst` come from the first section that has them.
+   */
+  mergeResults(results, options = {}) {
+    const keepFirst = options.keepFirst || []
+    const fields = new Set(results.flatMap(result => Object.keys(result.data)))
+    const merged = {}
+
+    fields.forEach(field => {
+      const values = results
+        .filter(
+          result =>
+            result.data[field] !== undefined && result.data[field] !== null,
+        )
+        .map(result => ({ value: result.data[field], weight: result.weight }))
+
+      if (values.length === 0) {
+        return
+      }
+
+      if (keepFirst.includes(field)) {
+        merged[field] = values[0].value
+      } else if (Array.isArray(values[0].value)) {
+        merged[field] = this.rankItems(values)
+      } else if (typeof values[0].value === 'number') {
+        const totalWeight = values.reduce((sum, v) => sum + v.weight, 0)
+        merged[field] = Math.round(
+          values.reduce((sum, v) => sum + Number(v.value) * v.weight, 0) /
+            (totalWeight || 1),
+        )
+      } else {
+        merged[field] = this.rankItems(
+          values.map(v => ({ value: [v.value], weight: v.weight })),
+        )[0]
+      }
+    })
+
+    return merged
+  }
+
+  /**
+   * Union of array values, ordered by total weight (first seen wins ties)
+   */
+  rankItems(values) {
+    const scores = new Map()
+
+    values.forEach(({ value, weight }) => {
+      new Set(value).forEach(item => {
+        const key =
+          typeof item === 'string' ? item.trim().toLowerCase() : String(item)
+        const entry = scores.get(key) || { item, score: 0 }
+        entry.score += weight
+        scores.set(key, entry)
+      })
+    })
+
+    return Array.from(scores.values())
+      .sort((a, b) => b.score - a.score)
+      .map(entry => entry.item)
+  }
+
+  /**
+   * Overall output source: the least reliable one used by any section
+   */
+  mergeOutputSources(sources) {
+    return sources.reduce(
+      (worst, source) =>
+        OUTPUT_SOURCE_RANK[source] > OUTPUT_SOURCE_RANK[worst] ? source : worst,
+      'model',
+    )
+  }
+}
+
+module.exports = SectionAnalysisTool
@@ -0,0 +1,554 @@
+// src/types.ts
+
+/**
+ * Plugin Options Interface
+ */
+export interface RAGPluginOptions {
+  /** Enable/disable the plugin */
+  enabled?: boolean
+  /** Enable verbose logging */
+  verbose?: boolean
+  /** Path to documentation directory */
+  docsPath?: string
+  /** Skip interactive prompt in development */
+  skipPrompt?: boolean
+  /** Agent configuration; custom agents can be disabled by their key too */
+  agents?: {
+    seo?: boolean
+    topology?: boolean
+    chunking?: boolean
+    research?: boolean
+    [key: string]: boolean | undefined
+  }
+  /** GitHub integration options */
+  github?: {
+    createPR?: boolean
+    owner?: string
+    repo?: string
+    token?: string
+  }
+  /** Maximum number of agents to run, a positive integer (default: 6) */
+  maxAgents?: number
+  /** Target directory for enhanced docs */
+  outputPath?: string
+  /** Glob patterns of documents to include (default: all .md and .mdx files) */
+  include?: string[]
+  /** Glob patterns of documents to exclude, in addition to partials and backups */
+  exclude?: string[]
+  /** Also process versioned docs under `versioned_docs/` */
+  versions?: boolean
+  /** Also process translated docs under `i18n/` (true for all locales) */
+  i18n?: boolean | string[]
+  /** Re-enhance every document, ignoring the manifest */
+  force?: boolean
+  /** Write a local patch instead of publishing changes; leaves the manifest untouched */
+  dryRun?: boolean
+  /** Where proposed enhancements are published */
+  output?: OutputOptions
+  /** LLM provider used by the agents (default: Gemini) */
+  llm?: LLMOptions
+  /** Record or replay LLM and search responses for offline runs */
+  fixtures?: FixtureOptions
+  /** On-disk cache of LLM responses */
+  cache?: CacheOptions
+  /** Per-run checkpoints of finished documents */
+  checkpoints?: CheckpointOptions
+  /** Continue an interrupted run: `true` for the latest unfinished run, or a run id */
+  resume?: boolean | string
+  /** Documents processed in parallel; agents still run in order per document (default: 1) */
+  concurrency?: number
+  /** How each document's agent pipeline runs: our built-in loop or a KaibanJS team (default: sequential) */
+  engine?: 'sequential' | 'kaibanjs'
+  /** Per-provider request limits shared by all parallel work, keyed by provider name (`gemini`, `tavily`, `github`, ...) */
+  rateLimits?: Record<string, RateLimitOptions>
+  /** Agent dependencies by agent key, merged over the default pipeline (chunking first, then the others in parallel) */
+  pipeline?: Record<string, PipelineStepOptions>
+  /** Extra agents: module paths (relative to the site directory) or inline definitions */
+  customAgents?: Array<string | CustomAgentDefinition>
+  /** Progress event handlers, keyed by event name */
+  events?: RagasaurusEventHandlers
+  /** Timeouts, retries and circuit breakers by agent key; `default` applies to every agent */
+  agentPolicies?: Record<string, AgentPolicyOptions>
+  /** Measure BM25 retrieval before and after enhancement */
+  evaluation?: EvaluationOptions
+  /** Thresholds that fail the build in CI when breached */
+  qualityGates?: QualityGateOptions
+  /** Heading-aware chunks, exported as JSONL by `docusaurus build` */
+  chunks?: ChunkOptions
+}
+
+export type AgentKey = 'seo' | 'topology' | 'chunking' | 'research'
+
+/**
+ * Where one agent sits in the pipeline
+ */
+export interface PipelineStepOptions {
+  /** Keys of the agents that must finish first */
+  dependsOn?: string[]
+  /** Read the original document or the content left by its dependencies */
+  input?: 'original' | 'restructured'
+}
+
+/**
+ * Run checkpoint configuration
+ */
+export interface CheckpointOptions {
+  /** Save each finished document as the run goes (default: true) */
+  enabled?: boolean
+  /** Runs directory (default: `.ragasaurus/runs`) */
+  dir?: string
+  /** Completed runs kept on disk (default: 5) */
+  keep?: number
+}
+
+/**
+ * Retrieval evaluation configuration
+ */
+export interface EvaluationOptions {
+  /** Report recall@k and MRR before and after enhancement (default: false) */
+  enabled?: boolean
+  /** JSON or JSONL file of `{ document, question, answer }`, relative to the site directory; questions are generated with the LLM when omitted */
+  questions?: string
+  /** Questions generated per document (default: 3) */
+  questionsPerDocument?: number
+  /** Chunks retrieved per question (default: 5) */
+  k?: number
+}
+
+/**
+ * Chunk building and export
+ */
+export interface ChunkOptions {
+  /** Write the chunks of every built doc during `docusaurus build` (default: false) */
+  export?: boolean
+  /** Largest chunk, in estimated tokens; longer sections are split at paragraphs (default: 512) */
+  maxTokens?: number
+  /** Tokens a split section's parts repeat from the part before, at most half of `maxTokens` (default: 64) */
+  overlap?: number
+  /** JSONL file, relative to the build directory (default: `rag-chunks.jsonl`) */
+  outputPath?: string
+}
+
+/**
+ * One exported chunk, a line of the chunks JSONL file
+ */
+export interface DocumentChunk {
+  /** Stable while the document path, section anchor and part number are */
+  id: string
+  /** Source document, relative to the site directory */
+  document: string
+  /** Page URL, with the section anchor below the H1 */
+  url: string | null
+  anchor: string | null
+  heading: string | null
+  /** Title, then the headings above and including this section */
+  breadcrumbs: string[]
+  /** Position of the chunk in its document */
+  index: number
+  text: string
+  /** Estimated tokens (about four characters each) */
+  tokens: number
+  /** The document's frontmatter */
+  metadata: Record<string, unknown>
+}
+
+/**
+ * Quality gate thresholds; a gate is only checked when its threshold is set
+ */
+export interface QualityGateOptions {
+  /** Minimum average RAG score of the processed documents, before enhancement */
+  minScore?: number
+  /** Maximum critical issues found by the research agent, across the run */
+  maxCriticalIssues?: number
+  /** Maximum sections over 500 words found by the chunking agent, across the run */
+  maxOversizedSections?: number
+  /** Fail `docusaurus build` and `rag:enhance` when a gate is breached (default: when the `CI` environment variable is set) */
+  failBuild?: boolean
+}
+
+/**
+ * How the task runner guards one agent
+ */
+export interface AgentPolicyOptions {
+  /** Time allowed per document and attempt, in milliseconds (default: 300000; 0 for none) */
+  timeoutMs?: number
+  /** Extra attempts after a failure or timeout (default: 1) */
+  retries?: number
+  /** Wait before the first retry, doubled for each further retry (default: 2000) */
+  backoffMs?: number
+  /** Consecutive failed documents before the agent is disabled for the rest of the run (default: 5; 0 for never) */
+  maxFailures?: number
+}
+
+/**
+ * Request limits for one provider
+ */
+export interface RateLimitOptions {
+  /** Requests started per rolling minute (0 for no limit) */
+  requestsPerMinute?: number
+  /** Requests in flight at once (0 for no limit) */
+  maxConcurrent?: number
+}
+
+/**
+ * LLM response cache options
+ */
+export interface CacheOptions {
+  /** Serve repeated prompts from the cache (default: true) */
+  enabled?: boolean
+  /** Cache directory (default: `.ragasaurus/cache`) */
+  dir?: string
+  /** Days before an entry expires (default: 7) */
+  ttlDays?: number
+  /** Maximum number of entries kept (default: 500) */
+  maxEntries?: number
+  /** Maximum total size in megabytes (default: 50) */
+  maxSizeMB?: number
+}
+
+/**
+ * Fixture recording/replay options
+ */
+export interface FixtureOptions {
+  /**
+   * `record` calls the live providers and saves every response, `replay`
+   * serves saved responses and fails on any request that was not recorded.
+   */
+  mode?: 'record' | 'replay' | 'off'
+  /** Fixtures directory (default: `.ragasaurus/fixtures`) */
+  dir?: string
+}
+
+/**
+ * LLM provider configuration
+ */
+export interface LLMProviderConfig {
+  /** Provider adapter (default: `gemini`) */
+  provider?: 'gemini' | 'openai-compatible' | 'ollama'
+  /** Model name (default depends on the provider) */
+  model?: string
+  /** API key; resolved from the provider's environment variables when omitted */
+  apiKey?: string
+  /** Environment variable to read the API key from before the provider defaults */
+  apiKeyEnv?: string
+  /** Endpoint for `openai-compatible` and `ollama` providers */
+  baseUrl?: string
+  temperature?: number
+  /** Send `response_format: json_object` (`openai-compatible` only) */
+  jsonMode?: boolean
+  /** Times an invalid structured response is sent back for repair (default: 2) */
+  maxRepairs?: number
+  /** Estimated tokens per model call; longer documents are analyzed per section (default: 4000) */
+  tokenBudget?: number
+}
+
+/**
+ * LLM options: a shared provider plus per-agent overrides
+ */
+export interface LLMOptions extends LLMProviderConfig {
+  agents?: {
+    seo?: LLMProviderConfig
+    topology?: LLMProviderConfig
+    chunking?: LLMProviderConfig
+    /** Question generation for the retrieval evaluation */
+    evaluation?: LLMProviderConfig
+  }
+}
+
+/**
+ * Output options for proposed enhancements
+ */
+export interface OutputOptions {
+  /**
+   * `github` opens a pull request, `git` commits to a new branch of the
+   * site's local repository, `patch` writes a `git apply` patch and a diff
+   * report, `none` only reports results.
+   * Defaults to `github` when `github.createPR` is set, otherwise `none`.
+   */
+  mode?: 'github' | 'git' | 'patch' | 'none'
+  /** Directory for patches and diff reports (default: `.ragasaurus/patches`) */
+  dir?: string
+  /** Prefix for local branch names in `git` mode (default: `rag-enhancements-`) */
+  branchPrefix?: string
+}
+
+/**
+ * Environment validation result
+ */
+export interface EnvValidationResult {
+  isValid: boolean
+  missing: string[]
+  present: string[]
+  config: EnvironmentConfig
+}
+
+/**
+ * Environment configuration
+ */
+export interface EnvironmentConfig {
+  googleApiKey?: string
+  tavilyApiKey?: string
+  skipPrompt: boolean
+  nodeEnv: string
+  isDevelopment: boolean
+  isProduction: boolean
+  /** Running in continuous integration (`CI` is set) */
+  isCI: boolean
+}
+
+/**
+ * Processing result from RAG workflow
+ */
+export interface ProcessingResult {
+  filesProcessed: number
+  enhancementsApplied: number
+  /** Average readiness score of the enhanced documents */
+  ragScore: number
+  /** Average readiness score of the same documents before enhancement */
+  originalRagScore: number
+  /** Readiness score and checks of every enhanced document */
+  documents: DocumentReadiness[]
+  /** Outcome of the configured quality gates; null when none are set */
+  qualityGates: QualityGateResult | null
+  processingTime: number
+  agentResults: any[]
+  summary: any
+}
+
+/**
+ * One rule-based readiness check and its outcome
+ */
+export interface ReadinessCheck {
+  /** Stable check id, e.g. `section-size` */
+  id: string
+  name: string
+  /** Share of the score this check carries */
+  weight: number
+  /** `skip` when the check does not apply (no code blocks, no links) */
+  status: 'pass' | 'fail' | 'skip'
+  /** Why the check passed or failed */
+  explanation: string
+}
+
+/**
+ * A document's rule-based RAG readiness score and the checks behind it
+ */
+export interface DocumentReadiness {
+  /** Path relative to the site directory */
+  path: string
+  /** Score after enhancement, 0-100 */
+  ragScore: number
+  /** Score before enhancement, 0-100 */
+  originalRagScore: number
+  /** Scoring rules version; scores are comparable within one version */
+  scoringVersion: number
+  checks: ReadinessCheck[]
+}
+
+/**
+ * One quality gate and its outcome
+ */
+export interface QualityGate {
+  /** `min-score`, `critical-issues` or `oversized-sections` */
+  id: string
+  name: string
+  threshold: number
+  /** Measured value; null when nothing measured it */
+  actual: number | null
+  /** `fail` also when nothing measured it */
+  status: 'pass' | 'fail'
+  explanation: string
+  /** Documents behind a breach, with what is wrong in each */
+  files: Array<{ path: string; count?: number; details: string[] }>
+}
+
+/**
+ * Outcome of the quality gates of a run
+ */
+export interface QualityGateResult {
+  passed: boolean
+  /** Whether a breach fails the build */
+  failBuild: boolean
+  gates: QualityGate[]
+  /** Plain-text report listing the offending files */
+  report: string
+}
+
+/**
+ * What an agent's `analyzeContent` resolves with
+ */
+export interface AgentResult {
+  /** Frontmatter fields to propose */
+  enhancedMetadata: Record<string, unknown>
+  /** Human-readable changes, listed in the PR and reports */
+  improvements: string[]
+  /** Full document (frontmatter included) for dependent agents and the PR; needs `modifiesContent` */
+  restructuredContent?: string
+  /** Where the output came from */
+  outputSource?: 'model' | 'repair' | 'fallback'
+  /** Markdown report the runner writes to `logs/<name>/` */
+  report?: { name: string; content: string }
+  /** Critical validation issues, counted by the `maxCriticalIssues` gate */
+  criticalIssues?: Array<{ issue: string; [key: string]: unknown }>
+  /** Structural issues; `oversized_section` entries count toward `maxOversizedSections` */
+  structuralIssues?: Array<{ type: string; [key: string]: unknown }>
+  [key: string]: unknown
+}
+
+/**
+ * The read-only, in-memory document an agent analyzes
+ */
+export interface AgentDocument {
+  /** Path relative to the site directory, for logs and context only */
+  readonly path: string
+  readonly title?: string
+  readonly version?: string
+  readonly locale?: string
+  /** Full markdown, frontmatter included */
+  readonly content: string
+  /** Parsed frontmatter */
+  readonly metadata: Readonly<Record<string, unknown>>
+}
+
+/**
+ * The contract every agent follows, built-in or custom
+ */
+export interface RagasaurusAgent {
+  /** Unique name used in logs, statistics and the manifest */
+  name: string
+  /** Short description shown in logs */
+  role: string
+  /** Bump to re-enhance documents processed by an older version */
+  version?: string
+  /** Set when the agent returns `restructuredContent` */
+  modifiesContent?: boolean
+  /** Analyze one document without touching the filesystem */
+  analyzeContent(document: AgentDocument): Promise<AgentResult>
+}
+
+/**
+ * A custom agent entry in the `customAgents` option
+ */
+export interface CustomAgentDefinition {
+  /** Pipeline key (default: the agent's name) */
+  key?: string
+  /** Module exporting an agent object, class or factory, relative to the site directory or a package name */
+  module?: string
+  /** Inline agent object, class or factory */
+  agent?:
+    | RagasaurusAgent
+    | (new (options: any) => RagasaurusAgent)
+    | ((options: any) => RagasaurusAgent | Promise<RagasaurusAgent>)
+  /** Passed to the class constructor or factory */
+  options?: Record<string, unknown>
+  /** Set to false to skip this agent */
+  enabled?: boolean
+}
+
+/**
+ * Fields shared by every progress event
+ */
+interface RagasaurusEventBase<T extends string> {
+  type: T
+  /** When the event was emitted (ISO 8601) */
+  timestamp: string
+}
+
+/**
+ * Progress events by name, emitted by `DocumentProcessingTeam` and
+ * `EnhanceMetadataTask`. `file` is the document path relative to the site
+ * root; durations are in milliseconds.
+ */
+export interface RagasaurusEvents {
+  'run:start': RagasaurusEventBase<'run:start'> & {
+    /** Checkpointed run id (null when checkpoints are disabled) */
+    runId: string | null
+    totalFiles: number
+    /** Documents restored from checkpoints instead of processed */
+    resumed: number
+    agents: string[]
+    concurrency: number
+    engine: string
+  }
+  'file:start': RagasaurusEventBase<'file:start'> & {
+    file: string
+    title: string
+    /** 1-based position in the run */
+    index: number
+    total: number
+  }
+  'agent:start': RagasaurusEventBase<'agent:start'> & {
+    file: string
+    agent: string
+    /** Pipeline key */
+    key: string
+    position: number
+    total: number
+  }
+  'agent:end': RagasaurusEventBase<'agent:end'> & {
+    file: string
+    agent: string
+    key: string
+    position: number
+    durationMs: number
+    improvements: number
+    ragScore: number
+    outputSource: 'model' | 'repair' | 'fallback' | null
+    contentModified: boolean
+  }
+  'agent:error': RagasaurusEventBase<'agent:error'> & {
+    file: string
+    agent: string
+    key: string
+    position: number
+    durationMs: number
+    error: string
+    /** Fatal errors abort the run; others only fail this agent */
+    fatal: boolean
+  }
+  'file:end': RagasaurusEventBase<'file:end'> & {
+    file: string
+    title: string
+    index: number
+    total: number
+    /** Documents finished so far, including this one */
+    completed: number
+    durationMs: number
+    /** Time spent in the agents */
+    processingTime: number
+    /** Null when the document failed */
+    ragScore: number | null
+    improvements: number
+    error: string | null
+  }
+  'pr:created': RagasaurusEventBase<'pr:created'> & {
+    url: string
+    number: number
+    branch: string
+    files: number
+    averageRagScore: number
+  }
+  'run:end': RagasaurusEventBase<'run:end'> & {
+    success: boolean
+    /** Why the run stopped (only the fields above are set then) */
+    error: string | null
+    totalFiles?: number
+    successful?: number
+    failed?: number
+    resumed?: number
+    averageRagScore?: number
+    totalImprovements?: number
+    wallClockTime?: number
+    /** Publishing result: `githubPR`, `localBranch` or `patch` */
+    publish?: Record<string, any>
+  }
+}
+
+export type RagasaurusEventName = keyof RagasaurusEvents
+
+/**
+ * Handlers for the `events` option
+ */
+export type RagasaurusEventHandlers = {
+  [K in RagasaurusEventName]?: (event: RagasaurusEvents[K]) => void
+}
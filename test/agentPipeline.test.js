@@ -0,0 +1,87 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const AgentPipeline = require('../src/teams/agentPipeline')
+const { PipelineConfigError } = AgentPipeline
+
+const agent = (name, modifiesContent = false) => ({ name, modifiesContent })
+
+const AGENTS = new Map([
+  ['chunking', agent('chunking-agent', true)],
+  ['seo', agent('seo-agent')],
+  ['topology', agent('topology-agent')],
+  ['research', agent('research-agent')],
+])
+
+const build = (pipelineOptions, extra = []) => {
+  const agentsByKey = new Map([...AGENTS, ...extra])
+  return AgentPipeline.fromConfig(pipelineOptions, agentsByKey, [
+    ...agentsByKey.keys(),
+  ])
+}
+
+const keys = level => level.map(step => step.key)
+
+test('the default pipeline restructures, then analyzes in parallel', () => {
+  const pipeline = build({})
+
+  assert.deepEqual(pipeline.levels.map(keys), [
+    ['chunking'],
+    ['seo', 'topology', 'research'],
+  ])
+  assert.equal(pipeline.contentSource(pipeline.levels[1][0]).key, 'chunking')
+  assert.equal(pipeline.contentSource(pipeline.levels[0][0]), null)
+})
+
+test('a dependency cycle is rejected', () => {
+  assert.throws(
+    () =>
+      build({
+        chunking: { dependsOn: ['seo'] },
+      }),
+    error =>
+      error instanceof PipelineConfigError &&
+      /dependency cycle involving chunking, seo/.test(error.message),
+  )
+})
+
+test('content-changing agents must depend on each other', () => {
+  const glossary = ['glossary', agent('glossary-agent', true)]
+
+  // By default both run after the chunking agent, and neither waits for the
+  // other
+  assert.throws(
+    () => build({}, [glossary, ['links', agent('links-agent', true)]]),
+    /glossary and links both change the content but neither depends on the other/,
+  )
+  assert.throws(
+    () => build({ glossary: { dependsOn: [], input: 'original' } }, [glossary]),
+    /chunking and glossary both change the content/,
+  )
+
+  const chained = build(
+    {
+      glossary: { dependsOn: ['seo'] },
+      links: { dependsOn: ['glossary'] },
+    },
+    [glossary, ['links', agent('links-agent', true)]],
+  )
+  assert.deepEqual(chained.levels.map(keys), [
+    ['chunking'],
+    ['seo', 'topology', 'research'],
+    ['glossary'],
+    ['links'],
+  ])
+  // Read through a step that leaves the content as it is
+  const links = chained.levels[3][0]
+  assert.equal(chained.contentSource(links).key, 'glossary')
+})
+
+test('a content-changing agent may not read the original after another', () => {
+  assert.throws(
+    () =>
+      build({ glossary: { dependsOn: ['chunking'], input: 'original' } }, [
+        ['glossary', agent('glossary-agent', true)],
+      ]),
+    /glossary changes the original content, dropping the changes of chunking/,
+  )
+})
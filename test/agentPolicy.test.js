@@ -0,0 +1,101 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const {
+  AgentTimeoutError,
+  CircuitBreaker,
+  DEFAULT_AGENT_POLICY,
+  resolveAgentPolicy,
+  validateAgentPolicies,
+  withTimeout,
+} = require('../src/tasks/agentPolicy')
+
+test('the circuit opens once, at maxFailures consecutive failures', () => {
+  const breaker = new CircuitBreaker()
+
+  assert.equal(breaker.recordFailure('seo', 3), false)
+  assert.equal(breaker.recordFailure('seo', 3), false)
+  assert.equal(breaker.isOpen('seo'), false)
+  assert.equal(breaker.recordFailure('seo', 3), true)
+  assert.equal(breaker.isOpen('seo'), true)
+  // Further failures do not report it opening again
+  assert.equal(breaker.recordFailure('seo', 3), false)
+  assert.equal(breaker.isOpen('topology'), false)
+})
+
+test('a success resets the consecutive failure count', () => {
+  const breaker = new CircuitBreaker()
+
+  breaker.recordFailure('seo', 2)
+  breaker.recordSuccess('seo')
+  assert.equal(breaker.recordFailure('seo', 2), false)
+  assert.equal(breaker.recordFailure('seo', 2), true)
+})
+
+test('maxFailures 0 never opens the circuit', () => {
+  const breaker = new CircuitBreaker()
+  for (let i = 0; i < 10; i++) {
+    assert.equal(breaker.recordFailure('seo', 0), false)
+  }
+  assert.equal(breaker.isOpen('seo'), false)
+})
+
+test('policies layer the defaults, `default` and the agent key', () => {
+  const policies = {
+    default: { retries: 2, timeoutMs: 1000 },
+    seo: { timeoutMs: 5000 },
+  }
+
+  assert.deepEqual(resolveAgentPolicy(policies, 'seo'), {
+    ...DEFAULT_AGENT_POLICY,
+    retries: 2,
+    timeoutMs: 5000,
+  })
+  assert.deepEqual(resolveAgentPolicy(policies, 'topology'), {
+    ...DEFAULT_AGENT_POLICY,
+    retries: 2,
+    timeoutMs: 1000,
+  })
+})
+
+test('invalid policies are rejected', () => {
+  const keys = ['seo', 'chunking']
+
+  assert.doesNotThrow(() =>
+    validateAgentPolicies(
+      { default: { retries: 1 }, seo: { timeoutMs: 0 } },
+      keys,
+    ),
+  )
+  assert.throws(
+    () => validateAgentPolicies({ research: { retries: 1 } }, keys),
+    /unknown agent "research"/,
+  )
+  assert.throws(
+    () => validateAgentPolicies({ seo: { retry: 1 } }, keys),
+    /seo\.retry is not a policy field/,
+  )
+  assert.throws(
+    () => validateAgentPolicies({ seo: { retries: -1 } }, keys),
+    /seo\.retries must be a non-negative number/,
+  )
+})
+
+test('withTimeout rejects slow agents and passes fast ones through', async () => {
+  const slow = new Promise(resolve => setTimeout(() => resolve('late'), 200))
+  await assert.rejects(withTimeout(slow, 20, 'seo-agent'), error => {
+    assert.ok(error instanceof AgentTimeoutError)
+    assert.equal(error.message, 'seo-agent timed out after 20ms')
+    return true
+  })
+
+  assert.equal(
+    await withTimeout(Promise.resolve('done'), 20, 'seo-agent'),
+    'done',
+  )
+  // 0 waits forever
+  assert.equal(
+    await withTimeout(Promise.resolve('done'), 0, 'seo-agent'),
+    'done',
+  )
+  await slow
+})
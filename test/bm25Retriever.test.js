@@ -0,0 +1,66 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const Bm25Retriever = require('../src/tools/bm25Retriever')
+
+const chunks = [
+  {
+    id: 'install',
+    text: 'Install the CLI with npm install and check the version',
+  },
+  { id: 'config', text: 'Configure the plugin in docusaurus.config.js' },
+  { id: 'deploy', text: 'Deploy the site to GitHub Pages after the build' },
+]
+
+test('tokenize lowercases and drops stopwords and punctuation', () => {
+  assert.deepEqual(Bm25Retriever.tokenize('How do I Install the CLI?'), [
+    'install',
+    'cli',
+  ])
+})
+
+test('search ranks the chunk matching the query first', () => {
+  const retriever = new Bm25Retriever()
+  retriever.add(chunks)
+
+  const results = retriever.search('how to install the cli', 3)
+  assert.equal(results[0].id, 'install')
+  assert.ok(results[0].score > 0)
+  // Extra chunk fields come back with the result
+  assert.equal(results[0].text, chunks[0].text)
+})
+
+test('search leaves out chunks without a matching term and honors k', () => {
+  const retriever = new Bm25Retriever()
+  retriever.add(chunks)
+
+  assert.deepEqual(
+    retriever.search('plugin build', 5).map(result => result.id),
+    ['config', 'deploy'],
+  )
+  assert.equal(retriever.search('plugin build', 1).length, 1)
+  assert.deepEqual(retriever.search('kubernetes'), [])
+})
+
+test('rare terms outweigh common ones', () => {
+  const retriever = new Bm25Retriever()
+  retriever.add([
+    { id: 'a', text: 'guide guide guide setup' },
+    { id: 'b', text: 'guide webhooks' },
+    { id: 'c', text: 'guide overview' },
+  ])
+
+  assert.equal(retriever.search('guide webhooks')[0].id, 'b')
+})
+
+test('ties are broken by chunk id', () => {
+  const retriever = new Bm25Retriever()
+  retriever.add([
+    { id: 'b', text: 'same words here' },
+    { id: 'a', text: 'same words here' },
+  ])
+
+  assert.deepEqual(
+    retriever.search('same words').map(result => result.id),
+    ['a', 'b'],
+  )
+})
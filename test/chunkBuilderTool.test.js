@@ -0,0 +1,187 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ChunkBuilderTool = require('../src/tools/chunkBuilderTool')
+const ChunkExportTool = require('../src/tools/chunkExportTool')
+
+const words = (count, prefix = 'word') =>
+  Array.from({ length: count }, (_, index) => `${prefix}${index}`).join(' ')
+
+const body = `# Install Guide
+
+Intro text for the guide.
+
+## Setup **fast**
+
+Short setup.
+
+### Linux {#linux-setup}
+
+Linux steps.
+
+## Empty
+
+## Setup fast
+
+Duplicate heading.
+`
+
+test('chunks follow headings with breadcrumbs and Docusaurus anchors', () => {
+  const chunks = new ChunkBuilderTool().buildChunks(body, {
+    document: 'docs/install.md',
+    url: 'https://example.com/docs/install',
+    metadata: { title: 'Install', tags: ['setup'] },
+  })
+
+  assert.deepEqual(
+    chunks.map(chunk => [chunk.anchor, chunk.heading, chunk.breadcrumbs]),
+    [
+      [null, 'Install Guide', ['Install']],
+      ['setup-fast', 'Setup fast', ['Install', 'Setup fast']],
+      ['linux-setup', 'Linux', ['Install', 'Setup fast', 'Linux']],
+      // The empty section gives no chunk, but its anchor is still counted
+      ['setup-fast-1', 'Setup fast', ['Install', 'Setup fast']],
+    ],
+  )
+  assert.equal(chunks[0].url, 'https://example.com/docs/install')
+  assert.equal(chunks[2].url, 'https://example.com/docs/install#linux-setup')
+  assert.deepEqual(
+    chunks.map(chunk => chunk.index),
+    [0, 1, 2, 3],
+  )
+  assert.deepEqual(chunks[1].metadata, { title: 'Install', tags: ['setup'] })
+  assert.ok(chunks.every(chunk => chunk.document === 'docs/install.md'))
+  assert.ok(chunks.every(chunk => chunk.tokens > 0))
+})
+
+test('headingIds lists the anchors of every heading', () => {
+  assert.deepEqual(new ChunkBuilderTool().headingIds(body), [
+    'install-guide',
+    'setup-fast',
+    'linux-setup',
+    'empty',
+    'setup-fast-1',
+  ])
+})
+
+test('ids are stable and depend on the document, anchor and part', () => {
+  const builder = new ChunkBuilderTool()
+  const ids = document =>
+    builder.buildChunks(body, { document }).map(chunk => chunk.id)
+
+  assert.deepEqual(ids('docs/install.md'), ids('docs/install.md'))
+  assert.notDeepEqual(ids('docs/install.md'), ids('docs/other.md'))
+  assert.equal(new Set(ids('docs/install.md')).size, 4)
+  assert.match(ids('docs/install.md')[0], /^[0-9a-f]{16}$/)
+})
+
+test('long sections split at paragraphs within maxTokens, with overlap', () => {
+  const builder = new ChunkBuilderTool({ maxTokens: 100, overlap: 10 })
+  const paragraphs = [0, 1, 2, 3].map(index => words(40, `p${index}w`))
+  const chunks = builder.buildChunks(
+    `## Long\n\n${paragraphs.join('\n\n')}\n`,
+    {
+      document: 'docs/long.md',
+    },
+  )
+
+  assert.ok(chunks.length > 1)
+  assert.ok(chunks.every(chunk => chunk.tokens <= 100))
+  assert.ok(chunks.every(chunk => chunk.anchor === 'long'))
+  assert.equal(new Set(chunks.map(chunk => chunk.id)).size, chunks.length)
+  // Each part after the first starts with the end of the part before
+  chunks.slice(1).forEach((chunk, index) => {
+    const [overlap] = chunk.text.split('\n\n')
+    assert.ok(overlap.split(' ').length > 1 && overlap.length <= 40)
+    assert.ok(chunks[index].text.endsWith(overlap))
+  })
+  // No paragraph is lost
+  paragraphs.forEach(paragraph =>
+    assert.ok(chunks.some(chunk => chunk.text.includes(paragraph))),
+  )
+})
+
+test('a paragraph over maxTokens is cut between words', () => {
+  const builder = new ChunkBuilderTool({ maxTokens: 50, overlap: 0 })
+  const chunks = builder.buildChunks(words(200), { document: 'docs/wall.md' })
+
+  assert.ok(chunks.length > 1)
+  assert.ok(chunks.every(chunk => chunk.tokens <= 50))
+  assert.equal(chunks.map(chunk => chunk.text).join(' '), words(200))
+})
+
+test('code fences are not split at blank lines', () => {
+  const builder = new ChunkBuilderTool({ maxTokens: 40, overlap: 0 })
+  const code = '```js\nconst a = 1\n\nconst b = 2\n```'
+  const chunks = builder.buildChunks(`## Code\n\n${words(60)}\n\n${code}\n`, {
+    document: 'docs/code.md',
+  })
+
+  assert.ok(chunks.some(chunk => chunk.text.includes(code)))
+})
+
+test('export links chunks under headings the built page lacks to the page', async () => {
+  const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ragasaurus-chunks-'))
+  const fullPath = path.join(siteDir, 'docs', 'install.md')
+  fs.mkdirSync(path.dirname(fullPath))
+  fs.writeFileSync(fullPath, '---\ntitle: Install\n---\n## Setup\n\nSteps.\n')
+  const exporter = new ChunkExportTool({
+    siteDir,
+    siteUrl: 'https://example.com',
+  })
+
+  const documents = exporter.documentsFromPlugins([
+    {
+      name: 'docusaurus-plugin-content-docs',
+      content: {
+        loadedVersions: [
+          {
+            docs: [
+              { source: '@site/docs/install.md', permalink: '/docs/install' },
+            ],
+          },
+        ],
+      },
+    },
+  ])
+  assert.deepEqual(documents, [
+    { fullPath, relativePath: 'docs/install.md', permalink: '/docs/install' },
+  ])
+
+  const outputFile = path.join(siteDir, 'build', 'rag-chunks.jsonl')
+  const result = await exporter.export(documents, {
+    outputFile,
+    enhancedContent: new Map([
+      [
+        fullPath,
+        '---\ntitle: Install\n---\n## Setup\n\nSteps.\n\n## Added\n\nNew section.\n',
+      ],
+    ]),
+  })
+  const chunks = fs
+    .readFileSync(outputFile, 'utf8')
+    .trim()
+    .split('\n')
+    .map(line => JSON.parse(line))
+
+  assert.equal(result.unpublishedAnchors, 1)
+  assert.deepEqual(
+    chunks.map(chunk => [chunk.heading, chunk.anchor, chunk.url]),
+    [
+      ['Setup', 'setup', 'https://example.com/docs/install#setup'],
+      ['Added', null, 'https://example.com/docs/install'],
+    ],
+  )
+  // The agent keys its chunks on the same site-relative path
+  const [agentChunk] = new ChunkBuilderTool().buildChunks(
+    '## Setup\n\nSteps.\n',
+    {
+      document: 'docs/install.md',
+    },
+  )
+  assert.equal(agentChunk.id, chunks[0].id)
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
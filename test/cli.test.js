@@ -0,0 +1,125 @@
+const { test, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+// The TypeScript entry points run from the build (`npm test` builds first)
+const { registerCliCommands, EXIT_CODES } = require('../dist/cli')
+
+const GLOSSARY_AGENT = {
+  name: 'glossary-agent',
+  role: 'Glossary Checker',
+  analyzeContent: async () => ({ enhancedMetadata: {}, improvements: [] }),
+}
+
+// Commander stand-in that keeps the action of every command
+function registerCommands(siteDir, options) {
+  const actions = {}
+  const cli = {
+    command(name) {
+      const command = {
+        description: () => command,
+        option: () => command,
+        action: action => {
+          actions[name] = action
+          return command
+        },
+      }
+      return command
+    },
+  }
+  registerCliCommands(cli, { siteDir, i18n: {} }, options)
+  return actions
+}
+
+// Run a command with its flags; resolves with its exit code and logs.
+// The test runner reports through stdout, so only the console is captured.
+async function run(action, flags) {
+  let stdout = ''
+  let stderr = ''
+  const log = mock.method(console, 'log', (...args) => {
+    stdout += args.join(' ') + '\n'
+  })
+  const error = mock.method(console, 'error', (...args) => {
+    stderr += args.join(' ') + '\n'
+  })
+  try {
+    await action(flags)
+  } finally {
+    log.mock.restore()
+    error.mock.restore()
+  }
+  const exitCode = process.exitCode
+  process.exitCode = 0
+  return { exitCode, stdout, stderr }
+}
+
+function createSite() {
+  const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ragasaurus-cli-'))
+  fs.mkdirSync(path.join(siteDir, 'docs'))
+  fs.writeFileSync(path.join(siteDir, 'docs', 'intro.md'), '# Intro\n\nHi.\n')
+  return siteDir
+}
+
+test('--agents accepts the keys of custom agents', async () => {
+  const siteDir = createSite()
+  const actions = registerCommands(siteDir, {
+    outputPath: 'docs',
+    customAgents: [
+      { agent: GLOSSARY_AGENT },
+      { key: 'links', agent: { ...GLOSSARY_AGENT, name: 'link-agent' } },
+    ],
+  })
+
+  const { exitCode, stdout } = await run(actions['rag:analyze'], {
+    agents: 'chunking,glossary-agent,links',
+  })
+  assert.equal(exitCode, EXIT_CODES.success)
+  assert.match(stdout, /🔄 docs\/intro\.md .* - new/)
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('--agents rejects unknown keys and lists the known ones', async () => {
+  const siteDir = createSite()
+  const actions = registerCommands(siteDir, {
+    outputPath: 'docs',
+    customAgents: [{ agent: GLOSSARY_AGENT }],
+  })
+
+  const { exitCode, stderr } = await run(actions['rag:analyze'], {
+    agents: 'seo,spelling',
+  })
+  assert.equal(exitCode, EXIT_CODES.usage)
+  assert.match(
+    stderr,
+    /Unknown agent\(s\): spelling \(expected seo, topology, chunking, research, glossary-agent\)/,
+  )
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('rag:analyze needs no API keys', async () => {
+  const siteDir = createSite()
+  const actions = registerCommands(siteDir, { outputPath: 'docs' })
+  const keys = [
+    'GOOGLE_API_KEY',
+    'GEMINI_API_KEY',
+    'GOOGLE_GEMINI_API_KEY',
+    'GOOGLE_GENERATIVE_AI_API_KEY',
+    'TAVILY_API_KEY',
+  ]
+  const saved = keys.map(key => process.env[key])
+  keys.forEach(key => delete process.env[key])
+
+  try {
+    const { exitCode, stdout } = await run(actions['rag:analyze'], {})
+    assert.equal(exitCode, EXIT_CODES.success)
+    assert.match(stdout, /1 documents, 1 need enhancement/)
+  } finally {
+    keys.forEach((key, index) => {
+      if (saved[index] !== undefined) process.env[key] = saved[index]
+    })
+    fs.rmSync(siteDir, { recursive: true, force: true })
+  }
+})
@@ -0,0 +1,183 @@
+const { test, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const http = require('http')
+const os = require('os')
+const path = require('path')
+// The TypeScript entry points run from the build (`npm test` builds first)
+const { enhanceDocs } = require('../dist')
+
+// Runs log every step
+mock.method(console, 'log', () => {})
+mock.method(console, 'warn', () => {})
+mock.method(console, 'error', () => {})
+
+// One answer that satisfies the restructuring, SEO and taxonomy schemas
+const MODEL_REPLY = JSON.stringify({
+  actions: [],
+  title: 'Install the CLI',
+  description: 'Install and configure the CLI',
+  keywords: ['install', 'cli'],
+  primaryTopic: 'installation',
+  topics: ['cli'],
+  categories: ['guides'],
+  difficulty: 'beginner',
+})
+
+const DOCUMENT = `---
+title: Install
+---
+Install the CLI with npm before you configure the plugin for your site.
+
+## Configure
+
+Set the docs path and the agents in docusaurus.config.js.
+`
+
+// OpenAI-compatible chat endpoint that records the prompts it gets
+let server
+let baseUrl
+const prompts = []
+
+test.before(async () => {
+  server = http.createServer((req, res) => {
+    let body = ''
+    req.on('data', data => (body += data))
+    req.on('end', () => {
+      prompts.push(
+        JSON.parse(body)
+          .messages.map(m => m.content)
+          .join('\n'),
+      )
+      res.setHeader('content-type', 'application/json')
+      res.end(
+        JSON.stringify({ choices: [{ message: { content: MODEL_REPLY } }] }),
+      )
+    })
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  baseUrl = `http://127.0.0.1:${server.address().port}/v1`
+})
+
+test.after(() => {
+  server.close()
+})
+
+function createSite() {
+  const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ragasaurus-api-'))
+  fs.mkdirSync(path.join(siteDir, 'docs'))
+  fs.writeFileSync(path.join(siteDir, 'docs', 'install.md'), DOCUMENT)
+  return siteDir
+}
+
+function run(siteDir, options) {
+  return enhanceDocs({
+    siteDir,
+    docsDir: 'docs',
+    llm: { provider: 'openai-compatible', baseUrl, model: 'test-model' },
+    cache: { enabled: false },
+    checkpoints: { enabled: false },
+    ...options,
+  })
+}
+
+test('SEO and taxonomy agents analyze the document content', async () => {
+  const siteDir = createSite()
+  prompts.length = 0
+
+  const result = await run(siteDir, { agents: ['seo', 'topology'] })
+  const stats = result.summary.agentStatistics
+
+  assert.deepEqual(result.errors, [])
+  ;['seo-metadata-generator-agent', 'topic-taxonomy-agent'].forEach(name => {
+    assert.equal(stats[name].successful, 1, name)
+    assert.equal(stats[name].outputSources.model, 1, name)
+    assert.equal(stats[name].outputSources.fallback, 0, name)
+  })
+  assert.equal(prompts.length, 2)
+  assert.ok(
+    prompts.every(prompt =>
+      prompt.includes('Set the docs path and the agents'),
+    ),
+  )
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('maxAgents limits the agents the pipeline runs', async () => {
+  const siteDir = createSite()
+  prompts.length = 0
+
+  const result = await run(siteDir, {
+    agents: ['seo', 'topology', 'chunking'],
+    maxAgents: 1,
+  })
+  const stats = result.summary.agentStatistics
+
+  assert.deepEqual(result.errors, [])
+  assert.deepEqual(Object.keys(stats), ['seo-metadata-generator-agent'])
+  assert.equal(stats['seo-metadata-generator-agent'].successful, 1)
+  assert.equal(prompts.length, 1)
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('an invalid maxAgents is rejected', async () => {
+  const siteDir = createSite()
+
+  await assert.rejects(
+    run(siteDir, { agents: ['seo'], maxAgents: 0 }),
+    /Invalid maxAgents/,
+  )
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('a replay right after recording finds every fixture', async () => {
+  const siteDir = createSite()
+  const options = {
+    agents: ['chunking', 'seo', 'topology'],
+    force: true,
+  }
+
+  const recorded = await run(siteDir, {
+    ...options,
+    fixtures: { mode: 'record' },
+  })
+  assert.deepEqual(recorded.errors, [])
+  const requests = prompts.length
+
+  // Let the clock move on: nothing time-dependent may reach the prompts
+  await new Promise(resolve => setTimeout(resolve, 1100))
+  const replayed = await run(siteDir, {
+    ...options,
+    fixtures: { mode: 'replay' },
+  })
+
+  assert.deepEqual(replayed.errors, [])
+  assert.equal(prompts.length, requests)
+  assert.equal(
+    replayed.enhancements[0].finalContent,
+    recorded.enhancements[0].finalContent,
+  )
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('enhancements that were not published are proposed again', async () => {
+  const siteDir = createSite()
+
+  // The chunking agent changes the document, but without output nothing is
+  // published, so nothing is recorded either
+  await run(siteDir, { agents: ['chunking'] })
+  const second = await run(siteDir, { agents: ['chunking'] })
+
+  assert.equal(second.enhancementsApplied, 1)
+  const manifestPath = path.join(siteDir, '.ragasaurus', 'manifest.json')
+  const manifest = fs.existsSync(manifestPath)
+    ? JSON.parse(fs.readFileSync(manifestPath, 'utf8'))
+    : { documents: {} }
+  assert.deepEqual(manifest.documents, {})
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
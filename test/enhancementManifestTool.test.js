@@ -0,0 +1,161 @@
+const { test, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const EnhancementManifestTool = require('../src/tools/enhancementManifestTool')
+
+// Counts and saves are logged
+mock.method(console, 'log', () => {})
+
+const agents = [
+  { name: 'seo-agent', version: '1.0.0' },
+  { name: 'chunking-agent', version: '1.2.0' },
+]
+
+function createSite() {
+  const siteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'ragasaurus-manifest-'))
+  fs.mkdirSync(path.join(siteDir, 'docs'))
+  const documents = ['a.md', 'b.md', 'c.md'].map(file => {
+    const fullPath = path.join(siteDir, 'docs', file)
+    fs.writeFileSync(fullPath, `# ${file}\n`)
+    return { path: file, sitePath: `docs/${file}`, fullPath }
+  })
+  return { siteDir, documents }
+}
+
+// The enhancement of a document whose content the agents left unchanged
+function enhancementOf(document, finalContent) {
+  const originalContent = fs.readFileSync(document.fullPath, 'utf8')
+  return {
+    relativePath: document.sitePath,
+    originalContent,
+    finalContent: finalContent || originalContent,
+    ragScore: 70,
+  }
+}
+
+async function recordRun(siteDir, documents, enhancements, runAgents = agents) {
+  const manifest = new EnhancementManifestTool({ siteDir })
+  await manifest.load()
+  await manifest.markDocuments(documents, runAgents)
+  manifest.recordRun(enhancements, runAgents)
+  await manifest.save()
+}
+
+async function reasons(siteDir, documents, options = {}) {
+  const manifest = new EnhancementManifestTool({
+    siteDir,
+    force: options.force,
+  })
+  await manifest.load()
+  const counts = await manifest.markDocuments(
+    documents,
+    options.agents || agents,
+  )
+  return {
+    counts,
+    reasons: documents.map(document => document.enhancementReason),
+    needsEnhancement: documents.map(document => document.needsEnhancement),
+  }
+}
+
+test('every document is new without a manifest', async () => {
+  const { siteDir, documents } = createSite()
+
+  const result = await reasons(siteDir, documents)
+  assert.deepEqual(result.reasons, ['new', 'new', 'new'])
+  assert.deepEqual(result.needsEnhancement, [true, true, true])
+  assert.equal(result.counts.new, 3)
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('only changed documents need enhancement after a run', async () => {
+  const { siteDir, documents } = createSite()
+  await recordRun(
+    siteDir,
+    documents,
+    documents.map(document => enhancementOf(document)),
+  )
+
+  fs.appendFileSync(documents[1].fullPath, '\nNew paragraph.\n')
+  const result = await reasons(siteDir, documents)
+  assert.deepEqual(result.reasons, ['unchanged', 'changed', 'unchanged'])
+  assert.deepEqual(result.needsEnhancement, [false, true, false])
+  assert.equal(
+    documents[1].contentHash,
+    new EnhancementManifestTool().hashContent(
+      fs.readFileSync(documents[1].fullPath, 'utf8'),
+    ),
+  )
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('a merged enhancement does not count as a change', async () => {
+  const { siteDir, documents } = createSite()
+  const enhanced = '---\ndescription: Enhanced\n---\n# a.md\n'
+  await recordRun(siteDir, documents, [enhancementOf(documents[0], enhanced)])
+
+  // The PR was merged: the file on disk is now the enhanced content
+  fs.writeFileSync(documents[0].fullPath, enhanced)
+  const result = await reasons(siteDir, documents)
+  assert.deepEqual(result.reasons, ['unchanged', 'new', 'new'])
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('a new agent version or provider re-enhances every document', async () => {
+  const { siteDir, documents } = createSite()
+  await recordRun(
+    siteDir,
+    documents,
+    documents.map(document => enhancementOf(document)),
+  )
+
+  const bumped = [{ ...agents[0], version: '1.1.0' }, agents[1]]
+  assert.deepEqual(
+    (await reasons(siteDir, documents, { agents: bumped })).reasons,
+    ['agents', 'agents', 'agents'],
+  )
+
+  const otherModel = [
+    { ...agents[0], provider: { describe: () => 'ollama:llama3' } },
+    agents[1],
+  ]
+  assert.deepEqual(
+    (await reasons(siteDir, documents, { agents: otherModel })).reasons,
+    ['agents', 'agents', 'agents'],
+  )
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('force marks every document', async () => {
+  const { siteDir, documents } = createSite()
+  await recordRun(
+    siteDir,
+    documents,
+    documents.map(document => enhancementOf(document)),
+  )
+
+  const result = await reasons(siteDir, documents, { force: true })
+  assert.deepEqual(result.reasons, ['forced', 'forced', 'forced'])
+
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
+
+test('an unreadable manifest starts fresh', async () => {
+  const { siteDir, documents } = createSite()
+  fs.mkdirSync(path.join(siteDir, '.ragasaurus'))
+  fs.writeFileSync(path.join(siteDir, '.ragasaurus', 'manifest.json'), '{ nope')
+  const warn = mock.method(console, 'warn', () => {})
+
+  const result = await reasons(siteDir, documents)
+  assert.deepEqual(result.reasons, ['new', 'new', 'new'])
+  assert.equal(warn.mock.callCount(), 1)
+
+  warn.mock.restore()
+  fs.rmSync(siteDir, { recursive: true, force: true })
+})
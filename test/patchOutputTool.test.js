@@ -0,0 +1,76 @@
+const { test, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const PatchOutputTool = require('../src/tools/patchOutputTool')
+
+// Progress is logged
+mock.method(console, 'log', () => {})
+
+const ORIGINAL = `# Install
+
+Run the installer:
+
+\`\`\`bash
+npm install ragasaurus
+\`\`\`
+
+Then configure the plugin.
+`
+
+const ENHANCED = ORIGINAL.replace(
+  'Then configure the plugin.',
+  'Then configure the plugin in `docusaurus.config.js`.',
+)
+
+async function writePatch(enhancements) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ragasaurus-patch-'))
+  const result = await new PatchOutputTool({ dir }).createEnhancementPatch(
+    enhancements,
+    { averageOriginalRagScore: 60, averageRagScore: 80, scoringVersion: 1 },
+  )
+  return { dir, result }
+}
+
+test('the patch holds the changed documents only', async () => {
+  const { dir, result } = await writePatch([
+    {
+      relativePath: 'docs/install.md',
+      originalContent: ORIGINAL,
+      enhancedContent: ENHANCED,
+    },
+    {
+      relativePath: 'docs/usage.md',
+      originalContent: 'Usage\n',
+      enhancedContent: 'Usage\n',
+    },
+  ])
+
+  assert.equal(result.success, true)
+  assert.equal(result.filesChanged, 1)
+  assert.equal(result.additions, 1)
+  assert.equal(result.deletions, 1)
+  const patch = fs.readFileSync(result.patchPath, 'utf8')
+  assert.match(patch, /^diff --git a\/docs\/install\.md b\/docs\/install\.md\n/)
+  assert.doesNotMatch(patch, /usage\.md/)
+
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test('code fences in a document do not close the diff in the report', async () => {
+  const { dir, result } = await writePatch([
+    {
+      relativePath: 'docs/install.md',
+      originalContent: ORIGINAL,
+      enhancedContent: ENHANCED.replace('```bash', '````bash'),
+    },
+  ])
+
+  const report = fs.readFileSync(result.reportPath, 'utf8')
+  const patch = fs.readFileSync(result.patchPath, 'utf8')
+  // The longest backtick run in the patch is four, so the fence has five
+  assert.ok(report.includes(`\`\`\`\`\`diff\n${patch}\`\`\`\`\`\n`))
+
+  fs.rmSync(dir, { recursive: true, force: true })
+})
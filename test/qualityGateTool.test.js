@@ -0,0 +1,161 @@
+const { test, mock } = require('node:test')
+const assert = require('node:assert/strict')
+const QualityGateTool = require('../src/tools/qualityGateTool')
+const { QualityGateError } = QualityGateTool
+
+// Gate reports are logged
+mock.method(console, 'log', () => {})
+
+const enhancement = (relativePath, originalRagScore, agentResult = {}) => ({
+  relativePath,
+  originalRagScore,
+  originalReadiness: {
+    checks: [
+      { name: 'Description', status: 'fail', explanation: 'No description' },
+      { name: 'Intro', status: 'pass', explanation: 'ok' },
+    ],
+  },
+  agentResults: [{ agentName: 'agent', result: agentResult }],
+})
+
+const gate = (result, id) => result.gates.find(item => item.id === id)
+
+test('only configured gates are checked', () => {
+  assert.equal(new QualityGateTool().isConfigured(), false)
+  assert.equal(
+    new QualityGateTool({ maxCriticalIssues: 0 }).isConfigured(),
+    true,
+  )
+
+  const result = new QualityGateTool({ minScore: 50 }).evaluate([
+    enhancement('docs/a.md', 80),
+  ])
+  assert.deepEqual(
+    result.gates.map(item => item.id),
+    ['min-score'],
+  )
+})
+
+test('the score gate averages the documents and lists those below it', () => {
+  const tool = new QualityGateTool({ minScore: 70, failBuild: true })
+  const documents = [
+    enhancement('docs/a.md', 90),
+    enhancement('docs/b.md', 40),
+    enhancement('docs/c.md', 60),
+  ]
+
+  const result = tool.evaluate([], { documents })
+  const score = gate(result, 'min-score')
+  assert.equal(score.actual, 63)
+  assert.equal(score.status, 'fail')
+  assert.deepEqual(
+    score.files.map(file => file.path),
+    ['docs/b.md', 'docs/c.md'],
+  )
+  assert.deepEqual(score.files[0].details, [
+    '40/100',
+    'Description: No description',
+  ])
+  assert.equal(result.passed, false)
+  assert.equal(result.failBuild, true)
+  assert.match(result.report, /Quality gates failed: 1 of 1 gate breached/)
+  assert.match(result.report, /docs\/b\.md/)
+
+  assert.equal(
+    new QualityGateTool({ minScore: 60 }).evaluate([], { documents }).passed,
+    true,
+  )
+})
+
+test('issue gates total what the agents reported against the maximum', () => {
+  const tool = new QualityGateTool({
+    maxCriticalIssues: 1,
+    maxOversizedSections: 0,
+  })
+  const result = tool.evaluate([
+    enhancement('docs/a.md', 80, {
+      criticalIssues: [{ issue: 'Deprecated API' }, { issue: 'Wrong flag' }],
+      structuralIssues: [
+        { type: 'oversized_section', heading: 'Setup', wordCount: 812 },
+        { type: 'heading_hierarchy_gap' },
+      ],
+    }),
+    enhancement('docs/b.md', 80, { criticalIssues: [], structuralIssues: [] }),
+  ])
+
+  const critical = gate(result, 'critical-issues')
+  assert.equal(critical.actual, 2)
+  assert.equal(critical.status, 'fail')
+  assert.deepEqual(critical.files, [
+    {
+      path: 'docs/a.md',
+      count: 2,
+      details: ['Deprecated API', 'Wrong flag'],
+    },
+  ])
+
+  const oversized = gate(result, 'oversized-sections')
+  assert.equal(oversized.actual, 1)
+  assert.equal(oversized.status, 'fail')
+  assert.deepEqual(oversized.files[0].details, ['"Setup" has 812 words'])
+})
+
+test('unchanged documents count with the issues of their latest run', () => {
+  const tool = new QualityGateTool({ maxCriticalIssues: 0 })
+  const recorded = [
+    {
+      path: 'docs/old.md',
+      criticalIssues: 2,
+      timestamp: '2026-01-01T00:00:00.000Z',
+    },
+    { path: 'docs/clean.md', criticalIssues: 0 },
+    { path: 'docs/unmeasured.md', criticalIssues: null },
+  ]
+
+  const critical = gate(tool.evaluate([], { recorded }), 'critical-issues')
+  assert.equal(critical.status, 'fail')
+  assert.equal(critical.actual, 2)
+  assert.deepEqual(critical.files, [
+    {
+      path: 'docs/old.md',
+      count: 2,
+      details: ['2 found in the run of 2026-01-01T00:00:00.000Z'],
+    },
+  ])
+})
+
+test('a gate that nothing measured fails instead of passing', () => {
+  const tool = new QualityGateTool({
+    minScore: 10,
+    maxCriticalIssues: 5,
+    maxOversizedSections: 5,
+  })
+
+  // No agent reported issues (their agents are disabled)
+  const unmeasured = tool.evaluate([enhancement('docs/a.md', 80)])
+  assert.equal(gate(unmeasured, 'min-score').status, 'pass')
+  assert.equal(gate(unmeasured, 'critical-issues').status, 'fail')
+  assert.match(
+    gate(unmeasured, 'oversized-sections').explanation,
+    /Not measured: no document has a result from the chunking agent/,
+  )
+  assert.equal(unmeasured.passed, false)
+
+  // The run failed, so even recorded counts do not make up for it
+  const failed = tool.evaluate([], {
+    documents: [enhancement('docs/a.md', 80)],
+    recorded: [{ path: 'docs/a.md', criticalIssues: 0, oversizedSections: 0 }],
+    runFailed: true,
+  })
+  assert.equal(gate(failed, 'critical-issues').status, 'fail')
+  assert.match(gate(failed, 'critical-issues').explanation, /the run failed/)
+
+  // Nothing scored
+  assert.equal(gate(tool.evaluate([]), 'min-score').status, 'fail')
+})
+
+test('QualityGateError carries the report', () => {
+  const error = new QualityGateError('🚦 report')
+  assert.equal(error.name, 'QualityGateError')
+  assert.equal(error.message, '🚦 report')
+})
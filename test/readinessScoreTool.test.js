@@ -0,0 +1,109 @@
+const { test } = require('node:test')
+const assert = require('node:assert/strict')
+const fs = require('fs')
+const os = require('os')
+const path = require('path')
+const ReadinessScoreTool = require('../src/tools/readinessScoreTool')
+
+const words = count =>
+  Array.from({ length: count }, (_, index) => `word${index}`).join(' ')
+
+const readyDocument = `---
+title: Install Guide
+description: How to install the CLI, check the version and configure it for a site.
+keywords: [install, cli]
+---
+${words(30)}
+
+## Install
+
+${words(60)}
+
+Run the installer:
+
+\`\`\`bash
+npm install ragasaurus
+\`\`\`
+
+## Configure
+
+${words(40)}
+`
+
+const statusOf = (readiness, id) =>
+  readiness.checks.find(check => check.id === id).status
+
+test('a document passing every check scores 100', () => {
+  const readiness = new ReadinessScoreTool().score(readyDocument)
+
+  assert.equal(readiness.score, 100)
+  assert.equal(readiness.version, ReadinessScoreTool.SCORING_VERSION)
+  assert.deepEqual(
+    readiness.checks.map(check => check.id),
+    ReadinessScoreTool.CHECKS.map(check => check.id),
+  )
+  // No links: the link check does not apply
+  assert.equal(statusOf(readiness, 'link-health'), 'skip')
+})
+
+test('the score is the weight of passed checks over applicable checks', () => {
+  const readiness = new ReadinessScoreTool().score(
+    readyDocument.replace(/^description: .*\n/m, ''),
+  )
+
+  // description (15) and metadata completeness (10) fail out of 90 applicable
+  assert.equal(statusOf(readiness, 'description'), 'fail')
+  assert.equal(statusOf(readiness, 'metadata-completeness'), 'fail')
+  assert.equal(readiness.score, Math.round((65 / 90) * 100))
+})
+
+test('oversized sections and skipped heading levels fail with an explanation', () => {
+  const readiness = new ReadinessScoreTool().score(
+    `# Title\n\n${words(20)}\n\n### Deep\n\n${words(450)}\n`,
+  )
+  const check = id => readiness.checks.find(item => item.id === id)
+
+  assert.equal(check('section-size').status, 'fail')
+  assert.match(check('section-size').explanation, /"Deep" has 45\d words/)
+  assert.equal(check('heading-hierarchy').status, 'fail')
+  assert.match(check('heading-hierarchy').explanation, /jumps from H1 to H3/)
+})
+
+test('code blocks need a language and text before them', () => {
+  const readiness = new ReadinessScoreTool().score(
+    `# Title\n\n${words(20)}\n\n## Run\n\n\`\`\`\nnpm start\n\`\`\`\n`,
+  )
+  const check = readiness.checks.find(item => item.id === 'code-block-context')
+
+  assert.equal(check.status, 'fail')
+  assert.match(check.explanation, /has no language/)
+  assert.match(check.explanation, /has no text before it/)
+})
+
+test('relative links to missing docs fail when the file path is known', () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'ragasaurus-readiness-'))
+  fs.writeFileSync(path.join(dir, 'exists.md'), '# Exists\n')
+  const content = `${words(
+    20,
+  )}\n\nSee [the setup guide](./exists.md) and [the API](./missing.md).\n`
+  const tool = new ReadinessScoreTool()
+
+  const checked = tool
+    .score(content, { filePath: path.join(dir, 'doc.md') })
+    .checks.find(check => check.id === 'link-health')
+  assert.equal(checked.status, 'fail')
+  assert.equal(checked.explanation, './missing.md does not exist')
+
+  // Without a file path relative links are not resolved
+  const unchecked = tool
+    .score(content)
+    .checks.find(check => check.id === 'link-health')
+  assert.equal(unchecked.status, 'pass')
+
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test('the same content always gets the same score', () => {
+  const tool = new ReadinessScoreTool()
+  assert.deepEqual(tool.score(readyDocument), tool.score(readyDocument))
+})